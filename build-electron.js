@@ -19,6 +19,20 @@ fs.copyFileSync(
   path.join(appDir, 'preload.js')
 );
 
+// Copy the main process modules
+fs.cpSync(
+  path.join(__dirname, 'main'),
+  path.join(appDir, 'main'),
+  { recursive: true }
+);
+
+// Copy the modules shared with the renderer
+fs.cpSync(
+  path.join(__dirname, 'src', 'shared'),
+  path.join(appDir, 'src', 'shared'),
+  { recursive: true }
+);
+
 // Copy package.json with modified main entry
 const packageJson = require('./package.json');
 const appPackageJson = {
@@ -1,13 +1,147 @@
-const { app, BrowserWindow, ipcMain, shell, dialog, session } = require('electron');
+const { app, BrowserWindow, ipcMain, shell, dialog, session, webContents, Notification } = require('electron');
 const path = require('path');
 const isDev = require('electron-is-dev');
 const fs = require('fs');
 const url = require('url');
+const { createHistoryStore } = require('./main/historyStore');
+const { createSettingsStore } = require('./main/settingsStore');
+const { savePageAsPdf } = require('./main/pdfExport');
+const { createBatchPdfExport } = require('./main/batchPdfExport');
+const { getWorkOrderFileName } = require('./main/workOrder');
+const { DEFAULT_RULES, validateRuleSets, extractFields } = require('./main/extraction');
+const { createWatchList } = require('./main/watchList');
+const { DEFAULT_LINK_PATTERN, collectLinks } = require('./main/linkHarvest');
+const { createCrawler } = require('./main/crawler');
+const { validatePayload } = require('./main/ipcValidation');
+const { DEFAULT_POLICY, PERMISSION_TYPES, validatePolicy, normalizePolicy, createSecurityPolicy } = require('./main/securityPolicy');
+const { createProfiles } = require('./main/profiles');
+const { createDownloadManager } = require('./main/downloadManager');
+const { DEFAULT_ATTACHMENT_SELECTOR, createAttachmentCollector } = require('./main/attachmentCollector');
+const {
+  DEFAULT_SNAPSHOT_SETTINGS,
+  MAX_SNAPSHOTS_PER_ENTRY,
+  validateSnapshotSettings,
+  saveSnapshot,
+  deleteSnapshot,
+  openSnapshotWindow
+} = require('./main/snapshots');
+const {
+  DEFAULT_SCREENSHOT_SETTINGS,
+  validateScreenshotSettings,
+  captureScreenshot,
+  deleteScreenshot,
+  readImageDataUrl
+} = require('./main/screenshots');
+const { createWorkSessionStore } = require('./main/workSession');
+const { validateUrlTemplates, validateResultsViews } = require('./main/settingsValidation');
 
 let mainWindow;
 
-// Store URL history
-const urlHistory = [];
+// Batch PDF export currently running, if any
+let activeBatchExport = null;
+
+// Listing crawl currently running, if any
+let activeCrawl = null;
+
+// Attachment collection currently running, if any
+let activeAttachmentJob = null;
+
+// Persistent URL history, stored alongside the other app data
+const historyStore = createHistoryStore(path.join(app.getPath('userData'), 'history.json'));
+
+// The working session of the app window, kept for crash recovery
+const workSession = createWorkSessionStore(path.join(app.getPath('userData'), 'session.json'));
+
+// User settings such as the named URL templates
+const settingsStore = createSettingsStore(path.join(app.getPath('userData'), 'settings.json'));
+
+// Trusted domains and the security exceptions allowed for each of them
+const securityPolicy = createSecurityPolicy({
+  getPolicy: () => settingsStore.get('securityPolicy', DEFAULT_POLICY),
+  isAppContents: (contents) => !!mainWindow && !mainWindow.isDestroyed() && contents === mainWindow.webContents,
+  onBlocked: (entry) => {
+    console.log(`Blocked ${entry.type} for ${entry.url}: ${entry.detail}`);
+    sendToRenderer('security-blocked', entry);
+  }
+});
+
+// Folder that holds one subfolder of attachments per work order
+const getDownloadFolder = () => (
+  settingsStore.get('downloadFolder', null) || path.join(app.getPath('downloads'), 'Work Orders')
+);
+
+// Link a saved attachment to the history entry of its work order page
+function recordDownload(pageUrl, file) {
+  historyStore.update(pageUrl, (entry) => ({
+    downloads: [...(entry.downloads || []), file]
+  }));
+}
+
+// Attachments downloaded in the embedded browser, filed per work order
+const downloadManager = createDownloadManager({
+  getRootFolder: getDownloadFolder,
+  onUpdate: (download) => sendToRenderer('download-updated', download),
+  onComplete: (download) => {
+    if (!download.pageUrl) return;
+    recordDownload(download.pageUrl, {
+      path: download.savePath,
+      fileName: download.fileName,
+      url: download.url,
+      savedAt: download.finishedAt
+    });
+  }
+});
+
+// Account profiles; each has its own session partition for the embedded
+// browser and the background jobs run for it
+const profiles = createProfiles({
+  settingsStore,
+  configureSession: (ses) => {
+    securityPolicy.applyToSession(ses);
+    downloadManager.attach(ses);
+  }
+});
+
+// Send an event to the app window if it is open
+function sendToRenderer(channel, payload) {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send(channel, payload);
+  }
+}
+
+// One line per change, e.g. "pay: $200.00 → $250.00"
+function describeChange(change) {
+  return change.diff
+    .map(item => (item.field
+      ? `${item.field}: ${item.before || '(empty)'} → ${item.after || '(empty)'}`
+      : `${item.type === 'added' ? '+' : '-'} ${item.line}`))
+    .join('\n');
+}
+
+// Work orders re-checked in the background for changes
+const watchList = createWatchList({
+  filePath: path.join(app.getPath('userData'), 'watchlist.json'),
+  getPartition: (item) => profiles.get(item.profileId).partition,
+  getExtractionRules: () => settingsStore.get('extractionRules', []),
+  onChange: (item, change) => {
+    sendToRenderer('watch-change', { id: item.id, url: item.url, change });
+
+    if (watchList.getSettings().desktopNotifications && Notification.isSupported()) {
+      const notification = new Notification({
+        title: 'Work order changed',
+        body: `${item.url}\n${describeChange(change)}`.slice(0, 250)
+      });
+      notification.on('click', () => {
+        if (mainWindow) {
+          mainWindow.show();
+          sendToRenderer('watch-show', { id: item.id });
+        }
+      });
+      notification.show();
+    }
+  },
+  onUpdate: () => sendToRenderer('watch-list-updated')
+});
 
 // Prevent opening external browsers at startup
 app.on('will-finish-launching', () => {
@@ -33,42 +167,26 @@ app.on('ready', () => {
 });
 
 function createWindow() {
-  // Enable webview debugging
-  app.commandLine.appendSwitch('remote-debugging-port', '8315');
-  // Allow insecure SSL
-  app.commandLine.appendSwitch('ignore-certificate-errors');
-  // Disable same-origin policy
-  app.commandLine.appendSwitch('disable-web-security');
-  // Disable CORS
-  app.commandLine.appendSwitch('disable-features', 'OutOfBlinkCors');
+  // Webview debugging over the DevTools protocol, in development only: the
+  // port lets any local process drive every logged-in session
+  if (isDev) {
+    app.commandLine.appendSwitch('remote-debugging-port', '8315');
+  }
 
   mainWindow = new BrowserWindow({
     width: 1200,
     height: 800,
     webPreferences: {
-      nodeIntegration: true, // Enable Node.js integration for proper functionality
-      contextIsolation: false, // Disable context isolation to allow proper communication
-      webSecurity: false, // Disable web security to allow cross-origin requests
-      allowRunningInsecureContent: true, // Allow insecure content for testing
-      sandbox: false, // Disable sandbox mode for full functionality
+      // The renderer has no Node.js access; it talks to the main process
+      // only through the API exposed by the preload script
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true,
       webviewTag: true, // Enable webview tag for embedded browser
-      enableRemoteModule: true, // Enable remote module
-      preload: path.join(__dirname, 'preload.js') // Add preload script if it exists
+      preload: path.join(__dirname, 'preload.js')
     }
   });
 
-  // Set up a basic preload script if it doesn't exist
-  const preloadPath = path.join(__dirname, 'preload.js');
-  if (!fs.existsSync(preloadPath)) {
-    fs.writeFileSync(preloadPath, `
-      // Preload script to expose Electron APIs to renderer process
-      const { contextBridge, ipcRenderer } = require('electron');
-      
-      // Expose the ipcRenderer to the window object
-      window.ipcRenderer = ipcRenderer;
-    `);
-  }
-
   const startUrl = isDev 
     ? 'http://localhost:3000' 
     : `file://${path.join(__dirname, 'build', 'index.html')}`;
@@ -103,7 +221,9 @@ function createWindow() {
 }
 
 app.on('ready', () => {
+  workSession.start();
   createWindow();
+  watchList.start();
   
   // Configure session to handle authentication redirects
   const mainSession = session.defaultSession;
@@ -117,16 +237,10 @@ app.on('ready', () => {
     expirationDate: Math.floor(Date.now() / 1000) + 365 * 24 * 60 * 60
   });
   
-  // Set up permissive Content-Security-Policy to allow OAuth redirects
-  mainSession.webRequest.onHeadersReceived((details, callback) => {
-    callback({
-      responseHeaders: {
-        ...details.responseHeaders,
-        'Content-Security-Policy': ["default-src * 'unsafe-inline' 'unsafe-eval'; script-src * 'unsafe-inline' 'unsafe-eval'; connect-src * 'unsafe-inline' ws: wss:; img-src * data: blob: 'unsafe-inline'; frame-src *; style-src * 'unsafe-inline';"],
-        'Access-Control-Allow-Origin': ['*']
-      }
-    });
-  });
+  // Permissions and CSP follow the security policy, both for the app window
+  // and for the sessions of every profile
+  securityPolicy.applyToSession(mainSession);
+  profiles.prepareSessions();
   
   // Improved redirect handling for OAuth
   mainSession.webRequest.onBeforeRedirect((details) => {
@@ -154,13 +268,6 @@ app.on('ready', () => {
     }
   });
 
-  // Set up permissive session preferences
-  mainSession.setPermissionRequestHandler((webContents, permission, callback) => {
-    // Allow all permissions
-    console.log(`Permission requested: ${permission}`);
-    callback(true);
-  });
-  
   // Handle authentication requests globally
   mainSession.webRequest.onBeforeSendHeaders((details, callback) => {
     // Ensure consistent headers for authentication
@@ -187,6 +294,18 @@ app.on('ready', () => {
   });
 });
 
+app.on('before-quit', (event) => {
+  // Hold the quit until the last history changes are on disk
+  if (historyStore.hasPendingChanges()) {
+    event.preventDefault();
+    historyStore.flush().finally(() => app.quit());
+    return;
+  }
+
+  watchList.stop();
+  workSession.stop();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -199,17 +318,437 @@ app.on('activate', () => {
   }
 });
 
+// Register an invoke handler whose payload is checked against `schema` first
+function handle(channel, schema, handler) {
+  ipcMain.handle(channel, (event, payload) => handler(event, validatePayload(channel, payload, schema)));
+}
+
+// Register a handler for a message that expects no reply; invalid payloads
+// are logged and dropped
+function listen(channel, schema, handler) {
+  ipcMain.on(channel, (event, payload) => {
+    let data;
+    try {
+      data = validatePayload(channel, payload, schema);
+    } catch (error) {
+      console.error(error.message);
+      event.returnValue = null;
+      return;
+    }
+    handler(event, data);
+  });
+}
+
+// A webview of the window that sent `event`, looked up by the ID the renderer
+// gave. Returns null when it has been closed; any other webContents (the app
+// window, offscreen job windows, other windows) is refused.
+function getGuestContents(event, webContentsId) {
+  const contents = webContents.fromId(webContentsId);
+  if (!contents || contents.isDestroyed()) {
+    return null;
+  }
+  if (contents.getType() !== 'webview' || contents.hostWebContents !== event.sender) {
+    throw new Error('That page does not belong to this window');
+  }
+  return contents;
+}
+
 // Handle IPC events
-ipcMain.on('log-url-opened', (event, data) => {
+listen('log-url-opened', { url: 'url', timestamp: 'string?', batchId: 'key?', metadata: 'object?' }, (event, data) => {
   // Add to URL history
-  urlHistory.push(data);
+  try {
+    historyStore.record(data);
+  } catch (error) {
+    console.error('Error saving URL history:', error);
+  }
   
-  // Could save to a file here if needed
   console.log('URL opened:', data);
 });
 
+// Query the URL history (filtering, paging and sorting happen in the store)
+handle('get-opened-urls', {
+  search: 'string?',
+  batchId: 'key?',
+  from: 'string?',
+  to: 'string?',
+  sortBy: 'string?',
+  sortOrder: 'string?',
+  offset: 'number?',
+  limit: 'number?'
+}, (event, query) => historyStore.list(query));
+
+// Review decisions (status, notes, follow-up date) for a list of URLs
+handle('get-reviews', { urls: 'stringArray' }, (event, { urls }) => {
+  return urls.reduce((reviews, reviewUrl) => {
+    const entry = historyStore.findByUrl(reviewUrl);
+    if (entry && entry.review) {
+      reviews[reviewUrl] = entry.review;
+    }
+    return reviews;
+  }, {});
+});
+
+// Store the review of a URL on its history entry, along with the columns it
+// was imported with
+handle('save-review', { url: 'string', review: 'object', metadata: 'object?' }, (event, data) => {
+  const { url: reviewUrl, review, metadata } = data;
+  const entry = historyStore.update(reviewUrl, {
+    review: { ...review, updatedAt: new Date().toISOString() },
+    ...(metadata ? { metadata } : {})
+  });
+  return entry.review;
+});
+
+// Save text produced by the renderer (e.g. a CSV or JSON export) to a file the user picks
+handle('save-export', {
+  title: 'string?',
+  defaultName: 'string?',
+  content: 'string',
+  filters: 'array?'
+}, async (event, data) => {
+  const { title, defaultName, content, filters } = data;
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: title || 'Export',
+    defaultPath: path.join(app.getPath('documents'), path.basename(defaultName || 'export.txt')),
+    filters: filters || []
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  await fs.promises.writeFile(result.filePath, content, 'utf8');
+  return { canceled: false, filePath: result.filePath };
+});
+
+// Pull structured fields out of a page shown in the embedded browser and keep
+// them on its history entry
+handle('extract-fields', { webContentsId: 'id', url: 'url' }, async (event, data) => {
+  const { webContentsId, url: pageUrl } = data;
+  const contents = getGuestContents(event, webContentsId);
+  if (!contents) {
+    return null;
+  }
+
+  const result = await extractFields(contents, pageUrl, settingsStore.get('extractionRules', []));
+  if (Object.keys(result.fields).length > 0) {
+    historyStore.update(pageUrl, { fields: result.fields, extractedAt: result.extractedAt });
+  }
+  if (result.errors.length > 0) {
+    console.log('Extraction problems on', pageUrl, result.errors);
+  }
+  return result;
+});
+
+// Save an offline copy of a page the embedded browser finished loading,
+// when snapshots are turned on
+handle('snapshot-page', { webContentsId: 'id', url: 'url' }, async (event, data) => {
+  const { webContentsId, url: pageUrl } = data;
+  const settings = settingsStore.get('snapshotSettings', DEFAULT_SNAPSHOT_SETTINGS);
+  const contents = getGuestContents(event, webContentsId);
+  if (!settings.enabled || !contents) {
+    return null;
+  }
+
+  const snapshot = await saveSnapshot(contents, path.join(app.getPath('userData'), 'snapshots'), pageUrl, settings.format);
+  let pruned = [];
+  historyStore.update(pageUrl, (entry) => {
+    const snapshots = [...(entry.snapshots || []), snapshot];
+    pruned = snapshots.slice(0, -MAX_SNAPSHOTS_PER_ENTRY);
+    return { snapshots: snapshots.slice(-MAX_SNAPSHOTS_PER_ENTRY) };
+  });
+  pruned.forEach(old => {
+    deleteSnapshot(old).catch(error => console.error('Error removing old snapshot:', error));
+  });
+  return snapshot;
+});
+
+handle('snapshot-settings-get', {}, () => settingsStore.get('snapshotSettings', DEFAULT_SNAPSHOT_SETTINGS));
+
+handle('snapshot-settings-set', { settings: 'object' }, (event, { settings }) => {
+  return settingsStore.set('snapshotSettings', validateSnapshotSettings(settings));
+});
+
+// Open a saved snapshot of a history entry (the latest unless `savedAt` is given)
+handle('snapshot-open', { url: 'string', savedAt: 'string?' }, (event, { url: pageUrl, savedAt }) => {
+  const entry = historyStore.findByUrl(pageUrl);
+  const snapshots = (entry && entry.snapshots) || [];
+  const snapshot = savedAt
+    ? snapshots.find(item => item.savedAt === savedAt)
+    : snapshots[snapshots.length - 1];
+  if (!snapshot || !fs.existsSync(snapshot.path)) {
+    throw new Error('The snapshot file could not be found');
+  }
+  openSnapshotWindow(snapshot);
+});
+
+// Working session of the app window, saved as it changes for crash recovery
+handle('work-session-get', {}, () => workSession.get());
+
+handle('work-session-save', { session: 'object' }, (event, { session: workingSession }) => workSession.save(workingSession));
+
+handle('work-session-clear', {}, () => workSession.clear());
+
+// Screenshot a page the embedded browser finished loading; only the latest
+// screenshot of each URL is kept
+handle('capture-screenshot', { webContentsId: 'id', url: 'url' }, async (event, data) => {
+  const { webContentsId, url: pageUrl } = data;
+  const settings = settingsStore.get('screenshotSettings', DEFAULT_SCREENSHOT_SETTINGS);
+  const contents = getGuestContents(event, webContentsId);
+  if (!settings.enabled || !contents) {
+    return null;
+  }
+
+  const screenshot = await captureScreenshot(contents, path.join(app.getPath('userData'), 'screenshots'), pageUrl, settings.mode);
+  if (!screenshot) return null;
+
+  const previous = (historyStore.findByUrl(pageUrl) || {}).screenshot;
+  historyStore.update(pageUrl, { screenshot });
+  if (previous) {
+    deleteScreenshot(previous).catch(error => console.error('Error removing old screenshot:', error));
+  }
+  return screenshot;
+});
+
+handle('screenshot-settings-get', {}, () => settingsStore.get('screenshotSettings', DEFAULT_SCREENSHOT_SETTINGS));
+
+handle('screenshot-settings-set', { settings: 'object' }, (event, { settings }) => {
+  return settingsStore.set('screenshotSettings', validateScreenshotSettings(settings));
+});
+
+// Thumbnails of the given history URLs as data URLs, keyed by URL
+handle('screenshot-thumbnails', { urls: 'stringArray' }, async (event, { urls }) => {
+  const thumbnails = {};
+  for (const entryUrl of urls) {
+    const entry = historyStore.findByUrl(entryUrl);
+    if (entry && entry.screenshot) {
+      const dataUrl = await readImageDataUrl(entry.screenshot.thumbnailPath);
+      if (dataUrl) thumbnails[entryUrl] = dataUrl;
+    }
+  }
+  return thumbnails;
+});
+
+// Full-size screenshot of a history URL as a data URL
+handle('screenshot-image', { url: 'string' }, async (event, { url: entryUrl }) => {
+  const entry = historyStore.findByUrl(entryUrl);
+  return entry && entry.screenshot ? readImageDataUrl(entry.screenshot.path) : null;
+});
+
+// Every history entry with extracted fields, trimmed down for the results table
+handle('get-results', {}, () => {
+  return historyStore.list({ limit: 0 }).entries
+    .filter(entry => entry.fields && Object.keys(entry.fields).length > 0)
+    .map(({ id, url: entryUrl, timestamp, batchId, fields, review }) => ({
+      id, url: entryUrl, timestamp, batchId, fields, review
+    }));
+});
+
+handle('get-extraction-rules', {}, () => {
+  return {
+    defaults: DEFAULT_RULES,
+    custom: settingsStore.get('extractionRules', [])
+  };
+});
+
+handle('set-extraction-rules', { ruleSets: 'array' }, (event, { ruleSets }) => {
+  const problems = validateRuleSets(ruleSets);
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+  return settingsStore.set('extractionRules', ruleSets);
+});
+
+// Collect the links on the page shown in the embedded browser that match the
+// harvest pattern, remembering the pattern for next time
+handle('harvest-links', { webContentsId: 'id', pattern: 'string?' }, async (event, data) => {
+  const { webContentsId, pattern } = data;
+  const contents = getGuestContents(event, webContentsId);
+  if (!contents) {
+    throw new Error('The page to harvest is no longer available');
+  }
+
+  const links = await collectLinks(contents, pattern);
+  if (pattern) {
+    settingsStore.set('harvestPattern', pattern);
+  }
+  return links;
+});
+
+handle('get-harvest-pattern', {}, () => settingsStore.get('harvestPattern', DEFAULT_LINK_PATTERN));
+
+// Crawl a paginated listing in the background, collecting matching links from each page
+handle('crawl-start', { startUrl: 'string?', profileId: 'string?', options: 'object?' }, async (event, data) => {
+  const { startUrl, profileId } = data;
+  // Only the crawl settings are taken from the renderer, never the partition
+  // or callbacks
+  const options = validatePayload('crawl-start', data.options, {
+    linkPattern: 'string?',
+    nextSelector: 'string?',
+    pageParam: 'string?',
+    maxPages: 'number?',
+    delayMs: 'number?'
+  });
+  if (activeCrawl) {
+    throw new Error('A crawl is already running');
+  }
+  if (!/^https?:\/\//i.test(startUrl || '')) {
+    throw new Error('Open a listing page in the browser before crawling');
+  }
+
+  settingsStore.set('crawlOptions', options);
+  if (options.linkPattern) {
+    settingsStore.set('harvestPattern', options.linkPattern);
+  }
+  const sender = event.sender;
+  activeCrawl = createCrawler({
+    startUrl,
+    partition: profiles.get(profileId).partition,
+    ...options,
+    onProgress: (progress) => {
+      if (!sender.isDestroyed()) {
+        sender.send('crawl-progress', progress);
+      }
+    }
+  });
+
+  try {
+    return await activeCrawl.run();
+  } finally {
+    activeCrawl = null;
+  }
+});
+
+listen('crawl-cancel', {}, () => {
+  if (activeCrawl) {
+    activeCrawl.cancel();
+  }
+});
+
+handle('get-crawl-options', {}, () => settingsStore.get('crawlOptions', null));
+
+// Watch list of URLs re-checked for changes in the background
+handle('watch-list-get', {}, () => watchList.list());
+
+// URLs are watched with the profile they were added under
+handle('watch-add', { url: 'string', intervalMinutes: 'number?', profileId: 'string?' }, (event, data) => {
+  return watchList.add({ ...data, profileId: profiles.get(data.profileId).id });
+});
+
+handle('watch-remove', { id: 'string' }, (event, { id }) => watchList.remove(id));
+
+handle('watch-update', { id: 'string', changes: 'object' }, (event, { id, changes }) => {
+  return watchList.update(id, validatePayload('watch-update', changes, {
+    intervalMinutes: 'number?',
+    paused: 'boolean?'
+  }));
+});
+
+handle('watch-check-now', { id: 'string' }, async (event, { id }) => {
+  await watchList.checkNow(id);
+  return watchList.list();
+});
+
+handle('watch-settings-set', {
+  defaultIntervalMinutes: 'number?',
+  quietHours: 'object?',
+  domainRateLimitSeconds: 'number?',
+  desktopNotifications: 'boolean?'
+}, (event, settings) => {
+  if (settings.quietHours) {
+    settings.quietHours = validatePayload('watch-settings-set', settings.quietHours, {
+      enabled: 'boolean?',
+      start: 'string?',
+      end: 'string?'
+    });
+  }
+  return watchList.updateSettings(settings);
+});
+
+// Read and write user settings
+// Settings the renderer may change directly, each checked before it is saved
+handle('url-templates-get', {}, () => settingsStore.get('urlTemplates', null));
+
+handle('url-templates-set', { templates: 'array', activeId: 'string?' }, (event, data) => {
+  return settingsStore.set('urlTemplates', validateUrlTemplates(data));
+});
+
+handle('results-views-get', {}, () => settingsStore.get('resultsViews', []));
+
+handle('results-views-set', { views: 'array' }, (event, { views }) => {
+  return settingsStore.set('resultsViews', validateResultsViews(views));
+});
+
+// Security policy: the trusted domain allowlist and the log of blocked actions
+handle('security-policy-get', {}, () => ({
+  policy: settingsStore.get('securityPolicy', DEFAULT_POLICY),
+  permissionTypes: PERMISSION_TYPES,
+  blocked: securityPolicy.getBlocked()
+}));
+
+handle('security-policy-set', { policy: 'object' }, (event, { policy }) => {
+  const problems = validatePolicy(policy);
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+  return settingsStore.set('securityPolicy', normalizePolicy(policy));
+});
+
+handle('security-log-clear', {}, () => securityPolicy.clearBlocked());
+
+// Account profiles
+handle('profiles-get', {}, () => profiles.list());
+
+handle('profile-save', { profile: 'object' }, (event, { profile }) => {
+  const saved = profiles.save(validatePayload('profile-save', profile, {
+    id: 'string?',
+    name: 'string',
+    userAgent: 'string?',
+    templateId: 'string?'
+  }));
+  return { profile: saved, ...profiles.list() };
+});
+
+handle('profile-remove', { id: 'string' }, (event, { id }) => profiles.remove(id));
+
+handle('profile-set-active', { id: 'string' }, (event, { id }) => profiles.setActive(id));
+
+// Write the profile settings, without any session data, to a file the user picks
+handle('profiles-export', {}, async () => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    title: 'Export Profiles',
+    defaultPath: path.join(app.getPath('documents'), 'url-opener-profiles.json'),
+    filters: [{ name: 'JSON Files', extensions: ['json'] }]
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  await fs.promises.writeFile(result.filePath, JSON.stringify(profiles.exportSettings(), null, 2), 'utf8');
+  return { canceled: false, filePath: result.filePath };
+});
+
+handle('profiles-import', {}, async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Import Profiles',
+    defaultPath: app.getPath('documents'),
+    filters: [{ name: 'JSON Files', extensions: ['json'] }],
+    properties: ['openFile']
+  });
+  if (result.canceled || result.filePaths.length === 0) {
+    return { canceled: true };
+  }
+
+  let imported;
+  try {
+    imported = JSON.parse(await fs.promises.readFile(result.filePaths[0], 'utf8'));
+  } catch (error) {
+    throw new Error('The file is not a profile export');
+  }
+  return { canceled: false, ...profiles.importSettings(imported), ...profiles.list() };
+});
+
 // Instead of opening a new window, we'll notify to use the embedded browser
-ipcMain.on('open-batch', (event, data) => {
+listen('open-batch', { batchId: 'key?', urls: 'stringArray?' }, (event) => {
   // Respond with a message that external browsers are disabled
   dialog.showMessageBox(mainWindow, {
     type: 'info',
@@ -222,28 +761,169 @@ ipcMain.on('open-batch', (event, data) => {
   event.returnValue = null;
 });
 
-// Handle PDF download request
-ipcMain.on('download-pdf', (event, data) => {
-  dialog.showSaveDialog(mainWindow, {
+// Handle PDF download request: render the page in the embedded webview to PDF
+handle('download-pdf', { webContentsId: 'id', url: 'url', options: 'object?' }, async (event, data) => {
+  const { webContentsId, url: pageUrl, options } = data;
+  const contents = getGuestContents(event, webContentsId);
+  if (!contents) {
+    throw new Error('The page to export is no longer available');
+  }
+
+  const result = await dialog.showSaveDialog(mainWindow, {
     title: 'Save PDF',
-    defaultPath: path.join(app.getPath('downloads'), 'workorder.pdf'),
+    defaultPath: path.join(app.getPath('downloads'), getWorkOrderFileName(pageUrl, 'pdf')),
     filters: [{ name: 'PDF Documents', extensions: ['pdf'] }]
-  }).then(result => {
-    if (!result.canceled && result.filePath) {
-      // Here you would implement the PDF generation
-      // For now just show a message
-      dialog.showMessageBox(mainWindow, {
-        type: 'info',
-        title: 'PDF Download',
-        message: `PDF download feature is being implemented. Would save to: ${result.filePath}`,
-        buttons: ['OK']
-      });
+  });
+  if (result.canceled || !result.filePath) {
+    return { canceled: true };
+  }
+
+  const filePath = await savePageAsPdf(contents, result.filePath, options);
+
+  // Remember where the PDF went against the history entry
+  historyStore.update(pageUrl, (entry) => ({
+    pdfs: [...(entry.pdfs || []), { path: filePath, savedAt: new Date().toISOString() }]
+  }));
+
+  return { canceled: false, filePath };
+});
+
+// Let the renderer pick a folder, e.g. for batch exports
+handle('select-folder', { title: 'string?' }, async (event, { title }) => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: title || 'Choose Folder',
+    defaultPath: app.getPath('documents'),
+    properties: ['openDirectory', 'createDirectory']
+  });
+  return result.canceled ? null : result.filePaths[0];
+});
+
+// Export every URL of a batch to its own PDF in the chosen folder
+handle('batch-export-start', {
+  urls: 'stringArray',
+  folder: 'string',
+  profileId: 'string?',
+  options: 'object?'
+}, async (event, data) => {
+  const { urls, folder, profileId, options } = data;
+  if (activeBatchExport) {
+    throw new Error('A batch export is already running');
+  }
+  if (urls.length === 0 || !folder) {
+    throw new Error('A list of URLs and a destination folder are required');
+  }
+
+  const sender = event.sender;
+  activeBatchExport = createBatchPdfExport({
+    urls,
+    folder,
+    partition: profiles.get(profileId).partition,
+    pdfOptions: options,
+    onProgress: (progress) => {
+      if (!sender.isDestroyed()) {
+        sender.send('batch-export-progress', progress);
+      }
     }
   });
+
+  try {
+    return await activeBatchExport.run();
+  } finally {
+    activeBatchExport = null;
+  }
+});
+
+listen('batch-export-cancel', {}, () => {
+  if (activeBatchExport) {
+    activeBatchExport.cancel();
+  }
+});
+
+// Downloads panel
+handle('downloads-get', {}, () => ({
+  downloads: downloadManager.list(),
+  folder: getDownloadFolder()
+}));
+
+// The folder is only ever chosen in the main process's own dialog
+handle('download-folder-choose', {}, async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    title: 'Folder for Work Order Attachments',
+    defaultPath: getDownloadFolder(),
+    properties: ['openDirectory', 'createDirectory']
+  });
+  if (result.canceled || !result.filePaths[0]) return null;
+  settingsStore.set('downloadFolder', result.filePaths[0]);
+  return result.filePaths[0];
 });
 
+handle('download-pause', { id: 'string' }, (event, { id }) => downloadManager.pause(id));
+
+handle('download-resume', { id: 'string' }, (event, { id }) => downloadManager.resume(id));
+
+handle('download-cancel', { id: 'string' }, (event, { id }) => downloadManager.cancel(id));
+
+handle('download-show', { id: 'string' }, (event, { id }) => {
+  const filePath = downloadManager.getPath(id);
+  if (!filePath || !fs.existsSync(filePath)) {
+    throw new Error('The downloaded file could not be found');
+  }
+  shell.showItemInFolder(filePath);
+});
+
+handle('downloads-clear', {}, () => {
+  downloadManager.clearFinished();
+  return downloadManager.list();
+});
+
+// Fetch the attachments of every work order in a batch into the download folder
+handle('attachments-collect-start', {
+  urls: 'stringArray',
+  selector: 'string?',
+  profileId: 'string?'
+}, async (event, data) => {
+  const { urls, selector, profileId } = data;
+  if (activeAttachmentJob) {
+    throw new Error('Attachments are already being collected');
+  }
+  if (urls.length === 0) {
+    throw new Error('There are no URLs to collect attachments from');
+  }
+
+  if (selector) {
+    settingsStore.set('attachmentSelector', selector);
+  }
+  const sender = event.sender;
+  activeAttachmentJob = createAttachmentCollector({
+    urls,
+    rootFolder: getDownloadFolder(),
+    partition: profiles.get(profileId).partition,
+    selector: selector || settingsStore.get('attachmentSelector', DEFAULT_ATTACHMENT_SELECTOR),
+    onSaved: recordDownload,
+    onProgress: (progress) => {
+      if (!sender.isDestroyed()) {
+        sender.send('attachments-collect-progress', progress);
+      }
+    }
+  });
+
+  try {
+    return await activeAttachmentJob.run();
+  } finally {
+    activeAttachmentJob = null;
+  }
+});
+
+listen('attachments-collect-cancel', {}, () => {
+  if (activeAttachmentJob) {
+    activeAttachmentJob.cancel();
+  }
+});
+
+handle('get-attachment-selector', {}, () => settingsStore.get('attachmentSelector', DEFAULT_ATTACHMENT_SELECTOR));
+
 // Disable opening external links - use embedded browser instead
-ipcMain.on('open-external', (event, url) => {
+listen('open-external', { url: 'string?' }, () => {
   dialog.showMessageBox(mainWindow, {
     type: 'info',
     title: 'External Browser Disabled',
@@ -252,9 +932,30 @@ ipcMain.on('open-external', (event, url) => {
   });
 });
 
-// Listen for session errors
-app.on('render-process-gone', (event, webContents, details) => {
+// Certificate errors are only ignored for trusted domains that allow it
+app.on('certificate-error', (event, contents, errorUrl, error, certificate, callback) => {
+  if (securityPolicy.allowCertificateError(errorUrl, error)) {
+    event.preventDefault();
+    callback(true);
+  } else {
+    callback(false);
+  }
+});
+
+// Reload the app window if its renderer crashes; it then offers to resume
+// the saved session. Crashed webviews are reloaded by the renderer.
+app.on('render-process-gone', (event, contents, details) => {
   console.log('Render process gone:', details.reason);
+  if (details.reason === 'clean-exit' || !mainWindow || mainWindow.isDestroyed() || contents !== mainWindow.webContents) {
+    return;
+  }
+
+  workSession.markWindowCrash();
+  setTimeout(() => {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.reload();
+    }
+  }, 1000);
 });
 
 // Handle auth errors
@@ -269,6 +970,25 @@ app.on('login', (event, webContents, details, authInfo, callback) => {
 
 // Block shell.openExternal calls and improve authentication handling
 app.on('web-contents-created', (event, contents) => {
+  // Every webview runs a remote page: give it no preload, no Node.js and no
+  // webviews of its own, keep it isolated, and only on a profile's session
+  contents.on('will-attach-webview', (attachEvent, webPreferences, params) => {
+    const isAppWindow = !!mainWindow && !mainWindow.isDestroyed() && contents === mainWindow.webContents;
+    const isProfilePartition = profiles.list().profiles.some(profile => profile.partition === params.partition);
+    if (!isAppWindow || !isProfilePartition) {
+      console.log('Blocked webview with partition:', params.partition);
+      attachEvent.preventDefault();
+      return;
+    }
+
+    delete webPreferences.preload;
+    webPreferences.contextIsolation = true;
+    webPreferences.nodeIntegration = false;
+    webPreferences.nodeIntegrationInSubFrames = false;
+    webPreferences.webviewTag = false;
+    webPreferences.sandbox = true;
+  });
+
   // Handle new webContents creation (includes webviews)
   contents.on('will-navigate', (event, navigateUrl) => {
     console.log('Navigation in webview:', navigateUrl);
@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createOffscreenWindow, loadAndSettle } = require('./offscreen');
+const { getWorkOrderId } = require('./workOrder');
+const { OTHER_FOLDER, sanitizeFileName, getUniquePath } = require('./downloadManager');
+const { toCsv } = require('../src/shared/csv');
+
+// Links that usually point at a work order's documents
+const DEFAULT_ATTACHMENT_SELECTOR = 'a[download], a[href*="/attachments/"], a[href$=".pdf" i]';
+
+// Longest time one attachment may take to download
+const FETCH_TIMEOUT_MS = 2 * 60 * 1000;
+
+// Larger attachments are not downloaded
+const MAX_ATTACHMENT_BYTES = 200 * 1024 * 1024;
+
+const REPORT_COLUMNS = ['workOrderId', 'pageUrl', 'attachmentUrl', 'status', 'file', 'sha256', 'error', 'finishedAt'];
+
+// Runs inside the page: the URL and a name hint of every attachment link
+const buildAttachmentScript = (selector) => `(() => {
+  let elements;
+  try {
+    elements = document.querySelectorAll(${JSON.stringify(selector)});
+  } catch (error) {
+    return { error: 'Invalid attachment selector: ' + error.message };
+  }
+  return {
+    links: Array.from(elements).map(element => ({
+      url: element.href || element.src || element.getAttribute('data-href') || '',
+      name: element.getAttribute('download') || (element.innerText || element.textContent || '').trim()
+    }))
+  };
+})()`;
+
+// Checksum of a file on disk, read a chunk at a time
+async function hashFile(filePath) {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) {
+    hash.update(chunk);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * File name for a fetched attachment: the server's Content-Disposition name,
+ * else the last part of the URL path, else the link text
+ */
+function getAttachmentFileName(response, attachmentUrl, nameHint) {
+  const disposition = response.headers.get('content-disposition') || '';
+  const encoded = disposition.match(/filename\*\s*=\s*(?:UTF-8'')?([^;]+)/i);
+  const plain = disposition.match(/filename\s*=\s*"?([^";]+)"?/i);
+
+  let name = '';
+  if (encoded) {
+    try {
+      name = decodeURIComponent(encoded[1].trim().replace(/^"|"$/g, ''));
+    } catch (error) {
+      name = '';
+    }
+  }
+  if (!name && plain) name = plain[1].trim();
+  if (!name) {
+    try {
+      name = decodeURIComponent(path.posix.basename(new URL(attachmentUrl).pathname));
+    } catch (error) {
+      name = '';
+    }
+  }
+  return sanitizeFileName(name || nameHint);
+}
+
+// Checksums of the files already in a work order folder
+async function readFolderChecksums(folder) {
+  const checksums = new Map(); // sha256 -> file path
+  let names;
+  try {
+    names = await fs.promises.readdir(folder);
+  } catch (error) {
+    if (error.code === 'ENOENT') return checksums;
+    throw error;
+  }
+  for (const name of names) {
+    if (name.endsWith('.part')) continue; // left over from an interrupted download
+    const filePath = path.join(folder, name);
+    const stat = await fs.promises.stat(filePath);
+    if (stat.isFile()) {
+      checksums.set(await hashFile(filePath), filePath);
+    }
+  }
+  return checksums;
+}
+
+/**
+ * Collect the attachments of every work order in `urls` into
+ * `<rootFolder>/<workOrderId>/`.
+ *
+ * Each page is loaded in an offscreen window on the profile's partition, the
+ * links matching `selector` are read from it and fetched through the same
+ * session, so downloads use the logged-in account. A file whose SHA-256
+ * matches one already in the work order's folder is skipped. `onProgress` is
+ * called for every page and `onSaved(pageUrl, file)` for every new file. An
+ * attachment-report CSV is written to `rootFolder` when the job ends,
+ * including when it is cancelled.
+ */
+function createAttachmentCollector({ urls, rootFolder, partition, selector, onProgress, onSaved }) {
+  let cancelled = false;
+  const cancelController = new AbortController(); // aborts downloads in flight on cancel
+  const attachmentSelector = selector || DEFAULT_ATTACHMENT_SELECTOR;
+
+  const saveAttachment = async (ses, link, folder, checksums) => {
+    const signal = AbortSignal.any([cancelController.signal, AbortSignal.timeout(FETCH_TIMEOUT_MS)]);
+    const response = await ses.fetch(link.url, { signal });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} ${response.statusText}`.trim());
+    }
+    if ((response.headers.get('content-type') || '').startsWith('text/html')) {
+      throw new Error('Got a web page instead of a file; the session may have been logged out');
+    }
+
+    const tooLarge = () => new Error(`Larger than the ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB limit`);
+    if (Number(response.headers.get('content-length')) > MAX_ATTACHMENT_BYTES) {
+      throw tooLarge();
+    }
+
+    // Stream the body into a temporary file, hashing it on the way, so large
+    // files never sit in memory
+    await fs.promises.mkdir(folder, { recursive: true });
+    const tempPath = path.join(folder, `.${crypto.randomUUID()}.part`);
+    const hash = crypto.createHash('sha256');
+    const file = await fs.promises.open(tempPath, 'w');
+    let checksum;
+    try {
+      let size = 0;
+      if (response.body) {
+        for await (const chunk of response.body) {
+          size += chunk.length;
+          if (size > MAX_ATTACHMENT_BYTES) throw tooLarge();
+          hash.update(chunk);
+          await file.write(chunk);
+        }
+      }
+      await file.close();
+      checksum = hash.digest('hex');
+
+      if (checksums.has(checksum)) {
+        await fs.promises.unlink(tempPath);
+        return { status: 'skipped', file: checksums.get(checksum), sha256: checksum };
+      }
+    } catch (error) {
+      await file.close().catch(() => {});
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    const filePath = getUniquePath(folder, getAttachmentFileName(response, link.url, link.name));
+    await fs.promises.rename(tempPath, filePath);
+    checksums.set(checksum, filePath);
+    return { status: 'saved', file: filePath, sha256: checksum };
+  };
+
+  const run = async () => {
+    await fs.promises.mkdir(rootFolder, { recursive: true });
+
+    const win = createOffscreenWindow(partition);
+    const ses = win.webContents.session;
+    const folderChecksums = new Map(); // folder -> checksums of its files
+    const rows = [];
+
+    const addRow = (row) => {
+      rows.push({ sha256: '', file: '', error: '', ...row, finishedAt: new Date().toISOString() });
+    };
+
+    try {
+      for (let index = 0; index < urls.length; index++) {
+        const pageUrl = urls[index];
+        const workOrderId = getWorkOrderId(pageUrl) || '';
+        const page = { index: index + 1, total: urls.length, url: pageUrl, workOrderId };
+
+        if (cancelled) {
+          addRow({ workOrderId, pageUrl, attachmentUrl: '', status: 'cancelled' });
+          if (onProgress) onProgress({ ...page, status: 'cancelled', attachments: [] });
+          continue;
+        }
+
+        if (onProgress) onProgress({ ...page, status: 'loading', attachments: [] });
+        const attachments = [];
+
+        try {
+          await loadAndSettle(win, pageUrl);
+          const result = await win.webContents.executeJavaScript(buildAttachmentScript(attachmentSelector), true);
+          if (result.error) throw new Error(result.error);
+
+          const seen = new Set();
+          const links = result.links.filter(link => {
+            const linkUrl = String(link.url || '').split('#')[0];
+            if (!/^https?:\/\//i.test(linkUrl) || seen.has(linkUrl)) return false;
+            seen.add(linkUrl);
+            link.url = linkUrl;
+            return true;
+          });
+
+          const folder = path.join(rootFolder, workOrderId || OTHER_FOLDER);
+          if (!folderChecksums.has(folder)) {
+            folderChecksums.set(folder, await readFolderChecksums(folder));
+          }
+
+          for (const link of links) {
+            let attachment;
+            try {
+              attachment = { url: link.url, ...await saveAttachment(ses, link, folder, folderChecksums.get(folder)) };
+            } catch (error) {
+              attachment = cancelled
+                ? { url: link.url, status: 'cancelled' }
+                : {
+                  url: link.url,
+                  status: 'failed',
+                  error: error.name === 'TimeoutError' ? `Timed out after ${FETCH_TIMEOUT_MS / 1000} seconds` : error.message
+                };
+            }
+            attachments.push(attachment);
+            addRow({ workOrderId, pageUrl, attachmentUrl: link.url, ...attachment });
+
+            if (attachment.status === 'saved' && onSaved) {
+              onSaved(pageUrl, {
+                path: attachment.file,
+                fileName: path.basename(attachment.file),
+                url: link.url,
+                savedAt: new Date().toISOString()
+              });
+            }
+          }
+
+          if (links.length === 0) {
+            addRow({ workOrderId, pageUrl, attachmentUrl: '', status: 'none' });
+          }
+          if (onProgress) onProgress({ ...page, status: 'done', attachments });
+        } catch (error) {
+          addRow({ workOrderId, pageUrl, attachmentUrl: '', status: 'failed', error: error.message });
+          if (onProgress) onProgress({ ...page, status: 'failed', error: error.message, attachments });
+        }
+      }
+    } finally {
+      if (!win.isDestroyed()) win.destroy();
+    }
+
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const reportPath = path.join(rootFolder, `attachment-report-${stamp}.csv`);
+    await fs.promises.writeFile(
+      reportPath,
+      toCsv([REPORT_COLUMNS, ...rows.map(row => REPORT_COLUMNS.map(column => row[column]))])
+    );
+
+    const count = (status) => rows.filter(row => row.status === status).length;
+    return {
+      pages: urls.length,
+      saved: count('saved'),
+      skipped: count('skipped'),
+      failed: count('failed'),
+      cancelled: count('cancelled'),
+      reportPath
+    };
+  };
+
+  return {
+    run,
+    cancel: () => {
+      cancelled = true;
+      cancelController.abort();
+    }
+  };
+}
+
+module.exports = { DEFAULT_ATTACHMENT_SELECTOR, getAttachmentFileName, createAttachmentCollector };
@@ -0,0 +1,95 @@
+const fs = require('fs');
+const path = require('path');
+const { createOffscreenWindow, loadAndSettle } = require('./offscreen');
+const { savePageAsPdf } = require('./pdfExport');
+const { getWorkOrderId } = require('./workOrder');
+const { toCsv } = require('../src/shared/csv');
+
+const MANIFEST_COLUMNS = ['index', 'url', 'workOrderId', 'status', 'file', 'error', 'finishedAt'];
+
+/**
+ * Export a list of URLs to one PDF per page in `folder`.
+ *
+ * Pages are loaded one after another in an offscreen window using the given
+ * session partition. `onProgress` is called after each URL with its result,
+ * and a manifest.csv summarising every URL is written when the job ends,
+ * including when it is cancelled.
+ */
+function createBatchPdfExport({ urls, folder, partition, pdfOptions, onProgress }) {
+  let cancelled = false;
+
+  const getFileName = (pageUrl, index, usedNames) => {
+    const baseName = getWorkOrderId(pageUrl) || `page-${index + 1}`;
+    let fileName = `${baseName}.pdf`;
+    for (let n = 2; usedNames.has(fileName); n++) {
+      fileName = `${baseName}-${n}.pdf`;
+    }
+    usedNames.add(fileName);
+    return fileName;
+  };
+
+  const run = async () => {
+    await fs.promises.mkdir(folder, { recursive: true });
+
+    const win = createOffscreenWindow(partition);
+    const usedNames = new Set();
+    const results = [];
+
+    try {
+      for (let index = 0; index < urls.length; index++) {
+        const pageUrl = urls[index];
+        const result = {
+          index: index + 1,
+          url: pageUrl,
+          workOrderId: getWorkOrderId(pageUrl) || '',
+          status: 'cancelled',
+          file: '',
+          error: ''
+        };
+
+        if (!cancelled) {
+          if (onProgress) onProgress({ ...result, status: 'loading', total: urls.length });
+          try {
+            await loadAndSettle(win, pageUrl);
+            const filePath = path.join(folder, getFileName(pageUrl, index, usedNames));
+            await savePageAsPdf(win.webContents, filePath, pdfOptions);
+            result.status = 'saved';
+            result.file = filePath;
+          } catch (error) {
+            result.status = 'failed';
+            result.error = error.message;
+          }
+        }
+
+        result.finishedAt = new Date().toISOString();
+        results.push(result);
+        if (onProgress) onProgress({ ...result, total: urls.length });
+      }
+    } finally {
+      if (!win.isDestroyed()) win.destroy();
+    }
+
+    const manifestPath = path.join(folder, 'manifest.csv');
+    await fs.promises.writeFile(
+      manifestPath,
+      toCsv([MANIFEST_COLUMNS, ...results.map(result => MANIFEST_COLUMNS.map(column => result[column]))])
+    );
+
+    return {
+      total: urls.length,
+      saved: results.filter(result => result.status === 'saved').length,
+      failed: results.filter(result => result.status === 'failed').length,
+      cancelled: results.filter(result => result.status === 'cancelled').length,
+      manifestPath
+    };
+  };
+
+  return {
+    run,
+    cancel: () => {
+      cancelled = true;
+    }
+  };
+}
+
+module.exports = { createBatchPdfExport };
@@ -0,0 +1,151 @@
+const { createOffscreenWindow, loadAndSettle, wait } = require('./offscreen');
+const { collectLinks, compileLinkPattern } = require('./linkHarvest');
+
+const DEFAULT_MAX_PAGES = 10;
+const DEFAULT_DELAY_MS = 2000;
+
+// Upper limits so a mistyped setting cannot hammer the site
+const MAX_PAGES_LIMIT = 200;
+const MIN_DELAY_MS = 500;
+
+// Longest wait for a page re-rendered by a clicked "next" button to finish loading
+const CLICK_LOAD_TIMEOUT_MS = 45000;
+
+// Runs inside the page: find the "next page" element. Links are followed by
+// URL; anything else is clicked and the page is left to re-render.
+const buildNextPageScript = (selector) => `(() => {
+  const element = document.querySelector(${JSON.stringify(selector)});
+  if (!element || element.disabled || element.getAttribute('aria-disabled') === 'true') {
+    return { found: false };
+  }
+  if (element.tagName === 'A' && element.href && !element.href.startsWith('javascript:')) {
+    return { found: true, url: element.href };
+  }
+  element.click();
+  return { found: true, clicked: true };
+})()`;
+
+/**
+ * URL of the next page when pages are selected by a query parameter, e.g.
+ * ?page=2 becomes ?page=3. A missing parameter counts as page 1.
+ */
+function getNextPageUrl(pageUrl, param) {
+  const parsed = new URL(pageUrl);
+  const current = parseInt(parsed.searchParams.get(param), 10);
+  parsed.searchParams.set(param, String((Number.isNaN(current) ? 1 : current) + 1));
+  return parsed.toString();
+}
+
+/**
+ * Crawl a paginated listing starting at `startUrl`, collecting links that
+ * match `linkPattern` from every page.
+ *
+ * The next page is found with `nextSelector` (a CSS selector for the next
+ * link or button) or, failing that, by incrementing the `pageParam` query
+ * parameter. Pages are loaded in a hidden window on the shared session
+ * partition, `delayMs` apart, and the crawl stops after `maxPages`, when no
+ * next page is found, when a page adds no new links, or when cancelled.
+ */
+function createCrawler({ startUrl, partition, linkPattern, nextSelector, pageParam, maxPages, delayMs, onProgress }) {
+  let cancelled = false;
+  const pageLimit = Math.min(MAX_PAGES_LIMIT, Math.max(1, Number(maxPages) || DEFAULT_MAX_PAGES));
+  const delay = Math.max(MIN_DELAY_MS, Number(delayMs) || DEFAULT_DELAY_MS);
+
+  const run = async () => {
+    compileLinkPattern(linkPattern); // fail fast on a bad pattern
+    if (!nextSelector && !pageParam) {
+      throw new Error('Either a next page selector or a page parameter is required');
+    }
+
+    const win = createOffscreenWindow(partition);
+    const links = new Map(); // url -> { url, text }
+    const visited = new Set();
+    let pageUrl = startUrl;
+    let pages = 0;
+    let stoppedReason = 'maxPages';
+
+    const report = (extra = {}) => {
+      if (onProgress) {
+        onProgress({ pages, maxPages: pageLimit, linksFound: links.size, currentUrl: pageUrl, ...extra });
+      }
+    };
+
+    try {
+      await loadAndSettle(win, pageUrl);
+
+      while (pages < pageLimit) {
+        if (cancelled) {
+          stoppedReason = 'cancelled';
+          break;
+        }
+
+        visited.add(win.webContents.getURL());
+        pages++;
+        const before = links.size;
+        (await collectLinks(win.webContents, linkPattern)).forEach(link => {
+          if (!links.has(link.url)) links.set(link.url, link);
+        });
+        report();
+
+        if (pages > 1 && links.size === before) {
+          stoppedReason = 'noNewLinks';
+          break;
+        }
+        if (pages >= pageLimit) break;
+
+        // Be polite between page loads
+        await wait(delay);
+        if (cancelled) {
+          stoppedReason = 'cancelled';
+          break;
+        }
+
+        let next = { found: false };
+        if (nextSelector) {
+          next = await win.webContents.executeJavaScript(buildNextPageScript(nextSelector), true);
+        } else {
+          next = { found: true, url: getNextPageUrl(win.webContents.getURL(), pageParam) };
+        }
+        if (!next.found || (next.url && visited.has(next.url))) {
+          stoppedReason = 'lastPage';
+          break;
+        }
+
+        if (next.url) {
+          pageUrl = next.url;
+          await loadAndSettle(win, pageUrl);
+        } else {
+          // A clicked button re-renders the list in place; give it time to settle
+          await wait(delay);
+          const deadline = Date.now() + CLICK_LOAD_TIMEOUT_MS;
+          while (win.webContents.isLoading() && !cancelled) {
+            if (Date.now() > deadline) {
+              win.webContents.stop();
+              throw new Error(`Timed out waiting for the next page after ${pageUrl}`);
+            }
+            await wait(500);
+          }
+          if (cancelled) {
+            stoppedReason = 'cancelled';
+            break;
+          }
+          pageUrl = win.webContents.getURL();
+        }
+      }
+    } finally {
+      if (!win.isDestroyed()) win.destroy();
+    }
+
+    report({ done: true, stoppedReason });
+    return { links: [...links.values()], pages, stoppedReason };
+  };
+
+  return {
+    run,
+    cancel: () => {
+      cancelled = true;
+    }
+  };
+}
+
+module.exports = { createCrawler, getNextPageUrl };
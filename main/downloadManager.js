@@ -0,0 +1,147 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getWorkOrderId } = require('./workOrder');
+
+// Progress events for one download are sent at most this often
+const UPDATE_INTERVAL_MS = 250;
+
+// Folder for files downloaded from pages that are not a work order
+const OTHER_FOLDER = 'Other';
+
+// Keep a name usable on every platform; "." and ".." would name a folder
+const sanitizeFileName = (name) => {
+  const cleaned = String(name || '').replace(/[\\/:*?"<>|]/g, '_').trim();
+  return cleaned && !/^\.+$/.test(cleaned) ? cleaned : 'download';
+};
+
+// "scope.pdf" -> "scope (2).pdf" until the name is free
+function getUniquePath(folder, fileName) {
+  const { name, ext } = path.parse(fileName);
+  let candidate = path.join(folder, fileName);
+  for (let i = 2; fs.existsSync(candidate); i++) {
+    candidate = path.join(folder, `${name} (${i})${ext}`);
+  }
+  return candidate;
+}
+
+/**
+ * Saves downloads started in the embedded browser without asking, into one
+ * folder per work order under `getRootFolder()`. Downloads started by any
+ * other window on an attached session are cancelled.
+ *
+ * Downloads are kept in memory for the Downloads panel. `onUpdate(download)`
+ * is called as they progress, and `onComplete(download)` once a file has been
+ * saved so it can be linked to the page's history entry.
+ */
+function createDownloadManager({ getRootFolder, onUpdate, onComplete }) {
+  const downloads = new Map(); // id -> { info, item }
+  const attached = new WeakSet();
+
+  const toInfo = (id) => ({ ...downloads.get(id).info });
+
+  const notify = (id, force = false) => {
+    const record = downloads.get(id);
+    const now = Date.now();
+    if (!force && now - record.lastNotified < UPDATE_INTERVAL_MS) return;
+    record.lastNotified = now;
+    if (onUpdate) onUpdate(toInfo(id));
+  };
+
+  const handleDownload = (event, item, contents) => {
+    // Only pages in the embedded browser download files; the hidden windows of
+    // background jobs share the session but never should
+    if (!contents || contents.isDestroyed() || contents.getType() !== 'webview') {
+      event.preventDefault();
+      return;
+    }
+
+    const pageUrl = contents.getURL();
+    const workOrderId = getWorkOrderId(pageUrl) || getWorkOrderId(item.getURL());
+    const folder = path.join(getRootFolder(), workOrderId || OTHER_FOLDER);
+    fs.mkdirSync(folder, { recursive: true });
+
+    const savePath = getUniquePath(folder, sanitizeFileName(item.getFilename()));
+    item.setSavePath(savePath);
+
+    const id = crypto.randomUUID();
+    const info = {
+      id,
+      url: item.getURL(),
+      pageUrl,
+      workOrderId,
+      fileName: path.basename(savePath),
+      savePath,
+      state: 'progressing',
+      receivedBytes: 0,
+      totalBytes: item.getTotalBytes(),
+      startedAt: new Date().toISOString(),
+      finishedAt: null
+    };
+    downloads.set(id, { info, item, lastNotified: 0 });
+    notify(id, true);
+
+    item.on('updated', (e, state) => {
+      info.state = state === 'interrupted' ? 'interrupted' : (item.isPaused() ? 'paused' : 'progressing');
+      info.receivedBytes = item.getReceivedBytes();
+      info.totalBytes = item.getTotalBytes();
+      notify(id, state === 'interrupted');
+    });
+
+    item.once('done', (e, state) => {
+      info.state = state;
+      info.receivedBytes = item.getReceivedBytes();
+      info.finishedAt = new Date().toISOString();
+      downloads.get(id).item = null;
+      notify(id, true);
+      if (state === 'completed' && onComplete) {
+        onComplete(toInfo(id));
+      }
+    });
+  };
+
+  const getItem = (id) => {
+    const record = downloads.get(id);
+    if (!record || !record.item) {
+      throw new Error('That download has already finished');
+    }
+    return record.item;
+  };
+
+  return {
+    // Start saving the downloads of a session; safe to call more than once
+    attach: (ses) => {
+      if (attached.has(ses)) return;
+      attached.add(ses);
+      ses.on('will-download', handleDownload);
+    },
+    list: () => Array.from(downloads.keys()).map(toInfo).reverse(),
+    pause: (id) => {
+      getItem(id).pause();
+      downloads.get(id).info.state = 'paused';
+      notify(id, true);
+    },
+    resume: (id) => {
+      const item = getItem(id);
+      if (!item.canResume()) {
+        throw new Error('This download cannot be resumed');
+      }
+      item.resume();
+      downloads.get(id).info.state = 'progressing';
+      notify(id, true);
+    },
+    cancel: (id) => getItem(id).cancel(),
+    getPath: (id) => {
+      const record = downloads.get(id);
+      return record ? record.info.savePath : null;
+    },
+    // Forget finished downloads; the files themselves are kept
+    clearFinished: () => {
+      Array.from(downloads.entries())
+        .filter(([, record]) => !record.item)
+        .forEach(([id]) => downloads.delete(id));
+    }
+  };
+}
+
+module.exports = { OTHER_FOLDER, sanitizeFileName, getUniquePath, createDownloadManager };
@@ -0,0 +1,178 @@
+const { getWorkOrderId } = require('./workOrder');
+
+const RULE_TYPES = ['css', 'xpath', 'regex'];
+
+// How long the page script keeps looking for fields that render late
+const DEFAULT_EXTRACTION_TIMEOUT = 5000;
+const POLL_INTERVAL = 500;
+
+/**
+ * Built-in rules for Field Nation work order pages. Several rules may target
+ * the same field; they are tried in order and the first non-empty value wins.
+ */
+const DEFAULT_RULES = [
+  {
+    domain: 'fieldnation.com',
+    rules: [
+      { field: 'title', type: 'css', expression: '[data-testid="work-order-title"], .work-order-title' },
+      { field: 'title', type: 'css', expression: 'main h1, h1' },
+      { field: 'pay', type: 'regex', expression: '(?:total pay|pay rate|pay|fixed|hourly)\\s*:?\\s*\\n?\\s*(\\$\\s?[\\d,]+(?:\\.\\d{2})?(?:\\s*(?:/|per)\\s*(?:hr|hour))?)' },
+      { field: 'pay', type: 'regex', expression: '(\\$\\s?[\\d,]+\\.\\d{2})' },
+      { field: 'location', type: 'css', expression: '[data-testid="work-order-location"], .work-order-location, address' },
+      { field: 'location', type: 'regex', expression: '(?:location|address)\\s*:?\\s*\\n\\s*([^\\n]+(?:\\n[^\\n]*\\b[A-Z]{2}\\s+\\d{5}\\b[^\\n]*)?)' },
+      { field: 'schedule', type: 'css', expression: '[data-testid="work-order-schedule"], .work-order-schedule' },
+      { field: 'schedule', type: 'regex', expression: '(?:schedule|service date|arrival|start date)\\s*:?\\s*\\n?\\s*([^\\n]+)' },
+      { field: 'company', type: 'css', expression: '[data-testid="work-order-company"], .work-order-company' },
+      { field: 'company', type: 'regex', expression: '(?:company|buyer|client)\\s*:?\\s*\\n\\s*([^\\n]+)' }
+    ]
+  }
+];
+
+// True when the host is the domain itself or one of its subdomains
+function matchesDomain(hostname, domain) {
+  const host = (hostname || '').toLowerCase();
+  const target = (domain || '').toLowerCase().replace(/^\*?\./, '');
+  return !!target && (host === target || host.endsWith(`.${target}`));
+}
+
+/**
+ * Check a rule set saved by the user, returning the list of problems found
+ */
+function validateRuleSets(ruleSets) {
+  const problems = [];
+  if (!Array.isArray(ruleSets)) {
+    return ['Rules must be a list of domains'];
+  }
+
+  ruleSets.forEach((ruleSet, setIndex) => {
+    if (!ruleSet || !ruleSet.domain) {
+      problems.push(`Rule set ${setIndex + 1} has no domain`);
+      return;
+    }
+    (ruleSet.rules || []).forEach((rule, ruleIndex) => {
+      const where = `${ruleSet.domain}, rule ${ruleIndex + 1}`;
+      if (!rule.field) problems.push(`${where}: a field name is required`);
+      if (!RULE_TYPES.includes(rule.type)) problems.push(`${where}: unknown type "${rule.type}"`);
+      if (!rule.expression) problems.push(`${where}: an expression is required`);
+      if (rule.type === 'regex' && rule.expression) {
+        try {
+          new RegExp(rule.expression, rule.flags || 'i');
+        } catch (error) {
+          problems.push(`${where}: ${error.message}`);
+        }
+      }
+    });
+  });
+  return problems;
+}
+
+/**
+ * Rules to run on a page. User rules for a matching domain replace the
+ * default rules for the same field and add any new fields.
+ */
+function getRulesForUrl(pageUrl, customRuleSets = []) {
+  let hostname;
+  try {
+    hostname = new URL(pageUrl).hostname;
+  } catch (error) {
+    return [];
+  }
+
+  const collect = (ruleSets) => ruleSets
+    .filter(ruleSet => matchesDomain(hostname, ruleSet.domain))
+    .flatMap(ruleSet => ruleSet.rules || []);
+
+  const custom = collect(customRuleSets);
+  const overridden = new Set(custom.map(rule => rule.field));
+  const defaults = collect(DEFAULT_RULES).filter(rule => !overridden.has(rule.field));
+  return [...custom, ...defaults];
+}
+
+// Runs inside the page. Kept free of closures so it can be serialised.
+function extractInPage(rules, timeout, interval) {
+  const fieldNames = Array.from(new Set(rules.map(rule => rule.field)));
+  const clean = (value) => (value || '').replace(/\s+/g, ' ').trim();
+
+  const runRules = () => {
+    const fields = {};
+    const errors = [];
+    const text = document.body ? document.body.innerText : '';
+
+    rules.forEach(rule => {
+      if (fields[rule.field]) return;
+      try {
+        let value = '';
+        if (rule.type === 'css') {
+          const element = document.querySelector(rule.expression);
+          if (element) {
+            value = rule.attribute ? element.getAttribute(rule.attribute) : (element.innerText || element.textContent);
+          }
+        } else if (rule.type === 'xpath') {
+          const node = document.evaluate(rule.expression, document, null, XPathResult.FIRST_ORDERED_NODE_TYPE, null).singleNodeValue;
+          if (node) {
+            value = rule.attribute && node.getAttribute ? node.getAttribute(rule.attribute) : node.textContent;
+          }
+        } else if (rule.type === 'regex') {
+          const match = text.match(new RegExp(rule.expression, rule.flags || 'i'));
+          if (match) {
+            const group = rule.group !== undefined && rule.group !== '' ? Number(rule.group) : (match.length > 1 ? 1 : 0);
+            value = match[group];
+          }
+        }
+        value = clean(value);
+        if (value) fields[rule.field] = value;
+      } catch (error) {
+        errors.push(`${rule.field} (${rule.type}): ${error.message}`);
+      }
+    });
+    return { fields, errors };
+  };
+
+  // Single page apps render after load, so poll until every field is found
+  return new Promise(resolve => {
+    const startedAt = Date.now();
+    const attempt = () => {
+      const result = runRules();
+      const found = Object.keys(result.fields).length;
+      if (found === fieldNames.length || Date.now() - startedAt >= timeout) {
+        resolve(result);
+      } else {
+        setTimeout(attempt, interval);
+      }
+    };
+    attempt();
+  });
+}
+
+/**
+ * Run the extraction rules for a page in its webContents and return
+ * { fields, errors, extractedAt }. The work order ID is taken from the URL.
+ */
+async function extractFields(contents, pageUrl, customRuleSets, options = {}) {
+  const rules = getRulesForUrl(pageUrl, customRuleSets);
+  const fields = {};
+  const workOrderId = getWorkOrderId(pageUrl);
+  if (workOrderId) {
+    fields.workOrderId = workOrderId;
+  }
+
+  let errors = [];
+  if (rules.length > 0) {
+    const timeout = options.timeout || DEFAULT_EXTRACTION_TIMEOUT;
+    const script = `(${extractInPage.toString()})(${JSON.stringify(rules)}, ${timeout}, ${POLL_INTERVAL})`;
+    const result = await contents.executeJavaScript(script, true);
+    Object.assign(fields, result.fields);
+    errors = result.errors;
+  }
+
+  return { fields, errors, extractedAt: new Date().toISOString() };
+}
+
+module.exports = {
+  DEFAULT_RULES,
+  RULE_TYPES,
+  matchesDomain,
+  getRulesForUrl,
+  validateRuleSets,
+  extractFields
+};
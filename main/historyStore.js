@@ -0,0 +1,246 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getUrlKey } = require('../src/shared/workOrder');
+
+// Number of individual visits kept per history entry
+const MAX_VISITS_PER_ENTRY = 50;
+
+const SORT_FIELDS = ['timestamp', 'firstOpened', 'url', 'batchId', 'visitCount'];
+
+// Changes made within this long of each other are written to disk together
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * Write a file atomically so a crash mid-write never leaves a truncated store
+ */
+function writeFileAtomic(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(tempPath, contents);
+  fs.renameSync(tempPath, filePath);
+}
+
+async function writeFileAtomicAsync(filePath, contents) {
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tempPath, contents);
+  await fs.promises.rename(tempPath, filePath);
+}
+
+/**
+ * Persistent URL history kept in a JSON file.
+ *
+ * There is one entry per URL; every time the URL is opened again its
+ * timestamp, batch and visit list are updated. URLs are matched by their URL
+ * key, so a page reached through a redirect shares the entry of the URL that
+ * was opened. The whole store is held in memory; changes are written to disk
+ * in the background, a burst of them in one write. Call `flush()` before
+ * quitting so the last changes are not lost.
+ */
+function createHistoryStore(filePath) {
+  let entries = null;
+  let dirty = false;
+  let saveTimer = null;
+  let writing = Promise.resolve(); // writes run one after another
+  let writesQueued = 0;
+
+  const load = () => {
+    if (entries) return entries;
+
+    entries = [];
+    try {
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        entries = Array.isArray(data.entries) ? data.entries : [];
+      }
+    } catch (error) {
+      // Keep the unreadable file around for inspection and start fresh
+      console.error('Error reading history store, starting a new one:', error);
+      try {
+        fs.renameSync(filePath, `${filePath}.corrupt-${Date.now()}`);
+      } catch (e) {
+        console.error('Error moving corrupt history store aside:', e);
+      }
+    }
+    return entries;
+  };
+
+  const write = () => {
+    saveTimer = null;
+    writesQueued += 1;
+    writing = writing.then(async () => {
+      if (!dirty) return;
+      dirty = false;
+      const contents = JSON.stringify({ version: 1, entries }, null, 2);
+      try {
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await writeFileAtomicAsync(filePath, contents);
+      } catch (error) {
+        // The next change writes the whole store again
+        console.error('Error saving history store:', error);
+      }
+    }).finally(() => {
+      writesQueued -= 1;
+    });
+    return writing;
+  };
+
+  const save = () => {
+    dirty = true;
+    if (!saveTimer) {
+      saveTimer = setTimeout(write, SAVE_DELAY_MS);
+    }
+  };
+
+  // Write any changes still waiting for the delay
+  const flush = () => {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+    }
+    return write();
+  };
+
+  const hasPendingChanges = () => dirty || writesQueued > 0;
+
+  // The entry of a URL, also found under the URL it redirected to (see getUrlKey)
+  const findByUrl = (url) => {
+    const key = getUrlKey(url);
+    return load().find(entry => getUrlKey(entry.url) === key) || null;
+  };
+
+  // Record a URL being opened, along with any columns it was imported with
+  const record = ({ url, timestamp, batchId, metadata }) => {
+    if (!url) return null;
+
+    const openedAt = timestamp || new Date().toISOString();
+    const visit = { timestamp: openedAt, batchId: batchId || null };
+    let entry = findByUrl(url);
+
+    if (entry) {
+      entry.timestamp = openedAt;
+      entry.batchId = visit.batchId;
+      entry.visitCount = (entry.visitCount || 0) + 1;
+      entry.visits = [...(entry.visits || []), visit].slice(-MAX_VISITS_PER_ENTRY);
+      if (metadata) entry.metadata = metadata;
+    } else {
+      entry = {
+        id: crypto.randomUUID(),
+        url,
+        batchId: visit.batchId,
+        timestamp: openedAt,
+        firstOpened: openedAt,
+        visitCount: 1,
+        visits: [visit],
+        ...(metadata ? { metadata } : {})
+      };
+      entries.push(entry);
+    }
+
+    save();
+    return entry;
+  };
+
+  /**
+   * Merge changes into the entry for a URL, creating the entry if the URL has
+   * not been opened yet. `changes` may be an object or a function that
+   * receives the current entry and returns the fields to update.
+   */
+  const update = (url, changes) => {
+    if (!url) return null;
+
+    let entry = findByUrl(url);
+    if (!entry) {
+      const now = new Date().toISOString();
+      entry = {
+        id: crypto.randomUUID(),
+        url,
+        batchId: null,
+        timestamp: now,
+        firstOpened: now,
+        visitCount: 0,
+        visits: []
+      };
+      entries.push(entry);
+    }
+
+    const fields = typeof changes === 'function' ? changes(entry) : changes;
+    Object.assign(entry, fields, { id: entry.id, url: entry.url });
+
+    save();
+    return entry;
+  };
+
+  /**
+   * Query the history.
+   *
+   * Supported options: search (matches URL or batch), batchId, from/to
+   * (ISO dates on the last opened time), sortBy, sortOrder ('asc' | 'desc'),
+   * offset and limit (0 returns everything).
+   */
+  const list = (query = {}) => {
+    const {
+      search = '',
+      batchId,
+      from,
+      to,
+      sortBy = 'timestamp',
+      sortOrder = 'desc',
+      offset = 0,
+      limit = 50
+    } = query;
+
+    const term = search.trim().toLowerCase();
+    const fromTime = from ? new Date(from).getTime() : null;
+    const toTime = to ? new Date(to).getTime() : null;
+
+    const matches = load().filter(entry => {
+      if (term && !(
+        entry.url.toLowerCase().includes(term) ||
+        (entry.batchId && entry.batchId.toString().includes(term))
+      )) {
+        return false;
+      }
+      if (batchId !== undefined && batchId !== null && batchId !== '' &&
+          String(entry.batchId) !== String(batchId)) {
+        return false;
+      }
+      const openedAt = new Date(entry.timestamp).getTime();
+      if (fromTime !== null && openedAt < fromTime) return false;
+      if (toTime !== null && openedAt > toTime) return false;
+      return true;
+    });
+
+    const field = SORT_FIELDS.includes(sortBy) ? sortBy : 'timestamp';
+    const direction = sortOrder === 'asc' ? 1 : -1;
+    matches.sort((a, b) => {
+      let valueA = a[field];
+      let valueB = b[field];
+      if (field === 'timestamp' || field === 'firstOpened') {
+        valueA = new Date(valueA).getTime();
+        valueB = new Date(valueB).getTime();
+      }
+      if (valueA === valueB) return 0;
+      if (valueA === undefined || valueA === null) return 1;
+      if (valueB === undefined || valueB === null) return -1;
+      return valueA > valueB ? direction : -direction;
+    });
+
+    const start = Math.max(0, offset);
+    return {
+      entries: limit > 0 ? matches.slice(start, start + limit) : matches.slice(start),
+      total: matches.length,
+      offset: start,
+      limit
+    };
+  };
+
+  return {
+    record,
+    update,
+    list,
+    findByUrl,
+    flush,
+    hasPendingChanges
+  };
+}
+
+module.exports = { createHistoryStore, writeFileAtomic };
@@ -0,0 +1,67 @@
+// Checks for the payloads the renderer sends over IPC. Each channel declares
+// the fields it accepts as `{ field: 'type' }`, with a trailing '?' marking
+// optional fields (undefined or null).
+
+const isPlainObject = (value) => (
+  value !== null && typeof value === 'object' && !Array.isArray(value)
+);
+
+const isHttpUrl = (value) => {
+  if (typeof value !== 'string') return false;
+  try {
+    const parsed = new URL(value);
+    return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+  } catch (e) {
+    return false;
+  }
+};
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  url: isHttpUrl,
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  id: (value) => Number.isInteger(value) && value > 0,
+  boolean: (value) => typeof value === 'boolean',
+  object: isPlainObject,
+  array: Array.isArray,
+  stringArray: (value) => Array.isArray(value) && value.every(item => typeof item === 'string'),
+  // Strings or numbers, e.g. a batch number
+  key: (value) => typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value)),
+  any: () => true
+};
+
+/**
+ * Check a payload against a schema and return it, or throw an error naming
+ * the channel and the first field that does not match. A missing payload is
+ * treated as an empty object. Fields not in the schema are dropped.
+ */
+function validatePayload(channel, payload, schema = {}) {
+  const data = payload === undefined || payload === null ? {} : payload;
+  if (!isPlainObject(data)) {
+    throw new Error(`Invalid request for ${channel}: expected an object`);
+  }
+
+  return Object.entries(schema).reduce((result, [field, spec]) => {
+    const optional = spec.endsWith('?');
+    const type = optional ? spec.slice(0, -1) : spec;
+    const check = TYPE_CHECKS[type];
+    if (!check) {
+      throw new Error(`Unknown payload type "${type}" for ${channel}.${field}`);
+    }
+
+    const value = data[field];
+    if (value === undefined || value === null) {
+      if (!optional) {
+        throw new Error(`Invalid request for ${channel}: ${field} is required`);
+      }
+      return result;
+    }
+    if (!check(value)) {
+      throw new Error(`Invalid request for ${channel}: ${field} must be ${type === 'url' ? 'an http(s) URL' : `of type ${type}`}`);
+    }
+    result[field] = value;
+    return result;
+  }, {});
+}
+
+module.exports = { validatePayload, isHttpUrl };
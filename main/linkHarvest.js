@@ -0,0 +1,41 @@
+// Default pattern for Field Nation work order links
+const DEFAULT_LINK_PATTERN = '/workorders/\\d+';
+
+// Runs inside the page: every link with its absolute URL and visible text
+const READ_LINKS_SCRIPT = `Array.from(document.querySelectorAll('a[href]')).map(a => ({
+  url: a.href,
+  text: (a.innerText || a.textContent || '').replace(/\\s+/g, ' ').trim()
+}))`;
+
+/**
+ * Compile a link pattern typed by the user, throwing a readable error
+ */
+function compileLinkPattern(pattern) {
+  try {
+    return new RegExp(pattern || DEFAULT_LINK_PATTERN, 'i');
+  } catch (error) {
+    throw new Error(`Invalid link pattern: ${error.message}`);
+  }
+}
+
+/**
+ * Collect the http(s) links of a page whose URL matches `pattern`, without
+ * duplicates (ignoring #fragments). Returns [{ url, text }] in page order.
+ */
+async function collectLinks(contents, pattern) {
+  const regex = compileLinkPattern(pattern);
+  const links = await contents.executeJavaScript(READ_LINKS_SCRIPT, true);
+  const seen = new Set();
+
+  return (links || []).reduce((matches, link) => {
+    const linkUrl = String(link.url || '').split('#')[0];
+    if (!/^https?:\/\//i.test(linkUrl) || !regex.test(linkUrl) || seen.has(linkUrl)) {
+      return matches;
+    }
+    seen.add(linkUrl);
+    matches.push({ url: linkUrl, text: link.text || '' });
+    return matches;
+  }, []);
+}
+
+module.exports = { DEFAULT_LINK_PATTERN, compileLinkPattern, collectLinks };
@@ -0,0 +1,60 @@
+const { BrowserWindow } = require('electron');
+
+/**
+ * Create a hidden window that renders pages offscreen in the given session
+ * partition, so it shares cookies and logins with the embedded browser.
+ */
+function createOffscreenWindow(partition) {
+  return new BrowserWindow({
+    show: false,
+    width: 1280,
+    height: 1600,
+    webPreferences: {
+      partition,
+      offscreen: true,
+      nodeIntegration: false,
+      contextIsolation: true
+    }
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Load a URL and wait for the page to settle: the load has finished and no
+ * further loading (redirects, late XHR-driven navigations) has started for
+ * `settleDelay` milliseconds.
+ */
+async function loadAndSettle(win, pageUrl, { timeout = 45000, settleDelay = 1500 } = {}) {
+  const contents = win.webContents;
+  let timer;
+
+  const timeoutPromise = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out loading ${pageUrl}`)), timeout);
+  });
+
+  const settle = async () => {
+    try {
+      await contents.loadURL(pageUrl);
+    } catch (error) {
+      // Aborted loads are usually client-side redirects; let the page settle
+      if (error.code !== 'ERR_ABORTED') throw error;
+    }
+    for (;;) {
+      await wait(settleDelay);
+      if (!contents.isLoading()) break;
+    }
+  };
+
+  try {
+    await Promise.race([settle(), timeoutPromise]);
+  } catch (error) {
+    // Don't leave a timed out page loading in the background
+    if (!contents.isDestroyed()) contents.stop();
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+module.exports = { createOffscreenWindow, loadAndSettle, wait };
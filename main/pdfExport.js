@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// Margin presets offered in the UI, in inches
+const MARGIN_PRESETS = {
+  default: { top: 0.4, bottom: 0.4, left: 0.4, right: 0.4 },
+  none: { top: 0, bottom: 0, left: 0, right: 0 },
+  narrow: { top: 0.25, bottom: 0.25, left: 0.25, right: 0.25 },
+  wide: { top: 1, bottom: 1, left: 1, right: 1 }
+};
+
+const PAGE_SIZES = ['Letter', 'Legal', 'Tabloid', 'A3', 'A4', 'A5'];
+
+/**
+ * Translate the export options chosen in the UI into printToPDF options
+ */
+function buildPdfOptions(options = {}) {
+  return {
+    pageSize: PAGE_SIZES.includes(options.pageSize) ? options.pageSize : 'Letter',
+    margins: MARGIN_PRESETS[options.margins] || MARGIN_PRESETS.default,
+    landscape: !!options.landscape,
+    printBackground: options.printBackground !== false
+  };
+}
+
+/**
+ * Render the page loaded in a webContents to a PDF file
+ */
+async function savePageAsPdf(contents, filePath, options) {
+  const data = await contents.printToPDF(buildPdfOptions(options));
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, data);
+  return filePath;
+}
+
+module.exports = { buildPdfOptions, savePageAsPdf, PAGE_SIZES };
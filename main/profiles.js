@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const { session } = require('electron');
+
+// Browser identity used when a profile does not set its own
+const DEFAULT_USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36';
+
+// The first profile keeps the partition used before profiles existed, so
+// existing logins carry over
+const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  partition: 'persist:authSession',
+  userAgent: '',
+  templateId: null
+};
+
+// Fields that are written to a profile export; everything else (partition,
+// cookies, storage) stays on this machine
+const EXPORTED_FIELDS = ['name', 'userAgent', 'templateId'];
+
+/**
+ * Named account profiles, each with its own persistent session partition.
+ *
+ * Profiles live in the settings store under `profiles` as
+ * `{ profiles, activeId }`. `configureSession(ses)` is called for every
+ * profile's session so it gets the same policies as the others.
+ */
+function createProfiles({ settingsStore, configureSession }) {
+  const load = () => {
+    const saved = settingsStore.get('profiles', null);
+    if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+      return saved;
+    }
+    return { profiles: [DEFAULT_PROFILE], activeId: DEFAULT_PROFILE.id };
+  };
+
+  const store = (data) => settingsStore.set('profiles', data);
+
+  // Set up the session of a profile; safe to call more than once
+  const prepareSession = (profile) => {
+    const ses = session.fromPartition(profile.partition);
+    ses.setUserAgent(profile.userAgent || DEFAULT_USER_AGENT);
+    if (configureSession) configureSession(ses);
+    return ses;
+  };
+
+  const list = () => load();
+
+  // The profile with this ID, or the active one when there is none
+  const get = (id) => {
+    const { profiles, activeId } = load();
+    return profiles.find(profile => profile.id === id) ||
+      profiles.find(profile => profile.id === activeId) ||
+      profiles[0];
+  };
+
+  const getActive = () => get(null);
+
+  const setActive = (id) => {
+    const data = load();
+    if (!data.profiles.some(profile => profile.id === id)) {
+      throw new Error('That profile no longer exists');
+    }
+    return store({ ...data, activeId: id });
+  };
+
+  // Create a profile, or update the name, user agent and template of an existing one
+  const save = ({ id, name, userAgent, templateId }) => {
+    const data = load();
+    const trimmedName = (name || '').trim();
+    if (!trimmedName) {
+      throw new Error('A profile needs a name');
+    }
+    if (data.profiles.some(profile => profile.id !== id && profile.name.toLowerCase() === trimmedName.toLowerCase())) {
+      throw new Error(`There is already a profile called ${trimmedName}`);
+    }
+
+    const changes = { name: trimmedName, userAgent: (userAgent || '').trim(), templateId: templateId || null };
+    let profile = id ? data.profiles.find(item => item.id === id) : null;
+    if (id && !profile) {
+      throw new Error('That profile no longer exists');
+    }
+
+    let profiles;
+    if (profile) {
+      profile = { ...profile, ...changes };
+      profiles = data.profiles.map(item => (item.id === id ? profile : item));
+    } else {
+      const newId = crypto.randomUUID();
+      profile = { id: newId, partition: `persist:profile-${newId}`, ...changes };
+      profiles = [...data.profiles, profile];
+    }
+
+    store({ ...data, profiles });
+    prepareSession(profile);
+    return profile;
+  };
+
+  // Delete a profile along with its cookies and site data
+  const remove = async (id) => {
+    const data = load();
+    const profile = data.profiles.find(item => item.id === id);
+    if (!profile) return data;
+    if (data.profiles.length === 1) {
+      throw new Error('The last profile cannot be removed');
+    }
+
+    const profiles = data.profiles.filter(item => item.id !== id);
+    const result = store({
+      profiles,
+      activeId: data.activeId === id ? profiles[0].id : data.activeId
+    });
+    await session.fromPartition(profile.partition).clearStorageData();
+    return result;
+  };
+
+  // Profile settings without partitions or any session data
+  const exportSettings = () => ({
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    profiles: load().profiles.map(profile => EXPORTED_FIELDS.reduce((exported, field) => {
+      exported[field] = profile[field] === undefined ? null : profile[field];
+      return exported;
+    }, {}))
+  });
+
+  // Add the profiles from an export, updating the ones with the same name
+  const importSettings = (imported) => {
+    if (!imported || !Array.isArray(imported.profiles)) {
+      throw new Error('The file is not a profile export');
+    }
+
+    let added = 0;
+    let updated = 0;
+    imported.profiles.forEach(item => {
+      if (!item || typeof item.name !== 'string' || !item.name.trim()) return;
+      const existing = load().profiles.find(profile => profile.name.toLowerCase() === item.name.trim().toLowerCase());
+      save({
+        id: existing ? existing.id : undefined,
+        name: item.name,
+        userAgent: typeof item.userAgent === 'string' ? item.userAgent : '',
+        templateId: typeof item.templateId === 'string' ? item.templateId : null
+      });
+      if (existing) {
+        updated++;
+      } else {
+        added++;
+      }
+    });
+    return { added, updated };
+  };
+
+  return {
+    list,
+    get,
+    getActive,
+    setActive,
+    save,
+    remove,
+    exportSettings,
+    importSettings,
+    // Prepare the sessions of every profile, once the app is ready
+    prepareSessions: () => load().profiles.forEach(prepareSession)
+  };
+}
+
+module.exports = { DEFAULT_USER_AGENT, createProfiles };
@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { nativeImage } = require('electron');
+const { getWorkOrderId } = require('./workOrder');
+
+// 'viewport' captures what is visible, 'fullPage' the whole scrolled page
+const SCREENSHOT_MODES = ['viewport', 'fullPage'];
+
+const DEFAULT_SCREENSHOT_SETTINGS = { enabled: false, mode: 'viewport' };
+
+const THUMBNAIL_WIDTH = 320;
+
+// Very long pages are cut off here to keep the images a sensible size
+const MAX_FULL_PAGE_HEIGHT = 10000;
+
+/**
+ * Check screenshot settings sent by the renderer, throwing a readable error
+ */
+function validateScreenshotSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Screenshot settings must be an object');
+  }
+  if (!SCREENSHOT_MODES.includes(settings.mode)) {
+    throw new Error(`Unknown screenshot mode: ${settings.mode}`);
+  }
+  return { enabled: !!settings.enabled, mode: settings.mode };
+}
+
+// The whole page through the DevTools protocol, which can render beyond the
+// viewport; null if the debugger is not available (e.g. DevTools are open)
+async function captureFullPage(contents) {
+  const { debugger: devtools } = contents;
+  if (devtools.isAttached()) return null;
+
+  try {
+    devtools.attach('1.3');
+  } catch (error) {
+    return null;
+  }
+
+  try {
+    const metrics = await devtools.sendCommand('Page.getLayoutMetrics');
+    const size = metrics.cssContentSize || metrics.contentSize;
+    const { data } = await devtools.sendCommand('Page.captureScreenshot', {
+      format: 'png',
+      captureBeyondViewport: true,
+      clip: {
+        x: 0,
+        y: 0,
+        width: Math.ceil(size.width),
+        height: Math.min(Math.ceil(size.height), MAX_FULL_PAGE_HEIGHT),
+        scale: 1
+      }
+    });
+    return nativeImage.createFromBuffer(Buffer.from(data, 'base64'));
+  } finally {
+    devtools.detach();
+  }
+}
+
+/**
+ * Screenshot the page shown in `contents` and save it with a thumbnail under
+ * `rootFolder`. Returns null when nothing could be captured, e.g. while the
+ * webview is hidden.
+ */
+async function captureScreenshot(contents, rootFolder, pageUrl, mode = DEFAULT_SCREENSHOT_SETTINGS.mode) {
+  let image = mode === 'fullPage' ? await captureFullPage(contents) : null;
+  if (!image || image.isEmpty()) {
+    image = await contents.capturePage();
+  }
+  if (!image || image.isEmpty()) return null;
+
+  const folder = path.join(rootFolder, getWorkOrderId(pageUrl) || 'other');
+  await fs.promises.mkdir(folder, { recursive: true });
+
+  const capturedAt = new Date().toISOString();
+  const baseName = capturedAt.replace(/[:.]/g, '-');
+  const imagePath = path.join(folder, `${baseName}.png`);
+  const thumbnailPath = path.join(folder, `${baseName}-thumb.jpg`);
+
+  // Thumbnails show the top of the page at a 4:3 ratio
+  const { width, height } = image.getSize();
+  const thumbnail = image
+    .crop({ x: 0, y: 0, width, height: Math.min(height, Math.round(width * 0.75)) })
+    .resize({ width: THUMBNAIL_WIDTH, quality: 'good' });
+
+  await fs.promises.writeFile(imagePath, image.toPNG());
+  await fs.promises.writeFile(thumbnailPath, thumbnail.toJPEG(80));
+
+  return { path: imagePath, thumbnailPath, mode, capturedAt };
+}
+
+// Remove the files of a screenshot that has been replaced
+async function deleteScreenshot(screenshot) {
+  await Promise.all([screenshot.path, screenshot.thumbnailPath].map(filePath => (
+    fs.promises.rm(filePath, { force: true })
+  )));
+}
+
+// Images are handed to the renderer as data URLs, since it cannot read files
+async function readImageDataUrl(filePath) {
+  try {
+    const data = await fs.promises.readFile(filePath);
+    const type = path.extname(filePath).toLowerCase() === '.png' ? 'image/png' : 'image/jpeg';
+    return `data:${type};base64,${data.toString('base64')}`;
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+module.exports = {
+  SCREENSHOT_MODES,
+  DEFAULT_SCREENSHOT_SETTINGS,
+  validateScreenshotSettings,
+  captureScreenshot,
+  deleteScreenshot,
+  readImageDataUrl
+};
@@ -0,0 +1,176 @@
+const { matchesDomain } = require('./extraction');
+
+// Permissions that can be granted per trusted domain
+const PERMISSION_TYPES = ['media', 'geolocation', 'notifications'];
+
+// Harmless permissions granted to every site, as a normal browser would
+const ALWAYS_ALLOWED_PERMISSIONS = ['fullscreen', 'clipboard-sanitized-write'];
+
+// Number of blocked actions kept in memory for the settings screen
+const MAX_BLOCKED_ENTRIES = 200;
+
+const DEFAULT_POLICY = {
+  domains: [
+    {
+      domain: 'fieldnation.com',
+      allowCertificateErrors: false,
+      relaxCsp: false,
+      permissions: ['notifications']
+    }
+  ]
+};
+
+const getHostname = (pageUrl) => {
+  try {
+    return new URL(pageUrl).hostname;
+  } catch (error) {
+    return '';
+  }
+};
+
+// "https://App.Example.com/path" -> "app.example.com"
+function normalizeDomain(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, '')
+    .replace(/[/:?#].*$/, '')
+    .replace(/^\*?\./, '');
+}
+
+/**
+ * Check a policy before saving it. Returns a list of problems, empty when
+ * the policy is valid.
+ */
+function validatePolicy(policy) {
+  if (!policy || !Array.isArray(policy.domains)) {
+    return ['The policy must have a list of domains'];
+  }
+
+  const problems = [];
+  const seen = new Set();
+  policy.domains.forEach((entry, index) => {
+    const domain = normalizeDomain(entry && entry.domain);
+    if (!domain || !/^[a-z0-9.-]+$/.test(domain)) {
+      problems.push(`Domain ${index + 1} is not a valid domain name`);
+      return;
+    }
+    if (seen.has(domain)) {
+      problems.push(`${domain} is listed more than once`);
+    }
+    seen.add(domain);
+    (entry.permissions || []).forEach(permission => {
+      if (!PERMISSION_TYPES.includes(permission)) {
+        problems.push(`${domain}: unknown permission "${permission}"`);
+      }
+    });
+  });
+  return problems;
+}
+
+// Tidy a policy from the settings screen before it is stored
+function normalizePolicy(policy) {
+  return {
+    domains: policy.domains.map(entry => ({
+      domain: normalizeDomain(entry.domain),
+      allowCertificateErrors: !!entry.allowCertificateErrors,
+      relaxCsp: !!entry.relaxCsp,
+      permissions: (entry.permissions || []).filter(permission => PERMISSION_TYPES.includes(permission))
+    }))
+  };
+}
+
+// The trusted domain entry covering a URL, or null
+function findDomainEntry(policy, pageUrl) {
+  const hostname = getHostname(pageUrl);
+  if (!hostname || !policy || !Array.isArray(policy.domains)) return null;
+  return policy.domains.find(entry => matchesDomain(hostname, entry.domain)) || null;
+}
+
+/**
+ * Applies the user's security policy to sessions and certificate errors.
+ *
+ * Only domains on the allowlist get any exceptions, and only the ones
+ * switched on for them: accepting certificate errors, dropping the page's
+ * Content-Security-Policy and the permissions in PERMISSION_TYPES. Every
+ * other site keeps Chromium's default behaviour. Refused requests are kept
+ * in a short log and reported through `onBlocked`.
+ */
+function createSecurityPolicy({ getPolicy, isAppContents, onBlocked }) {
+  let blocked = [];
+
+  const logBlocked = (type, pageUrl, detail) => {
+    const entry = { at: new Date().toISOString(), type, url: pageUrl || '', detail };
+    blocked = [entry, ...blocked].slice(0, MAX_BLOCKED_ENTRIES);
+    if (onBlocked) onBlocked(entry);
+  };
+
+  const isPermissionAllowed = (permission, pageUrl) => {
+    if (ALWAYS_ALLOWED_PERMISSIONS.includes(permission)) return true;
+    const entry = findDomainEntry(getPolicy(), pageUrl);
+    return !!entry && PERMISSION_TYPES.includes(permission) &&
+      (entry.permissions || []).includes(permission);
+  };
+
+  // Install the permission and header handlers on a session
+  const applyToSession = (ses) => {
+    ses.setPermissionRequestHandler((contents, permission, callback, details) => {
+      if (isAppContents && isAppContents(contents)) {
+        callback(true);
+        return;
+      }
+      const pageUrl = (details && details.requestingUrl) || (contents && contents.getURL());
+      const allowed = isPermissionAllowed(permission, pageUrl);
+      if (!allowed) {
+        logBlocked('permission', pageUrl, `Denied ${permission}`);
+      }
+      callback(allowed);
+    });
+
+    ses.setPermissionCheckHandler((contents, permission, requestingOrigin) => {
+      if (isAppContents && isAppContents(contents)) return true;
+      return isPermissionAllowed(permission, requestingOrigin);
+    });
+
+    ses.webRequest.onHeadersReceived((details, callback) => {
+      const entry = findDomainEntry(getPolicy(), details.url);
+      if (!entry || !entry.relaxCsp || !details.responseHeaders) {
+        callback({});
+        return;
+      }
+      const responseHeaders = Object.fromEntries(
+        Object.entries(details.responseHeaders).filter(([name]) => (
+          !/^content-security-policy(-report-only)?$/i.test(name)
+        ))
+      );
+      callback({ responseHeaders });
+    });
+  };
+
+  // Returns true when the certificate error should be ignored for this URL
+  const allowCertificateError = (pageUrl, error) => {
+    const entry = findDomainEntry(getPolicy(), pageUrl);
+    if (entry && entry.allowCertificateErrors) return true;
+    logBlocked('certificate', pageUrl, `Refused certificate (${error})`);
+    return false;
+  };
+
+  return {
+    applyToSession,
+    allowCertificateError,
+    getBlocked: () => blocked,
+    clearBlocked: () => {
+      blocked = [];
+    }
+  };
+}
+
+module.exports = {
+  PERMISSION_TYPES,
+  DEFAULT_POLICY,
+  normalizeDomain,
+  validatePolicy,
+  normalizePolicy,
+  findDomainEntry,
+  createSecurityPolicy
+};
@@ -0,0 +1,57 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./historyStore');
+
+/**
+ * Small key/value store for user settings kept in a JSON file.
+ *
+ * Values must be JSON serialisable. The file is read once and rewritten on
+ * every change.
+ */
+function createSettingsStore(filePath) {
+  let settings = null;
+
+  const load = () => {
+    if (settings) return settings;
+
+    settings = {};
+    try {
+      if (fs.existsSync(filePath)) {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        settings = data && typeof data.settings === 'object' && data.settings !== null ? data.settings : {};
+      }
+    } catch (error) {
+      console.error('Error reading settings, using defaults:', error);
+    }
+    return settings;
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileAtomic(filePath, JSON.stringify({ version: 1, settings }, null, 2));
+  };
+
+  // Read a setting, falling back to `defaultValue` when it has never been set
+  const get = (key, defaultValue = null) => {
+    const values = load();
+    return Object.prototype.hasOwnProperty.call(values, key) ? values[key] : defaultValue;
+  };
+
+  const set = (key, value) => {
+    load();
+    if (value === undefined || value === null) {
+      delete settings[key];
+    } else {
+      settings[key] = value;
+    }
+    save();
+    return get(key);
+  };
+
+  return {
+    get,
+    set
+  };
+}
+
+module.exports = { createSettingsStore };
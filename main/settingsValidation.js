@@ -0,0 +1,83 @@
+// Checks for the settings the renderer may change directly. Each setting has
+// its own IPC channel; anything that does not match is rejected with a
+// readable error.
+
+const MAX_URL_TEMPLATES = 50;
+const MAX_RESULTS_VIEWS = 100;
+const MAX_VIEW_FILTERS = 50;
+
+const isText = (value) => typeof value === 'string';
+
+/**
+ * Named URL templates and the active one: { templates, activeId }. Each
+ * pattern must be an http(s) URL containing {id}.
+ */
+function validateUrlTemplates(value) {
+  if (!value || typeof value !== 'object' || !Array.isArray(value.templates)) {
+    throw new Error('URL templates must be an object with a list of templates');
+  }
+  if (value.templates.length === 0 || value.templates.length > MAX_URL_TEMPLATES) {
+    throw new Error(`Between 1 and ${MAX_URL_TEMPLATES} URL templates are allowed`);
+  }
+
+  const ids = new Set();
+  const templates = value.templates.map((template, index) => {
+    const { id, name, pattern } = template || {};
+    if (!isText(id) || !id.trim() || ids.has(id)) {
+      throw new Error(`URL template ${index + 1} needs a unique id`);
+    }
+    if (!isText(name) || !name.trim()) {
+      throw new Error(`URL template ${index + 1} needs a name`);
+    }
+    if (!isText(pattern) || !pattern.includes('{id}') || !/^https?:\/\/[^/\s]+/i.test(pattern.trim())) {
+      throw new Error(`URL template "${name}" must be an http(s) URL containing {id}`);
+    }
+    ids.add(id);
+    return { id, name: name.trim(), pattern: pattern.trim() };
+  });
+
+  return {
+    templates,
+    activeId: ids.has(value.activeId) ? value.activeId : templates[0].id
+  };
+}
+
+/**
+ * Saved views of the Results tab: [{ name, search, filters, sort }]
+ */
+function validateResultsViews(value) {
+  if (!Array.isArray(value) || value.length > MAX_RESULTS_VIEWS) {
+    throw new Error(`Saved views must be a list of at most ${MAX_RESULTS_VIEWS} views`);
+  }
+
+  return value.map((view, index) => {
+    const { name, search = '', filters = [], sort } = view || {};
+    if (!isText(name) || !name.trim()) {
+      throw new Error(`Saved view ${index + 1} needs a name`);
+    }
+    if (!isText(search)) {
+      throw new Error(`The search of view "${name}" must be text`);
+    }
+    if (!Array.isArray(filters) || filters.length > MAX_VIEW_FILTERS) {
+      throw new Error(`View "${name}" has an invalid list of filters`);
+    }
+    if (!sort || !isText(sort.column) || !['asc', 'desc'].includes(sort.direction)) {
+      throw new Error(`View "${name}" has an invalid sort order`);
+    }
+
+    return {
+      name: name.trim(),
+      search,
+      filters: filters.map(filter => {
+        const { column, operator, value: filterValue = '', valueTo = '' } = filter || {};
+        if (![column, operator, filterValue, valueTo].every(isText)) {
+          throw new Error(`View "${name}" has an invalid filter`);
+        }
+        return { column, operator, value: filterValue, valueTo };
+      }),
+      sort: { column: sort.column, direction: sort.direction }
+    };
+  });
+}
+
+module.exports = { validateUrlTemplates, validateResultsViews };
@@ -0,0 +1,122 @@
+const fs = require('fs');
+const path = require('path');
+const { BrowserWindow, session } = require('electron');
+const { getWorkOrderId } = require('./workOrder');
+
+// Formats accepted by webContents.savePage and the extension used for each
+const SNAPSHOT_FORMATS = {
+  MHTML: 'mhtml',
+  HTMLComplete: 'html'
+};
+
+const DEFAULT_SNAPSHOT_SETTINGS = { enabled: false, format: 'MHTML' };
+
+// Snapshots kept per history entry; older ones are deleted as new ones are saved
+const MAX_SNAPSHOTS_PER_ENTRY = 20;
+
+// Session for the snapshot viewer; it never touches the network
+const VIEWER_PARTITION = 'snapshot-viewer';
+
+/**
+ * Check snapshot settings sent by the renderer, throwing a readable error
+ */
+function validateSnapshotSettings(settings) {
+  if (!settings || typeof settings !== 'object') {
+    throw new Error('Snapshot settings must be an object');
+  }
+  if (!SNAPSHOT_FORMATS[settings.format]) {
+    throw new Error(`Unknown snapshot format: ${settings.format}`);
+  }
+  return { enabled: !!settings.enabled, format: settings.format };
+}
+
+// Snapshots of one work order (or one site) share a folder
+function getSnapshotFolder(rootFolder, pageUrl) {
+  const workOrderId = getWorkOrderId(pageUrl);
+  if (workOrderId) return path.join(rootFolder, workOrderId);
+  try {
+    return path.join(rootFolder, new URL(pageUrl).hostname || 'other');
+  } catch (error) {
+    return path.join(rootFolder, 'other');
+  }
+}
+
+/**
+ * Save the page shown in `contents` as a complete offline copy under
+ * `rootFolder`, named by the time it was taken. HTMLComplete snapshots keep
+ * their assets in a "<name>_files" folder next to the page.
+ */
+async function saveSnapshot(contents, rootFolder, pageUrl, format = DEFAULT_SNAPSHOT_SETTINGS.format) {
+  const folder = getSnapshotFolder(rootFolder, pageUrl);
+  await fs.promises.mkdir(folder, { recursive: true });
+
+  const savedAt = new Date().toISOString();
+  const filePath = path.join(folder, `${savedAt.replace(/[:.]/g, '-')}.${SNAPSHOT_FORMATS[format]}`);
+  await contents.savePage(filePath, format);
+
+  return { path: filePath, format, title: contents.getTitle(), savedAt };
+}
+
+// Remove the files of a snapshot that no longer fits in its entry, including
+// the assets folder of an HTMLComplete one
+async function deleteSnapshot(snapshot) {
+  const { dir, name } = path.parse(snapshot.path);
+  await Promise.all([snapshot.path, path.join(dir, `${name}_files`)].map(filePath => (
+    fs.promises.rm(filePath, { recursive: true, force: true })
+  )));
+}
+
+let viewerSessionReady = false;
+
+// Only the archived files themselves may load in the viewer
+function prepareViewerSession() {
+  const viewerSession = session.fromPartition(VIEWER_PARTITION);
+  if (!viewerSessionReady) {
+    viewerSessionReady = true;
+    viewerSession.webRequest.onBeforeRequest((details, callback) => {
+      callback({ cancel: !/^(file|data|blob):/i.test(details.url) });
+    });
+    viewerSession.setPermissionRequestHandler((contents, permission, callback) => callback(false));
+  }
+  return viewerSession;
+}
+
+/**
+ * Open a snapshot read-only in its own window: scripts are off, the page
+ * cannot navigate or open windows, and nothing is fetched from the network.
+ */
+function openSnapshotWindow(snapshot, parent) {
+  prepareViewerSession();
+
+  const win = new BrowserWindow({
+    width: 1100,
+    height: 800,
+    parent,
+    title: `Snapshot of ${snapshot.title || 'work order'} – ${new Date(snapshot.savedAt).toLocaleString()}`,
+    webPreferences: {
+      partition: VIEWER_PARTITION,
+      javascript: false,
+      nodeIntegration: false,
+      contextIsolation: true,
+      sandbox: true
+    }
+  });
+
+  // Keep the window title instead of the archived page's
+  win.on('page-title-updated', (event) => event.preventDefault());
+  win.webContents.on('will-navigate', (event) => event.preventDefault());
+  win.webContents.setWindowOpenHandler(() => ({ action: 'deny' }));
+
+  win.loadFile(snapshot.path);
+  return win;
+}
+
+module.exports = {
+  SNAPSHOT_FORMATS,
+  DEFAULT_SNAPSHOT_SETTINGS,
+  MAX_SNAPSHOTS_PER_ENTRY,
+  validateSnapshotSettings,
+  saveSnapshot,
+  deleteSnapshot,
+  openSnapshotWindow
+};
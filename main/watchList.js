@@ -0,0 +1,328 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./historyStore');
+const { createOffscreenWindow, loadAndSettle } = require('./offscreen');
+const { extractFields } = require('./extraction');
+
+// How often the scheduler looks for watched URLs that are due
+const TICK_INTERVAL = 30 * 1000;
+
+// Number of changes kept in each watched URL's change log
+const MAX_CHANGES_PER_ITEM = 100;
+
+// Page text kept for comparison, and number of changed lines reported
+const MAX_SNAPSHOT_TEXT = 20000;
+const MAX_DIFF_LINES = 20;
+
+const DEFAULT_SETTINGS = {
+  defaultIntervalMinutes: 60,
+  quietHours: { enabled: false, start: '22:00', end: '07:00' },
+  // Minimum time between two checks on the same domain
+  domainRateLimitSeconds: 60,
+  desktopNotifications: true
+};
+
+// Limits for the check interval and the per-domain rate limit
+const MAX_INTERVAL_MINUTES = 7 * 24 * 60;
+const MAX_DOMAIN_RATE_LIMIT_SECONDS = 60 * 60;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const clamp = (value, min, max, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(max, Math.max(min, Math.round(number))) : fallback;
+};
+
+const clampInterval = (value, fallback) => clamp(value, 1, MAX_INTERVAL_MINUTES, fallback);
+
+/**
+ * Merge `changes` into the watch settings, clamping the numbers into range.
+ * Unknown keys are dropped; quiet hours must be HH:MM times.
+ */
+function normalizeWatchSettings(current, changes = {}) {
+  const settings = { ...DEFAULT_SETTINGS, ...current };
+  const result = {
+    defaultIntervalMinutes: clampInterval(settings.defaultIntervalMinutes, DEFAULT_SETTINGS.defaultIntervalMinutes),
+    quietHours: { ...DEFAULT_SETTINGS.quietHours, ...settings.quietHours },
+    domainRateLimitSeconds: clamp(settings.domainRateLimitSeconds, 0, MAX_DOMAIN_RATE_LIMIT_SECONDS, DEFAULT_SETTINGS.domainRateLimitSeconds),
+    desktopNotifications: settings.desktopNotifications !== false
+  };
+
+  if (changes.defaultIntervalMinutes !== undefined) {
+    result.defaultIntervalMinutes = clampInterval(changes.defaultIntervalMinutes, result.defaultIntervalMinutes);
+  }
+  if (changes.domainRateLimitSeconds !== undefined) {
+    result.domainRateLimitSeconds = clamp(changes.domainRateLimitSeconds, 0, MAX_DOMAIN_RATE_LIMIT_SECONDS, result.domainRateLimitSeconds);
+  }
+  if (changes.desktopNotifications !== undefined) {
+    result.desktopNotifications = !!changes.desktopNotifications;
+  }
+  if (changes.quietHours) {
+    const { enabled, start, end } = changes.quietHours;
+    [start, end].forEach(time => {
+      if (time !== undefined && !TIME_PATTERN.test(String(time))) {
+        throw new Error('Quiet hours must be times like 22:00');
+      }
+    });
+    result.quietHours = {
+      enabled: enabled === undefined ? result.quietHours.enabled : !!enabled,
+      start: start === undefined ? result.quietHours.start : start,
+      end: end === undefined ? result.quietHours.end : end
+    };
+  }
+  return result;
+}
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time || '0:0').split(':').map(Number);
+  return (hours || 0) * 60 + (minutes || 0);
+};
+
+/**
+ * True when `date` falls inside the quiet hours, which may span midnight
+ */
+function isQuietTime(quietHours, date = new Date()) {
+  if (!quietHours || !quietHours.enabled) return false;
+  const now = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  if (start === end) return false;
+  return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+const getDomain = (pageUrl) => {
+  try {
+    return new URL(pageUrl).hostname;
+  } catch (error) {
+    return '';
+  }
+};
+
+// Pages with extraction rules have more than the work order ID from the URL
+const hasExtractedFields = (snapshot) => Object.keys(snapshot.fields || {}).some(field => field !== 'workOrderId');
+
+/**
+ * Compare two snapshots. Extracted fields are compared one by one; pages
+ * without extracted fields fall back to comparing the page text line by line.
+ * Returns a list of { field, before, after } or { line, type: 'added' |
+ * 'removed' } entries.
+ */
+function diffSnapshots(previous, current) {
+  const diff = [];
+  const before = previous.fields || {};
+  const after = current.fields || {};
+
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    if ((before[field] || '') !== (after[field] || '')) {
+      diff.push({ field, before: before[field] || '', after: after[field] || '' });
+    }
+  });
+  // Only fall back to the text when neither page had fields, since page text
+  // also holds noise such as relative times
+  if (diff.length > 0 || hasExtractedFields(previous) || hasExtractedFields(current)) {
+    return diff;
+  }
+
+  const oldLines = new Set((previous.text || '').split('\n'));
+  const newLines = new Set((current.text || '').split('\n'));
+  newLines.forEach(line => {
+    if (line && !oldLines.has(line)) diff.push({ line, type: 'added' });
+  });
+  oldLines.forEach(line => {
+    if (line && !newLines.has(line)) diff.push({ line, type: 'removed' });
+  });
+  return diff.slice(0, MAX_DIFF_LINES);
+}
+
+const readPageText = (contents) => contents.executeJavaScript(
+  `(document.body ? document.body.innerText : '').split('\\n').map(l => l.replace(/\\s+/g, ' ').trim()).filter(Boolean).join('\\n')`,
+  true
+);
+
+/**
+ * Watch list of URLs re-checked in the background.
+ *
+ * Due URLs are loaded one at a time in a hidden window on the session
+ * partition returned by `getPartition(item)`, so each URL is checked with the
+ * profile it was added under. Their extracted fields and page text are compared with the last
+ * snapshot and `onChange(item, change)` is called when something differs.
+ * `onUpdate()` is called whenever the list or an item's state changes.
+ */
+function createWatchList({ filePath, getPartition, getExtractionRules, onChange, onUpdate }) {
+  let data = null;
+  let timer = null;
+  let isChecking = false;
+  const lastDomainCheck = new Map(); // domain -> time of the last check
+
+  const load = () => {
+    if (data) return data;
+
+    data = { settings: { ...DEFAULT_SETTINGS }, items: [] };
+    try {
+      if (fs.existsSync(filePath)) {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        data.settings = normalizeWatchSettings(saved.settings);
+        data.items = Array.isArray(saved.items) ? saved.items : [];
+      }
+    } catch (error) {
+      console.error('Error reading watch list, starting a new one:', error);
+    }
+    return data;
+  };
+
+  const save = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileAtomic(filePath, JSON.stringify({ version: 1, ...data }, null, 2));
+    if (onUpdate) onUpdate();
+  };
+
+  const findItem = (id) => load().items.find(item => item.id === id) || null;
+
+  // Items without the stored page text, for sending to the renderer
+  const list = () => ({
+    settings: load().settings,
+    items: data.items.map(({ snapshot, ...item }) => ({
+      ...item,
+      fields: snapshot ? snapshot.fields : {},
+      snapshotTakenAt: snapshot ? snapshot.takenAt : null
+    }))
+  });
+
+  const add = ({ url, intervalMinutes, profileId }) => {
+    if (!/^https?:\/\//i.test(url || '')) {
+      throw new Error('Only http(s) URLs can be watched');
+    }
+    const existing = load().items.find(item => item.url === url);
+    if (existing) return existing;
+
+    const item = {
+      id: crypto.randomUUID(),
+      url,
+      intervalMinutes: clampInterval(intervalMinutes || data.settings.defaultIntervalMinutes, DEFAULT_SETTINGS.defaultIntervalMinutes),
+      profileId: profileId || null,
+      paused: false,
+      addedAt: new Date().toISOString(),
+      lastCheckedAt: null,
+      nextCheckAt: new Date().toISOString(),
+      lastError: '',
+      snapshot: null,
+      changes: []
+    };
+    data.items.push(item);
+    save();
+    return item;
+  };
+
+  const remove = (id) => {
+    load().items = data.items.filter(item => item.id !== id);
+    save();
+  };
+
+  const update = (id, changes) => {
+    const item = findItem(id);
+    if (!item) throw new Error('That URL is no longer watched');
+
+    if (changes.intervalMinutes !== undefined) {
+      item.intervalMinutes = clampInterval(changes.intervalMinutes || item.intervalMinutes, item.intervalMinutes);
+    }
+    if (changes.paused !== undefined) {
+      item.paused = !!changes.paused;
+    }
+    save();
+    return item;
+  };
+
+  const updateSettings = (settings) => {
+    load().settings = normalizeWatchSettings(data.settings, settings);
+    save();
+    return data.settings;
+  };
+
+  const checkItem = async (item) => {
+    const win = createOffscreenWindow(getPartition(item));
+    const domain = getDomain(item.url);
+    lastDomainCheck.set(domain, Date.now());
+
+    try {
+      await loadAndSettle(win, item.url);
+      const { fields } = await extractFields(win.webContents, item.url, getExtractionRules());
+      const text = String(await readPageText(win.webContents)).slice(0, MAX_SNAPSHOT_TEXT);
+      const snapshot = { fields, text, takenAt: new Date().toISOString() };
+
+      if (item.snapshot) {
+        const diff = diffSnapshots(item.snapshot, snapshot);
+        if (diff.length > 0) {
+          const change = { at: snapshot.takenAt, diff };
+          item.changes = [change, ...(item.changes || [])].slice(0, MAX_CHANGES_PER_ITEM);
+          if (onChange) onChange(item, change);
+        }
+      }
+      item.snapshot = snapshot;
+      item.lastError = '';
+    } catch (error) {
+      item.lastError = error.message;
+    } finally {
+      if (!win.isDestroyed()) win.destroy();
+      item.lastCheckedAt = new Date().toISOString();
+      item.nextCheckAt = new Date(Date.now() + item.intervalMinutes * 60 * 1000).toISOString();
+      save();
+    }
+  };
+
+  // Check the next due URL whose domain is outside its rate limit
+  const tick = async () => {
+    if (isChecking) return;
+    const { settings, items } = load();
+    if (isQuietTime(settings.quietHours)) return;
+
+    const now = Date.now();
+    const rateLimitMs = (Number(settings.domainRateLimitSeconds) || 0) * 1000;
+    const due = items
+      .filter(item => !item.paused && new Date(item.nextCheckAt).getTime() <= now)
+      .sort((a, b) => new Date(a.nextCheckAt) - new Date(b.nextCheckAt))
+      .find(item => now - (lastDomainCheck.get(getDomain(item.url)) || 0) >= rateLimitMs);
+    if (!due) return;
+
+    isChecking = true;
+    try {
+      await checkItem(due);
+    } finally {
+      isChecking = false;
+    }
+  };
+
+  // Check one URL straight away, ignoring its schedule but not a running check
+  const checkNow = async (id) => {
+    const item = findItem(id);
+    if (!item) throw new Error('That URL is no longer watched');
+    if (isChecking) throw new Error('Another check is running, try again shortly');
+
+    isChecking = true;
+    try {
+      await checkItem(item);
+    } finally {
+      isChecking = false;
+    }
+    return item;
+  };
+
+  return {
+    list,
+    add,
+    remove,
+    update,
+    updateSettings,
+    checkNow,
+    start: () => {
+      if (!timer) timer = setInterval(() => tick().catch(error => console.error('Watch list check failed:', error)), TICK_INTERVAL);
+    },
+    stop: () => {
+      clearInterval(timer);
+      timer = null;
+    },
+    getSettings: () => load().settings
+  };
+}
+
+module.exports = { createWatchList, diffSnapshots, isQuietTime, normalizeWatchSettings };
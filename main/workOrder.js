@@ -0,0 +1,11 @@
+const { getWorkOrderId } = require('../src/shared/workOrder');
+
+/**
+ * Build a file name for a work order page, falling back to a generic name
+ */
+function getWorkOrderFileName(pageUrl, extension, fallback = 'workorder') {
+  const workOrderId = getWorkOrderId(pageUrl);
+  return `${workOrderId || fallback}.${extension}`;
+}
+
+module.exports = { getWorkOrderId, getWorkOrderFileName };
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./historyStore');
+
+/**
+ * The working session of the app window (loaded URLs, batch settings and
+ * position, per-URL progress), saved continuously so a run can be resumed
+ * after a crash or restart.
+ *
+ * The file also records whether the app last shut down cleanly: it is marked
+ * as running when the app starts and as closed when it quits, so a file still
+ * marked as running on the next launch means the app crashed or was killed.
+ */
+function createWorkSessionStore(filePath) {
+  let data = null;
+  let interrupted = false; // reason the previous run ended early, if it did
+
+  const load = () => {
+    if (data) return data;
+
+    data = { session: null, savedAt: null, running: false };
+    try {
+      if (fs.existsSync(filePath)) {
+        const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        if (saved && typeof saved === 'object') {
+          data = { ...data, ...saved };
+        }
+      }
+    } catch (error) {
+      console.error('Error reading the saved session, starting fresh:', error);
+    }
+    return data;
+  };
+
+  const write = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    writeFileAtomic(filePath, JSON.stringify({ version: 1, ...data }, null, 2));
+  };
+
+  return {
+    // Call once at startup, before the window asks for the session
+    start: () => {
+      const { running } = load();
+      interrupted = running ? 'appCrash' : false;
+      data.running = true;
+      write();
+    },
+
+    // Call on quit so the next launch knows the app was closed on purpose
+    stop: () => {
+      load().running = false;
+      write();
+    },
+
+    // The app window crashed and was reloaded
+    markWindowCrash: () => {
+      interrupted = 'windowCrash';
+    },
+
+    // The saved session, with how the previous run ended. The crash reason is
+    // only reported once.
+    get: () => {
+      const { session, savedAt } = load();
+      const result = { session, savedAt, interrupted };
+      interrupted = false;
+      return result;
+    },
+
+    save: (session) => {
+      load();
+      data.session = session;
+      data.savedAt = new Date().toISOString();
+      write();
+      return data.savedAt;
+    },
+
+    clear: () => {
+      load();
+      data.session = null;
+      data.savedAt = null;
+      write();
+    }
+  };
+}
+
+module.exports = { createWorkSessionStore };
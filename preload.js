@@ -1,7 +1,132 @@
+// Preload script: exposes a small, explicit API to the renderer as
+// `window.urlOpener`. The renderer runs with context isolation and without
+// Node.js, so this is its only way to reach the main process.
+const { contextBridge, ipcRenderer } = require('electron');
 
-      // Preload script to expose Electron APIs to renderer process
-      const { contextBridge, ipcRenderer } = require('electron');
-      
-      // Expose the ipcRenderer to the window object
-      window.ipcRenderer = ipcRenderer;
-    
\ No newline at end of file
+// Subscribe to an event sent by the main process. The callback only receives
+// the payload, and the returned function removes the subscription.
+const subscribe = (channel) => (callback) => {
+  const listener = (event, payload) => callback(payload);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+};
+
+contextBridge.exposeInMainWorld('urlOpener', {
+  history: {
+    list: (query) => ipcRenderer.invoke('get-opened-urls', query),
+    logOpened: (entry) => ipcRenderer.send('log-url-opened', entry),
+    getReviews: (urls) => ipcRenderer.invoke('get-reviews', { urls }),
+    saveReview: (url, review, metadata) => ipcRenderer.invoke('save-review', { url, review, metadata }),
+    getResults: () => ipcRenderer.invoke('get-results')
+  },
+
+  pages: {
+    extractFields: (webContentsId, url) => ipcRenderer.invoke('extract-fields', { webContentsId, url }),
+    savePdf: (webContentsId, url, options) => ipcRenderer.invoke('download-pdf', { webContentsId, url, options }),
+    saveSnapshot: (webContentsId, url) => ipcRenderer.invoke('snapshot-page', { webContentsId, url }),
+    captureScreenshot: (webContentsId, url) => ipcRenderer.invoke('capture-screenshot', { webContentsId, url }),
+    onAuthRedirect: subscribe('handle-auth-redirect')
+  },
+
+  extraction: {
+    getRules: () => ipcRenderer.invoke('get-extraction-rules'),
+    setRules: (ruleSets) => ipcRenderer.invoke('set-extraction-rules', { ruleSets })
+  },
+
+  harvest: {
+    getPattern: () => ipcRenderer.invoke('get-harvest-pattern'),
+    collectLinks: (webContentsId, pattern) => ipcRenderer.invoke('harvest-links', { webContentsId, pattern }),
+    getCrawlOptions: () => ipcRenderer.invoke('get-crawl-options'),
+    crawl: (startUrl, options, profileId) => ipcRenderer.invoke('crawl-start', { startUrl, options, profileId }),
+    cancelCrawl: () => ipcRenderer.send('crawl-cancel'),
+    onCrawlProgress: subscribe('crawl-progress')
+  },
+
+  watch: {
+    list: () => ipcRenderer.invoke('watch-list-get'),
+    add: (item) => ipcRenderer.invoke('watch-add', item),
+    remove: (id) => ipcRenderer.invoke('watch-remove', { id }),
+    update: (id, changes) => ipcRenderer.invoke('watch-update', { id, changes }),
+    checkNow: (id) => ipcRenderer.invoke('watch-check-now', { id }),
+    setSettings: (settings) => ipcRenderer.invoke('watch-settings-set', settings),
+    onChange: subscribe('watch-change'),
+    onShow: subscribe('watch-show'),
+    onUpdated: subscribe('watch-list-updated')
+  },
+
+  batchExport: {
+    start: (urls, folder, options, profileId) => ipcRenderer.invoke('batch-export-start', { urls, folder, options, profileId }),
+    cancel: () => ipcRenderer.send('batch-export-cancel'),
+    onProgress: subscribe('batch-export-progress')
+  },
+
+  downloads: {
+    list: () => ipcRenderer.invoke('downloads-get'),
+    chooseFolder: () => ipcRenderer.invoke('download-folder-choose'),
+    pause: (id) => ipcRenderer.invoke('download-pause', { id }),
+    resume: (id) => ipcRenderer.invoke('download-resume', { id }),
+    cancel: (id) => ipcRenderer.invoke('download-cancel', { id }),
+    show: (id) => ipcRenderer.invoke('download-show', { id }),
+    clearFinished: () => ipcRenderer.invoke('downloads-clear'),
+    onUpdated: subscribe('download-updated')
+  },
+
+  snapshots: {
+    getSettings: () => ipcRenderer.invoke('snapshot-settings-get'),
+    setSettings: (settings) => ipcRenderer.invoke('snapshot-settings-set', { settings }),
+    open: (url, savedAt) => ipcRenderer.invoke('snapshot-open', { url, savedAt })
+  },
+
+  screenshots: {
+    getSettings: () => ipcRenderer.invoke('screenshot-settings-get'),
+    setSettings: (settings) => ipcRenderer.invoke('screenshot-settings-set', { settings }),
+    getThumbnails: (urls) => ipcRenderer.invoke('screenshot-thumbnails', { urls }),
+    getImage: (url) => ipcRenderer.invoke('screenshot-image', { url })
+  },
+
+  attachments: {
+    getSelector: () => ipcRenderer.invoke('get-attachment-selector'),
+    collect: (urls, selector, profileId) => ipcRenderer.invoke('attachments-collect-start', { urls, selector, profileId }),
+    cancel: () => ipcRenderer.send('attachments-collect-cancel'),
+    onProgress: subscribe('attachments-collect-progress')
+  },
+
+  profiles: {
+    list: () => ipcRenderer.invoke('profiles-get'),
+    save: (profile) => ipcRenderer.invoke('profile-save', { profile }),
+    remove: (id) => ipcRenderer.invoke('profile-remove', { id }),
+    setActive: (id) => ipcRenderer.invoke('profile-set-active', { id }),
+    exportSettings: () => ipcRenderer.invoke('profiles-export'),
+    importSettings: () => ipcRenderer.invoke('profiles-import')
+  },
+
+  security: {
+    getPolicy: () => ipcRenderer.invoke('security-policy-get'),
+    setPolicy: (policy) => ipcRenderer.invoke('security-policy-set', { policy }),
+    clearLog: () => ipcRenderer.invoke('security-log-clear'),
+    onBlocked: subscribe('security-blocked')
+  },
+
+  workSession: {
+    get: () => ipcRenderer.invoke('work-session-get'),
+    save: (session) => ipcRenderer.invoke('work-session-save', { session }),
+    clear: () => ipcRenderer.invoke('work-session-clear')
+  },
+
+  settings: {
+    getUrlTemplates: () => ipcRenderer.invoke('url-templates-get'),
+    setUrlTemplates: (templates, activeId) => ipcRenderer.invoke('url-templates-set', { templates, activeId }),
+    getResultsViews: () => ipcRenderer.invoke('results-views-get'),
+    setResultsViews: (views) => ipcRenderer.invoke('results-views-set', { views })
+  },
+
+  files: {
+    saveExport: (options) => ipcRenderer.invoke('save-export', options),
+    selectFolder: (title) => ipcRenderer.invoke('select-folder', { title })
+  },
+
+  windows: {
+    openBatch: (batchId, urls) => ipcRenderer.sendSync('open-batch', { batchId, urls }),
+    openExternal: (url) => ipcRenderer.send('open-external', { url })
+  }
+});
@@ -1,29 +1,40 @@
 // App.js
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback, useMemo } from 'react';
 import './App.css';
 import EmbeddedBrowser from './components/EmbeddedBrowser';
 import BatchBrowser from './components/BatchBrowser';
 import UrlHistory from './components/UrlHistory';
+import AutoPlayControls from './components/AutoPlayControls';
+import BatchQueue from './components/BatchQueue';
+import useAutoPlay from './hooks/useAutoPlay';
+import ImportDialog from './components/ImportDialog';
+import ValidationReport from './components/ValidationReport';
+import UrlTemplatePicker from './components/UrlTemplatePicker';
+import ReviewPanel from './components/ReviewPanel';
+import ExtractionRulesEditor from './components/ExtractionRulesEditor';
+import SecurityPolicyEditor from './components/SecurityPolicyEditor';
+import SnapshotSettings from './components/SnapshotSettings';
+import ProfileSwitcher from './components/ProfileSwitcher';
+import ProfileManager from './components/ProfileManager';
+import ResultsView from './components/ResultsView';
+import WatchList from './components/WatchList';
+import { getBatchUrls } from './utils/batches';
+import { parseCsv } from './utils/csv';
+import { isSpreadsheetFile, readWorkbook, SPREADSHEET_EXTENSIONS } from './utils/spreadsheet';
+import { analyzeUrlInput, applyUrlFixes, normalizeUrl, getUrlKey } from './utils/urls';
+import { DEFAULT_URL_TEMPLATES } from './utils/urlTemplates';
+import { buildRunRecords, runRecordsToCsv, runRecordsToJson } from './utils/reviews';
+import api, { isElectron, getErrorMessage } from './api';
 // import DevHelper from './components/DevHelper';
 
-// Safely access Electron API
-const electronAPI = (() => {
-  try {
-    if (window.require) {
-      const { ipcRenderer } = window.require('electron');
-      return { ipcRenderer };
-    }
-  } catch (e) {
-    console.log("Running outside of Electron environment");
-  }
-  // Return mock implementations when not in Electron
-  return {
-    ipcRenderer: {
-      on: () => {},
-      send: () => {}
-    }
-  };
-})();
+// The working session is saved this long after the last change
+const SESSION_SAVE_DELAY_MS = 500;
+
+// Why the previous run ended, shown when offering to resume it
+const INTERRUPTION_MESSAGES = {
+  appCrash: 'The app closed unexpectedly.',
+  windowCrash: 'The window crashed and was reloaded.'
+};
 
 function App() {
   const [inputText, setInputText] = useState('');
@@ -37,19 +48,180 @@ function App() {
   const [currentBatch, setCurrentBatch] = useState(1);
   const [totalBatches, setTotalBatches] = useState(1);
   const [parsedUrls, setParsedUrls] = useState([]);
-  const [activeTab, setActiveTab] = useState('embedded'); // 'input', 'embedded', 'history'
+  const [activeTab, setActiveTab] = useState('embedded'); // 'input', 'embedded', 'history', 'results', 'watch', 'settings'
   const [currentUrl, setCurrentUrl] = useState('');
+  const [currentUrlIndex, setCurrentUrlIndex] = useState(0);
+  const [urlStatuses, setUrlStatuses] = useState({}); // url -> 'loading' | 'viewed' | 'failed' | 'skipped'
+  const [urlMetadata, setUrlMetadata] = useState({}); // url -> extra columns from the imported file
+  const [importData, setImportData] = useState(null); // file waiting for column mapping
+  const [extractedFields, setExtractedFields] = useState({}); // URL key -> fields pulled from the page
+  const [reviews, setReviews] = useState({}); // URL key -> review decision saved with the history entry
+  const [watchNotices, setWatchNotices] = useState([]); // changes reported by the watch list
+  const [highlightedWatchId, setHighlightedWatchId] = useState(null);
+  const [urlTemplates, setUrlTemplates] = useState(DEFAULT_URL_TEMPLATES);
+  const [activeTemplateId, setActiveTemplateId] = useState(DEFAULT_URL_TEMPLATES[0].id);
+  const [profileData, setProfileData] = useState({ profiles: [], activeId: null }); // account profiles
+  const [batchProfiles, setBatchProfiles] = useState({}); // batch number -> profile id
+  const [sessionLoaded, setSessionLoaded] = useState(false); // saved session checked
+  const [resumeOffer, setResumeOffer] = useState(null); // saved session waiting for the user
   const fileInputRef = useRef(null);
   
-  // Check if we're running in Electron
-  const isElectron = (() => {
+  // URLs of the batch currently being browsed
+  const currentBatchUrls = useMemo(
+    () => getBatchUrls(parsedUrls, batchSize, currentBatch),
+    [parsedUrls, batchSize, currentBatch]
+  );
+  const currentQueueUrl = currentBatchUrls[currentUrlIndex];
+  
+  // Profile used to browse a batch: the one assigned to it, or the active one
+  const getBatchProfile = (batchNum) => {
+    const { profiles, activeId } = profileData;
+    return profiles.find(profile => profile.id === (batchProfiles[batchNum] || activeId)) || profiles[0] || null;
+  };
+  const currentProfile = getBatchProfile(currentBatch);
+  
+  // Open a URL of a batch in the embedded browser. A URL left while it was
+  // still loading is marked as skipped.
+  const navigateToQueueItem = useCallback((batchNum, index, url) => {
+    const targetUrl = url || getBatchUrls(parsedUrls, batchSize, batchNum)[index];
+    if (!targetUrl) return;
+    
+    setUrlStatuses(prev => {
+      const next = { ...prev, [targetUrl]: 'loading' };
+      if (currentQueueUrl && currentQueueUrl !== targetUrl && prev[currentQueueUrl] === 'loading') {
+        next[currentQueueUrl] = 'skipped';
+      }
+      return next;
+    });
+    setCurrentBatch(batchNum);
+    setCurrentUrlIndex(index);
+    setCurrentUrl(targetUrl);
+  }, [parsedUrls, batchSize, currentQueueUrl]);
+  
+  const autoPlay = useAutoPlay({
+    urls: parsedUrls,
+    batchSize,
+    tabDelay,
+    batchDelay,
+    currentBatch,
+    currentIndex: currentUrlIndex,
+    currentUrl,
+    onNavigate: navigateToQueueItem
+  });
+  const { handlePageLoaded: autoPlayPageLoaded, handlePageFailed: autoPlayPageFailed } = autoPlay;
+  
+  // Step through the queue, continuing into the neighbouring batch at either end
+  const handleNextUrl = useCallback(() => {
+    if (currentUrlIndex + 1 < currentBatchUrls.length) {
+      navigateToQueueItem(currentBatch, currentUrlIndex + 1);
+    } else if (currentBatch < totalBatches) {
+      navigateToQueueItem(currentBatch + 1, 0);
+    }
+  }, [currentBatch, currentUrlIndex, currentBatchUrls, totalBatches, navigateToQueueItem]);
+  
+  const handlePreviousUrl = useCallback(() => {
+    if (currentUrlIndex > 0) {
+      navigateToQueueItem(currentBatch, currentUrlIndex - 1);
+    } else if (currentBatch > 1) {
+      const previousBatchUrls = getBatchUrls(parsedUrls, batchSize, currentBatch - 1);
+      navigateToQueueItem(currentBatch - 1, previousBatchUrls.length - 1);
+    }
+  }, [currentBatch, currentUrlIndex, parsedUrls, batchSize, navigateToQueueItem]);
+  
+  // Load the reviews already saved for the URLs of this run
+  useEffect(() => {
+    if (parsedUrls.length === 0) return;
+    
+    api.history.getReviews(parsedUrls)
+      .then(saved => setReviews(Object.entries(saved || {}).reduce(
+        (all, [url, review]) => ({ ...all, [getUrlKey(url)]: review }),
+        {}
+      )))
+      .catch(error => console.error('Error loading reviews:', error));
+  }, [parsedUrls]);
+  
+  // The review panel saves to the history store itself; keep our copy in step
+  const handleReviewChange = useCallback((url, changes) => {
+    const key = getUrlKey(url);
+    setReviews(prev => ({ ...prev, [key]: { ...prev[key], ...changes } }));
+  }, []);
+  
+  const handleFieldsExtracted = useCallback((url, result) => {
+    setExtractedFields(prev => ({ ...prev, [getUrlKey(url)]: result.fields }));
+  }, []);
+  
+  // Export every URL of the run with its import columns and review decision
+  const handleExportRun = async (format) => {
+    if (parsedUrls.length === 0) {
+      setStatus('There are no URLs to export');
+      return;
+    }
+    
+    const records = buildRunRecords(parsedUrls, {
+      batchSize,
+      metadata: urlMetadata,
+      reviews,
+      statuses: urlStatuses
+    });
+    const date = new Date().toISOString().slice(0, 10);
+    const isCsv = format === 'csv';
+    
     try {
-      return !!window.require;
-    } catch (e) {
-      return false;
+      const result = await api.files.saveExport({
+        title: 'Export Run',
+        defaultName: `work-order-review-${date}.${format}`,
+        content: isCsv ? runRecordsToCsv(records) : runRecordsToJson(records),
+        filters: [isCsv
+          ? { name: 'CSV Files', extensions: ['csv'] }
+          : { name: 'JSON Files', extensions: ['json'] }]
+      });
+      if (result && !result.canceled) {
+        setStatus(`Exported ${records.length} work orders to ${result.filePath}`);
+      }
+    } catch (error) {
+      console.error('Error exporting run:', error);
+      setStatus(`Export failed: ${error.message}`);
     }
-  })();
-
+  };
+  
+  // Track the state of the current queue item as pages load
+  const handlePageLoaded = useCallback((url) => {
+    if (currentQueueUrl) {
+      setUrlStatuses(prev => (
+        prev[currentQueueUrl] === 'loading' ? { ...prev, [currentQueueUrl]: 'viewed' } : prev
+      ));
+    }
+    autoPlayPageLoaded(url);
+  }, [currentQueueUrl, autoPlayPageLoaded]);
+  
+  const handlePageFailed = useCallback((error) => {
+    if (currentQueueUrl) {
+      setUrlStatuses(prev => (
+        prev[currentQueueUrl] === 'loading' ? { ...prev, [currentQueueUrl]: 'failed' } : prev
+      ));
+    }
+    autoPlayPageFailed(error);
+  }, [currentQueueUrl, autoPlayPageFailed]);
+  
+  // Keyboard shortcuts for the queue: Alt+Down for the next URL, Alt+Up for the previous one
+  useEffect(() => {
+    if (activeTab !== 'embedded' || parsedUrls.length === 0) return;
+    
+    const handleKeyDown = (e) => {
+      if (!e.altKey) return;
+      if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        handleNextUrl();
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        handlePreviousUrl();
+      }
+    };
+    
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [activeTab, parsedUrls, handleNextUrl, handlePreviousUrl]);
+  
   // Show a message if not running in Electron
   useEffect(() => {
     if (!isElectron) {
@@ -63,23 +235,181 @@ function App() {
       console.log('Do not open the React app in a browser directly.');
       console.log('=====================================');
     }
-  }, [isElectron, setStatus]);
+  }, [setStatus]);
   
-  // Parse URLs from text input
-  const parseURLs = (text) => {
-    if (!text) return [];
-    return text.split('\n')
-      .map(line => line.trim())
-      .filter(line => line.length > 0 && (line.startsWith('http://') || line.startsWith('https://')));
+  // Show changes found by the watch list, and jump to one when its desktop
+  // notification is clicked
+  useEffect(() => {
+    const stopChanges = api.watch.onChange((notice) => {
+      setWatchNotices(prev => [notice, ...prev].slice(0, 5));
+    });
+    const stopShow = api.watch.onShow(({ id }) => {
+      setHighlightedWatchId(id);
+      setActiveTab('watch');
+    });
+    return () => {
+      stopChanges();
+      stopShow();
+    };
+  }, []);
+  
+  const dismissWatchNotice = (notice) => {
+    setWatchNotices(prev => prev.filter(item => item !== notice));
+  };
+  
+  // Offer to resume the session saved by the previous run (or before a crash)
+  useEffect(() => {
+    api.workSession.get()
+      .then(saved => {
+        if (saved && saved.session && Array.isArray(saved.session.parsedUrls) && saved.session.parsedUrls.length > 0) {
+          setResumeOffer(saved);
+        }
+      })
+      .catch(error => console.error('Error loading the saved session:', error))
+      .finally(() => setSessionLoaded(true));
+  }, []);
+  
+  // Save the working session as it changes. Nothing is saved while a resume
+  // offer is open, unless a new list is loaded instead.
+  useEffect(() => {
+    if (!sessionLoaded) return;
+    if (resumeOffer) {
+      if (parsedUrls.length > 0) setResumeOffer(null);
+      return;
+    }
+    
+    const timer = setTimeout(() => {
+      api.workSession.save({
+        inputText,
+        parsedUrls,
+        urlMetadata,
+        batchSize,
+        batchDelay,
+        tabDelay,
+        currentBatch,
+        currentUrlIndex,
+        currentUrl,
+        urlStatuses,
+        batchProfiles
+      }).catch(error => console.error('Error saving the session:', error));
+    }, SESSION_SAVE_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [sessionLoaded, resumeOffer, inputText, parsedUrls, urlMetadata, batchSize, batchDelay, tabDelay,
+    currentBatch, currentUrlIndex, currentUrl, urlStatuses, batchProfiles]);
+  
+  // Restore the saved session and reopen the URL that was being viewed
+  const handleResumeSession = () => {
+    const saved = resumeOffer.session;
+    const urls = saved.parsedUrls;
+    const size = Math.max(1, parseInt(saved.batchSize) || batchSize);
+    const batchNum = Math.min(Math.max(1, saved.currentBatch || 1), Math.ceil(urls.length / size));
+    const index = saved.currentUrlIndex || 0;
+    
+    // Pages that were still loading start again from scratch
+    const statuses = Object.fromEntries(
+      Object.entries(saved.urlStatuses || {}).filter(([, value]) => value !== 'loading')
+    );
+    const queueUrl = getBatchUrls(urls, size, batchNum)[index];
+    const resumeUrl = saved.currentUrl || queueUrl || '';
+    if (queueUrl && queueUrl === resumeUrl) {
+      statuses[queueUrl] = 'loading';
+    }
+    
+    setResumeOffer(null);
+    setInputText(saved.inputText || urls.join('\n'));
+    setParsedUrls(urls);
+    setUrlMetadata(saved.urlMetadata || {});
+    setTotalURLs(urls.length);
+    setBatchSize(size);
+    setTotalBatches(Math.ceil(urls.length / size));
+    if (saved.batchDelay) setBatchDelay(saved.batchDelay);
+    if (saved.tabDelay) setTabDelay(saved.tabDelay);
+    setBatchProfiles(saved.batchProfiles || {});
+    setUrlStatuses(statuses);
+    setCurrentBatch(batchNum);
+    setCurrentUrlIndex(index);
+    setCurrentUrl(resumeUrl);
+    setActiveTab('embedded');
+    setStatus(`Resumed ${urls.length} URLs at batch ${batchNum}, URL ${index + 1}`);
+  };
+  
+  const handleDiscardSession = () => {
+    setResumeOffer(null);
+    api.workSession.clear().catch(error => console.error('Error clearing the saved session:', error));
+  };
+  
+  // Load the saved URL templates
+  useEffect(() => {
+    const loadTemplates = async () => {
+      try {
+        const saved = await api.settings.getUrlTemplates();
+        if (saved && Array.isArray(saved.templates) && saved.templates.length > 0) {
+          setUrlTemplates(saved.templates);
+          setActiveTemplateId(saved.activeId || saved.templates[0].id);
+        }
+      } catch (error) {
+        console.error('Error loading URL templates:', error);
+      }
+    };
+    loadTemplates();
+  }, []);
+  
+  const saveTemplates = (templates, activeId) => {
+    api.settings.setUrlTemplates(templates, activeId).catch(error => console.error('Error saving URL templates:', error));
+  };
+  
+  // Load the account profiles
+  useEffect(() => {
+    api.profiles.list()
+      .then(saved => {
+        if (saved) setProfileData(saved);
+      })
+      .catch(error => console.error('Error loading profiles:', error));
+  }, []);
+  
+  // Switching profile also switches to its default URL template
+  const handleProfileSwitch = async (id) => {
+    try {
+      const saved = await api.profiles.setActive(id);
+      if (saved) setProfileData(saved);
+      const profile = profileData.profiles.find(item => item.id === id);
+      if (profile && profile.templateId && urlTemplates.some(t => t.id === profile.templateId)) {
+        handleTemplateSelect(profile.templateId);
+      }
+      setStatus(profile ? `Switched to the ${profile.name} profile` : '');
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      setStatus(`Could not switch profile: ${getErrorMessage(error)}`);
+    }
+  };
+  
+  const handleBatchProfileChange = (batchNum, profileId) => {
+    setBatchProfiles(prev => {
+      const next = { ...prev };
+      if (profileId) {
+        next[batchNum] = profileId;
+      } else {
+        delete next[batchNum];
+      }
+      return next;
+    });
   };
+  
+  const activeTemplate = urlTemplates.find(template => template.id === activeTemplateId) || urlTemplates[0];
+  const activeTemplatePattern = activeTemplate ? activeTemplate.pattern : null;
+  
+  // Line by line report of what was found in the input text
+  const urlReport = useMemo(
+    () => analyzeUrlInput(inputText, { template: activeTemplatePattern }),
+    [inputText, activeTemplatePattern]
+  );
 
-  // Handle text input change
-  const handleInputTextChange = (e) => {
-    const newText = e.target.value;
+  // Replace the input text and re-parse the URLs it contains, expanding bare
+  // work order IDs through the URL template
+  const updateInputText = (newText, template = activeTemplatePattern) => {
     setInputText(newText);
     
-    // Parse URLs and update state
-    const urls = parseURLs(newText);
+    const { urls } = analyzeUrlInput(newText, { template });
     setParsedUrls(urls);
     setTotalURLs(urls.length);
     
@@ -88,6 +418,62 @@ function App() {
     setTotalBatches(calculatedTotalBatches);
   };
 
+  // Handle text input change
+  const handleInputTextChange = (e) => {
+    updateInputText(e.target.value);
+  };
+
+  // Switching template re-expands any IDs in the input
+  const handleTemplateSelect = (id) => {
+    const template = urlTemplates.find(t => t.id === id);
+    setActiveTemplateId(id);
+    saveTemplates(urlTemplates, id);
+    updateInputText(inputText, template ? template.pattern : null);
+  };
+
+  const handleTemplatesChange = (templates) => {
+    const active = templates.find(t => t.id === activeTemplateId) || templates[0];
+    setUrlTemplates(templates);
+    if (active && active.id !== activeTemplateId) {
+      setActiveTemplateId(active.id);
+    }
+    saveTemplates(templates, active ? active.id : null);
+    updateInputText(inputText, active ? active.pattern : null);
+  };
+
+  // Links harvested from a page either start a new list or are added to the
+  // current one; duplicates are dropped by the URL analyser. Crawl results are
+  // shown on the Input tab for review.
+  const handleHarvest = (urls, mode, source) => {
+    if (urls.length === 0) return;
+    
+    if (mode === 'replace') {
+      autoPlay.stop();
+      setUrlStatuses({});
+      setUrlMetadata({});
+      setBatchProfiles({});
+      setCurrentBatch(1);
+      setCurrentUrlIndex(0);
+      updateInputText(urls.join('\n'));
+      setStatus(`Started a new list with ${urls.length} harvested links`);
+    } else {
+      const before = parsedUrls.length;
+      const newText = inputText.trim() ? `${inputText.trim()}\n${urls.join('\n')}` : urls.join('\n');
+      const added = analyzeUrlInput(newText, { template: activeTemplatePattern }).urls.length - before;
+      updateInputText(newText);
+      setStatus(`Appended ${added} harvested links (${urls.length - added} already in the list)`);
+    }
+    
+    if (source === 'crawl') {
+      setActiveTab('input');
+    }
+  };
+
+  // Apply the suggested fix for one line of the validation report, or for all of them
+  const handleFixLines = (lines) => {
+    updateInputText(applyUrlFixes(inputText, lines));
+  };
+
   // Handle batch size change
   const handleBatchSizeChange = (e) => {
     const newSize = Math.max(1, parseInt(e.target.value) || 1);
@@ -99,62 +485,86 @@ function App() {
     }
   };
 
-  // Handle file upload
+  // Handle file upload: parse the file and let the user map its columns
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
     if (!file) return;
     
-    // Check if it's a CSV file
-    if (!file.name.endsWith('.csv')) {
-      setStatus('Please upload a CSV file');
+    // Allow the same file to be chosen again later
+    event.target.value = '';
+    
+    const isSpreadsheet = isSpreadsheetFile(file.name);
+    
+    // Check if it's a delimited text file or a spreadsheet
+    if (!isSpreadsheet && !/\.(csv|tsv|txt)$/i.test(file.name)) {
+      setStatus('Please upload a CSV, TSV or Excel/ODS file');
       return;
     }
     
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const contents = e.target.result;
-        const lines = contents.split('\n');
-        
-        // Skip header row and extract URLs
-        const urls = [];
-        for (let i = 1; i < lines.length; i++) {
-          const line = lines[i].trim();
-          if (!line) continue;
-          
-          // Parse CSV line (handle commas within quotes)
-          let parts = line.split(',');
-          // If there's a URL column, extract it
-          if (parts.length >= 2) {
-            const url = parts[1].trim().replace(/^"(.*)"$/, '$1');
-            if (url && (url.startsWith('http://') || url.startsWith('https://'))) {
-              urls.push(url);
-            }
-          }
-        }
+        const sheets = isSpreadsheet
+          ? readWorkbook(e.target.result)
+          : [{ name: file.name, rows: parseCsv(e.target.result), links: null }];
         
-        if (urls.length > 0) {
-          setInputText(urls.join('\n'));
-          setStatus(`Loaded ${urls.length} URLs from the CSV file`);
-          setParsedUrls(urls);
-          
-          // Calculate batch stats
-          const calculatedTotalBatches = Math.ceil(urls.length / batchSize);
-          setTotalBatches(calculatedTotalBatches);
-          setTotalURLs(urls.length);
-        } else {
-          setStatus('No valid URLs found in the CSV file');
+        if (!sheets.some(sheet => sheet.rows.length > 0)) {
+          setStatus('The file is empty');
+          return;
         }
+        setImportData({ fileName: file.name, sheets });
       } catch (error) {
-        setStatus(`Error parsing CSV: ${error.message}`);
+        setStatus(`Error reading ${file.name}: ${error.message}`);
       }
     };
-    reader.readAsText(file);
+    
+    if (isSpreadsheet) {
+      reader.readAsArrayBuffer(file);
+    } else {
+      reader.readAsText(file);
+    }
+  };
+
+  // Load the URLs chosen in the import dialog
+  const handleImport = ({ urls, metadata, skipped }) => {
+    const fileName = importData ? importData.fileName : 'the file';
+    setImportData(null);
+    
+    // Normalise and dedupe the imported URLs the same way as pasted ones,
+    // keeping one set of metadata per URL
+    const uniqueUrls = [];
+    const uniqueMetadata = {};
+    let rejected = skipped;
+    urls.forEach(url => {
+      const normalized = normalizeUrl(url);
+      if (!normalized) {
+        rejected++;
+      } else if (!uniqueUrls.includes(normalized)) {
+        uniqueUrls.push(normalized);
+        if (metadata[url]) uniqueMetadata[normalized] = metadata[url];
+      }
+    });
+    const duplicates = urls.length - (rejected - skipped) - uniqueUrls.length;
+    
+    setInputText(uniqueUrls.join('\n'));
+    setParsedUrls(uniqueUrls);
+    setUrlMetadata(uniqueMetadata);
+    setTotalURLs(uniqueUrls.length);
+    setTotalBatches(Math.ceil(uniqueUrls.length / batchSize));
+    
+    const notes = [];
+    if (rejected > 0) notes.push(`${rejected} rows skipped`);
+    if (duplicates > 0) notes.push(`${duplicates} duplicates removed`);
+    setStatus(`Loaded ${uniqueUrls.length} URLs from ${fileName}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`);
   };
 
   // Handle batch processing start
   const handleBatchStart = (batchNum, batchUrls) => {
     setCurrentBatch(batchNum);
+    setCurrentUrlIndex(0);
+    if (batchUrls.length > 0) {
+      setUrlStatuses(prev => ({ ...prev, [batchUrls[0]]: 'loading' }));
+    }
     setStatus(`Processing batch ${batchNum}/${totalBatches} (${batchUrls.length} URLs)`);
     
     // Set the first URL of the batch for embedded browser
@@ -170,6 +580,7 @@ function App() {
 
   // Handle clear button click
   const handleClearClick = () => {
+    autoPlay.stop();
     setInputText('');
     setStatus('');
     setOpenCount(0);
@@ -178,11 +589,22 @@ function App() {
     setTotalBatches(1);
     setParsedUrls([]);
     setCurrentUrl('');
+    setCurrentUrlIndex(0);
+    setUrlStatuses({});
+    setUrlMetadata({});
+    setReviews({});
+    setBatchProfiles({});
   };
 
   // Handle embedded browser navigation
   const handleBrowserNavigate = (url) => {
     setCurrentUrl(url);
+    
+    // Keep the queue position in step when a batch URL is shown, e.g. from its tab
+    const index = currentBatchUrls.indexOf(url);
+    if (index !== -1) {
+      setCurrentUrlIndex(index);
+    }
   };
 
   // Function to open a URL in the embedded browser from anywhere in the app
@@ -200,6 +622,11 @@ function App() {
     <div className="app-container">
       <div className="app-header">
         <h1 className="app-title">Field Nation Work Order Browser</h1>
+        <ProfileSwitcher
+          profiles={profileData.profiles}
+          activeId={profileData.activeId}
+          onSwitch={handleProfileSwitch}
+        />
         
         <div className="app-tabs">
           <button 
@@ -220,9 +647,64 @@ function App() {
           >
             URL History
           </button>
+          <button 
+            className={`tab-button ${activeTab === 'results' ? 'active' : ''}`}
+            onClick={() => setActiveTab('results')}
+          >
+            Results
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'watch' ? 'active' : ''}`}
+            onClick={() => setActiveTab('watch')}
+          >
+            Watch List
+          </button>
+          <button 
+            className={`tab-button ${activeTab === 'settings' ? 'active' : ''}`}
+            onClick={() => setActiveTab('settings')}
+          >
+            Settings
+          </button>
         </div>
       </div>
       
+      {resumeOffer && (
+        <div className="resume-banner">
+          <span className="resume-banner-text">
+            {INTERRUPTION_MESSAGES[resumeOffer.interrupted] || 'Your last session was saved.'}
+            {' '}Resume where you left off? ({resumeOffer.session.parsedUrls.length} URLs, batch {resumeOffer.session.currentBatch || 1}
+            {resumeOffer.savedAt && `, saved ${new Date(resumeOffer.savedAt).toLocaleString()}`})
+          </span>
+          <button className="btn btn-primary" onClick={handleResumeSession}>Resume</button>
+          <button className="btn btn-secondary" onClick={handleDiscardSession}>Start Fresh</button>
+        </div>
+      )}
+      
+      {watchNotices.length > 0 && (
+        <div className="watch-notices">
+          {watchNotices.map(notice => (
+            <div key={`${notice.id}-${notice.change.at}`} className="watch-notice">
+              <button
+                className="watch-notice-text"
+                onClick={() => {
+                  setHighlightedWatchId(notice.id);
+                  setActiveTab('watch');
+                  dismissWatchNotice(notice);
+                }}
+              >
+                <strong>Work order changed:</strong> {notice.url}
+                <span className="watch-notice-diff">
+                  {notice.change.diff.slice(0, 3).map(item => (
+                    item.field ? `${item.field}: ${item.before || '(empty)'} → ${item.after || '(empty)'}` : item.line
+                  )).join(' · ')}
+                </span>
+              </button>
+              <button className="watch-notice-close" onClick={() => dismissWatchNotice(notice)}>×</button>
+            </div>
+          ))}
+        </div>
+      )}
+      
       <div className="app-content">
         {!isElectron && (
           <div className="electron-warning">
@@ -236,12 +718,12 @@ function App() {
               <h2>Load Work Orders</h2>
               <div className="file-upload">
                 <label htmlFor="csvFile" className="file-label">
-                  Choose CSV File
+                  Choose CSV or Excel File
                   <input
                     type="file"
                     id="csvFile"
                     ref={fileInputRef}
-                    accept=".csv"
+                    accept={['.csv', '.tsv', '.txt', ...SPREADSHEET_EXTENSIONS].join(',')}
                     onChange={handleFileUpload}
                     disabled={isOpening}
                     style={{ display: 'none' }}
@@ -252,13 +734,26 @@ function App() {
             </div>
             
             <div className="input-group">
-              <label htmlFor="urlInput">Work Order URLs (one per line)</label>
+              <UrlTemplatePicker
+                templates={urlTemplates}
+                activeId={activeTemplate ? activeTemplate.id : null}
+                onSelect={handleTemplateSelect}
+                onChange={handleTemplatesChange}
+                disabled={isOpening}
+              />
+              <label htmlFor="urlInput">Work Order URLs or IDs (paste a list, an email or notes)</label>
               <textarea
                 id="urlInput"
                 className="url-input"
                 value={inputText}
                 onChange={handleInputTextChange}
-                placeholder="https://app.fieldnation.com/workorders/123456&#10;https://app.fieldnation.com/workorders/789012"
+                placeholder="https://app.fieldnation.com/workorders/123456&#10;789012&#10;789020-789030"
+                disabled={isOpening}
+              />
+              <ValidationReport
+                lines={urlReport.lines}
+                urlCount={urlReport.urls.length}
+                onFix={handleFixLines}
                 disabled={isOpening}
               />
             </div>
@@ -309,9 +804,14 @@ function App() {
                 <BatchBrowser 
                   urls={parsedUrls}
                   batchSize={batchSize}
+                  activeBatch={currentBatch}
                   onBatchStart={handleBatchStart}
                   onBatchComplete={handleBatchComplete}
                   onOpenUrl={openInEmbeddedBrowser}
+                  getProfileId={(batchNum) => {
+                    const profile = getBatchProfile(batchNum);
+                    return profile ? profile.id : null;
+                  }}
                 />
               )}
             </div>
@@ -336,42 +836,89 @@ function App() {
         
         {activeTab === 'embedded' && (
           <div className="embedded-tab">
-            <div className="embedded-browser-container">
-              {!currentUrl && (
-                <div className="direct-url-input">
-                  <h3>Enter FieldNation URL directly</h3>
-                  <form onSubmit={(e) => {
-                    e.preventDefault();
-                    if (currentUrl) {
-                      // Force refresh of the component
-                      const url = currentUrl;
-                      setCurrentUrl('');
-                      setTimeout(() => setCurrentUrl(url), 50);
-                    }
-                  }}>
-                    <input 
-                      type="text" 
-                      value={currentUrl || ''} 
-                      onChange={(e) => setCurrentUrl(e.target.value)}
-                      placeholder="https://app.fieldnation.com/workorders/123456" 
-                      className="direct-url-field"
-                    />
-                    <button type="submit" className="url-load-button">Load URL</button>
-                  </form>
-                </div>
-              )}
-              
-              {currentUrl ? (
-                <EmbeddedBrowser 
-                  url={currentUrl}
-                  batchId={currentBatch}
-                  onNavigate={handleBrowserNavigate}
+            {parsedUrls.length > 0 && (
+              <AutoPlayControls
+                autoPlay={autoPlay}
+                currentBatch={currentBatch}
+                currentIndex={currentUrlIndex}
+                batchLength={currentBatchUrls.length}
+                totalBatches={totalBatches}
+              />
+            )}
+            
+            <div className="embedded-main">
+              {parsedUrls.length > 0 && (
+                <BatchQueue
+                  urls={currentBatchUrls}
+                  statuses={urlStatuses}
+                  metadata={urlMetadata}
+                  reviews={reviews}
+                  currentIndex={currentUrlIndex}
+                  currentBatch={currentBatch}
+                  totalBatches={totalBatches}
+                  profiles={profileData.profiles}
+                  profileId={batchProfiles[currentBatch] || ''}
+                  onProfileChange={(profileId) => handleBatchProfileChange(currentBatch, profileId)}
+                  onSelect={(index) => navigateToQueueItem(currentBatch, index)}
+                  onNext={handleNextUrl}
+                  onPrevious={handlePreviousUrl}
                 />
-              ) : (
-                <div className="no-url-message">
-                  <p>Enter a FieldNation URL above to begin browsing</p>
-                </div>
               )}
+            
+              <div className="embedded-browser-container">
+                {!currentUrl && (
+                  <div className="direct-url-input">
+                    <h3>Enter FieldNation URL directly</h3>
+                    <form onSubmit={(e) => {
+                      e.preventDefault();
+                      if (currentUrl) {
+                        // Force refresh of the component
+                        const url = currentUrl;
+                        setCurrentUrl('');
+                        setTimeout(() => setCurrentUrl(url), 50);
+                      }
+                    }}>
+                      <input 
+                        type="text" 
+                        value={currentUrl || ''} 
+                        onChange={(e) => setCurrentUrl(e.target.value)}
+                        placeholder="https://app.fieldnation.com/workorders/123456" 
+                        className="direct-url-field"
+                      />
+                      <button type="submit" className="url-load-button">Load URL</button>
+                    </form>
+                  </div>
+                )}
+              
+                {currentUrl ? (
+                  <EmbeddedBrowser 
+                    url={currentUrl}
+                    batchId={currentBatch}
+                    batchUrls={currentBatchUrls}
+                    metadata={urlMetadata}
+                    profile={currentProfile}
+                    onNavigate={handleBrowserNavigate}
+                    onLoadFinish={handlePageLoaded}
+                    onLoadFail={handlePageFailed}
+                    onFieldsExtracted={handleFieldsExtracted}
+                    onHarvest={handleHarvest}
+                  />
+                ) : (
+                  <div className="no-url-message">
+                    <p>Enter a FieldNation URL above to begin browsing</p>
+                  </div>
+                )}
+              </div>
+              
+              <ReviewPanel
+                url={currentQueueUrl || currentUrl}
+                review={reviews[getUrlKey(currentQueueUrl || currentUrl)]}
+                metadata={urlMetadata[currentQueueUrl || currentUrl]}
+                fields={extractedFields[getUrlKey(currentQueueUrl || currentUrl)]}
+                profileId={currentProfile ? currentProfile.id : null}
+                onChange={handleReviewChange}
+                onExport={handleExportRun}
+              />
             </div>
           </div>
         )}
@@ -381,8 +928,43 @@ function App() {
             <UrlHistory onOpenUrl={openInEmbeddedBrowser} />
           </div>
         )}
+        
+        {activeTab === 'results' && (
+          <div className="results-tab">
+            <ResultsView onOpenUrl={openInEmbeddedBrowser} />
+          </div>
+        )}
+        
+        {activeTab === 'watch' && (
+          <div className="watch-tab">
+            <WatchList onOpenUrl={openInEmbeddedBrowser} highlightId={highlightedWatchId} />
+          </div>
+        )}
+        
+        {activeTab === 'settings' && (
+          <div className="settings-tab">
+            <ProfileManager
+              profiles={profileData.profiles}
+              activeId={profileData.activeId}
+              urlTemplates={urlTemplates}
+              onChange={setProfileData}
+            />
+            <ExtractionRulesEditor />
+            <SnapshotSettings />
+            <SecurityPolicyEditor />
+          </div>
+        )}
       </div>
       
+      {importData && (
+        <ImportDialog
+          fileName={importData.fileName}
+          sheets={importData.sheets}
+          onImport={handleImport}
+          onCancel={() => setImportData(null)}
+        />
+      )}
+      
       {/* Development Helper Component */}
       {/* <DevHelper /> */}
     </div>
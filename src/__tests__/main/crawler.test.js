@@ -0,0 +1,10 @@
+jest.mock('electron', () => ({ BrowserWindow: jest.fn() }), { virtual: true });
+
+const { getNextPageUrl } = require('../../../main/crawler');
+
+test('increments the page parameter, treating a missing one as page 1', () => {
+  expect(getNextPageUrl('https://example.com/jobs?page=2&sort=new', 'page'))
+    .toBe('https://example.com/jobs?page=3&sort=new');
+  expect(getNextPageUrl('https://example.com/jobs', 'page')).toBe('https://example.com/jobs?page=2');
+  expect(getNextPageUrl('https://example.com/jobs?p=abc', 'p')).toBe('https://example.com/jobs?p=2');
+});
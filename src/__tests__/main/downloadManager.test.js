@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const { OTHER_FOLDER, sanitizeFileName, getUniquePath, createDownloadManager } = require('../../../main/downloadManager');
+
+let folder;
+
+beforeEach(() => {
+  folder = fs.mkdtempSync(path.join(os.tmpdir(), 'downloads-'));
+});
+
+afterEach(() => {
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+// Stand-in for Electron's DownloadItem
+const createItem = (url, filename) => {
+  const item = new EventEmitter();
+  Object.assign(item, {
+    savePath: null,
+    received: 0,
+    paused: false,
+    cancelled: false,
+    getURL: () => url,
+    getFilename: () => filename,
+    getTotalBytes: () => 100,
+    getReceivedBytes: () => item.received,
+    setSavePath: (savePath) => {
+      item.savePath = savePath;
+    },
+    isPaused: () => item.paused,
+    pause: () => {
+      item.paused = true;
+    },
+    canResume: () => true,
+    resume: () => {
+      item.paused = false;
+    },
+    cancel: () => {
+      item.cancelled = true;
+    }
+  });
+  return item;
+};
+
+const createContents = (pageUrl, type = 'webview') => ({
+  isDestroyed: () => false,
+  getType: () => type,
+  getURL: () => pageUrl
+});
+
+// Start a download on a fake session; returns whether it was prevented
+const startDownload = (ses, item, contents) => {
+  let prevented = false;
+  ses.emit('will-download', { preventDefault: () => { prevented = true; } }, item, contents);
+  return prevented;
+};
+
+test('sanitizes file names for every platform', () => {
+  expect(sanitizeFileName('scope: a/b?.pdf')).toBe('scope_ a_b_.pdf');
+  expect(sanitizeFileName('  notes.txt  ')).toBe('notes.txt');
+  expect(sanitizeFileName('.')).toBe('download');
+  expect(sanitizeFileName('..')).toBe('download');
+  expect(sanitizeFileName('')).toBe('download');
+  expect(sanitizeFileName(null)).toBe('download');
+});
+
+test('numbers a file name until it is free', () => {
+  expect(getUniquePath(folder, 'scope.pdf')).toBe(path.join(folder, 'scope.pdf'));
+  fs.writeFileSync(path.join(folder, 'scope.pdf'), '');
+  fs.writeFileSync(path.join(folder, 'scope (2).pdf'), '');
+  expect(getUniquePath(folder, 'scope.pdf')).toBe(path.join(folder, 'scope (3).pdf'));
+});
+
+test('cancels downloads that do not come from the embedded browser', () => {
+  const manager = createDownloadManager({ getRootFolder: () => folder });
+  const ses = new EventEmitter();
+  manager.attach(ses);
+
+  const item = createItem('https://example.com/file.pdf', 'file.pdf');
+  expect(startDownload(ses, item, createContents('https://example.com', 'window'))).toBe(true);
+  expect(startDownload(ses, item, null)).toBe(true);
+  expect(item.savePath).toBeNull();
+  expect(manager.list()).toEqual([]);
+});
+
+test('saves webview downloads into the work order folder and reports progress', () => {
+  const updates = [];
+  const completed = [];
+  const manager = createDownloadManager({
+    getRootFolder: () => folder,
+    onUpdate: (download) => updates.push(download),
+    onComplete: (download) => completed.push(download)
+  });
+  const ses = new EventEmitter();
+  manager.attach(ses);
+  manager.attach(ses);
+  expect(ses.listenerCount('will-download')).toBe(1);
+
+  fs.mkdirSync(path.join(folder, '123'));
+  fs.writeFileSync(path.join(folder, '123', 'scope.pdf'), '');
+  const item = createItem('https://cdn.example.com/files/9', 'scope.pdf');
+  expect(startDownload(ses, item, createContents('https://app.fieldnation.com/workorders/123'))).toBe(false);
+  expect(item.savePath).toBe(path.join(folder, '123', 'scope (2).pdf'));
+
+  const [download] = manager.list();
+  expect(download).toMatchObject({ workOrderId: '123', fileName: 'scope (2).pdf', state: 'progressing', totalBytes: 100 });
+  expect(manager.getPath(download.id)).toBe(item.savePath);
+
+  manager.pause(download.id);
+  expect(item.paused).toBe(true);
+  expect(manager.list()[0].state).toBe('paused');
+  manager.resume(download.id);
+  expect(manager.list()[0].state).toBe('progressing');
+
+  item.received = 100;
+  item.emit('done', {}, 'completed');
+  expect(completed).toEqual([expect.objectContaining({ id: download.id, state: 'completed', receivedBytes: 100 })]);
+  expect(updates[updates.length - 1]).toMatchObject({ state: 'completed' });
+  expect(() => manager.cancel(download.id)).toThrow('That download has already finished');
+
+  manager.clearFinished();
+  expect(manager.list()).toEqual([]);
+});
+
+test('puts downloads from other pages in the shared folder', () => {
+  const manager = createDownloadManager({ getRootFolder: () => folder });
+  const ses = new EventEmitter();
+  manager.attach(ses);
+
+  const item = createItem('https://example.com/report', '..');
+  startDownload(ses, item, createContents('https://example.com/dashboard'));
+  expect(item.savePath).toBe(path.join(folder, OTHER_FOLDER, 'download'));
+
+  const [download] = manager.list();
+  item.emit('done', {}, 'cancelled');
+  expect(manager.list()[0]).toMatchObject({ id: download.id, state: 'cancelled' });
+});
@@ -0,0 +1,103 @@
+const { getRulesForUrl, matchesDomain, validateRuleSets, extractFields } = require('../../../main/extraction');
+
+// jsdom has no layout, so innerText is not implemented; textContent is close
+// enough for these pages
+beforeAll(() => {
+  Object.defineProperty(HTMLElement.prototype, 'innerText', {
+    configurable: true,
+    get() {
+      return this.textContent;
+    }
+  });
+});
+
+afterAll(() => {
+  delete HTMLElement.prototype.innerText;
+});
+
+// Runs the page script in the test document, like webContents would in the page
+const createContents = () => ({
+  executeJavaScript: (script) => Promise.resolve((0, eval)(script)) // eslint-disable-line no-eval
+});
+
+test('matches a domain and its subdomains only', () => {
+  expect(matchesDomain('app.fieldnation.com', 'fieldnation.com')).toBe(true);
+  expect(matchesDomain('FIELDNATION.com', '*.fieldnation.com')).toBe(true);
+  expect(matchesDomain('notfieldnation.com', 'fieldnation.com')).toBe(false);
+  expect(matchesDomain('fieldnation.com', '')).toBe(false);
+});
+
+test('lists every problem in the saved rules', () => {
+  expect(validateRuleSets({})).toEqual(['Rules must be a list of domains']);
+  expect(validateRuleSets([
+    { domain: 'example.com', rules: [{ field: 'pay', type: 'css', expression: '.pay' }] }
+  ])).toEqual([]);
+  expect(validateRuleSets([
+    { rules: [] },
+    {
+      domain: 'example.com',
+      rules: [
+        { type: 'json', expression: '$.pay' },
+        { field: 'pay', type: 'regex', expression: '(unclosed' },
+        { field: 'title', type: 'xpath' }
+      ]
+    }
+  ])).toEqual([
+    'Rule set 1 has no domain',
+    'example.com, rule 1: a field name is required',
+    'example.com, rule 1: unknown type "json"',
+    expect.stringMatching(/^example\.com, rule 2: .*unclosed/i),
+    'example.com, rule 3: an expression is required'
+  ]);
+});
+
+test('lets custom rules replace the default rules of the same field', () => {
+  const custom = [
+    { domain: 'fieldnation.com', rules: [{ field: 'pay', type: 'css', expression: '.my-pay' }, { field: 'notes', type: 'css', expression: '.notes' }] },
+    { domain: 'example.com', rules: [{ field: 'title', type: 'css', expression: 'h2' }] }
+  ];
+  const rules = getRulesForUrl('https://app.fieldnation.com/workorders/123', custom);
+  expect(rules.slice(0, 2)).toEqual(custom[0].rules);
+  expect(rules.filter(rule => rule.field === 'pay')).toHaveLength(1);
+  expect(rules.some(rule => rule.field === 'title')).toBe(true);
+
+  expect(getRulesForUrl('https://example.com/page', custom)).toEqual(custom[1].rules);
+  expect(getRulesForUrl('https://other.com/page', custom)).toEqual([]);
+  expect(getRulesForUrl('not a url', custom)).toEqual([]);
+});
+
+test('extracts fields with CSS, XPath and regex rules in the page', async () => {
+  document.body.innerHTML = `
+    <h1 class="work-order-title">  Replace   router </h1>
+    <a class="site" href="/sites/42">Site</a>
+    <dl><dt>Company</dt><dd>Acme Corp</dd></dl>
+    <p>Total pay: $250.00</p>
+  `;
+  const custom = [{
+    domain: 'fieldnation.com',
+    rules: [
+      { field: 'site', type: 'css', expression: 'a.site', attribute: 'href' },
+      { field: 'company', type: 'xpath', expression: '//dt[text()="Company"]/following-sibling::dd' },
+      { field: 'broken', type: 'css', expression: '[[' }
+    ]
+  }];
+
+  const result = await extractFields(createContents(), 'https://app.fieldnation.com/workorders/123', custom, { timeout: 1 });
+  expect(result.fields).toMatchObject({
+    workOrderId: '123',
+    title: 'Replace router',
+    site: '/sites/42',
+    company: 'Acme Corp',
+    pay: '$250.00'
+  });
+  expect(result.fields.broken).toBeUndefined();
+  expect(result.errors).toEqual([expect.stringMatching(/^broken \(css\): /)]);
+  expect(new Date(result.extractedAt).toString()).not.toBe('Invalid Date');
+});
+
+test('skips the page when no rules apply to it', async () => {
+  const contents = { executeJavaScript: () => Promise.reject(new Error('should not run')) };
+  const result = await extractFields(contents, 'https://other.com/workorders/55', []);
+  expect(result.fields).toEqual({ workOrderId: '55' });
+  expect(result.errors).toEqual([]);
+});
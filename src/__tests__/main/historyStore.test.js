@@ -0,0 +1,147 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createHistoryStore } = require('../../../main/historyStore');
+
+let folder;
+let filePath;
+
+beforeEach(() => {
+  folder = fs.mkdtempSync(path.join(os.tmpdir(), 'history-'));
+  filePath = path.join(folder, 'history.json');
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  fs.rmSync(folder, { recursive: true, force: true });
+});
+
+const readFile = () => JSON.parse(fs.readFileSync(filePath, 'utf8'));
+
+// Three URLs opened on different days, in two batches
+const createFilledStore = () => {
+  const store = createHistoryStore(filePath);
+  store.record({ url: 'https://app.fieldnation.com/workorders/100', batchId: 1, timestamp: '2025-03-01T10:00:00.000Z' });
+  store.record({ url: 'https://example.com/status', batchId: 2, timestamp: '2025-03-02T10:00:00.000Z' });
+  store.record({ url: 'https://app.fieldnation.com/workorders/300', batchId: 2, timestamp: '2025-03-03T10:00:00.000Z' });
+  return store;
+};
+
+const urlsOf = (result) => result.entries.map(entry => entry.url);
+
+test('lists the newest entries first and searches URLs and batches', () => {
+  const store = createFilledStore();
+  expect(urlsOf(store.list())).toEqual([
+    'https://app.fieldnation.com/workorders/300',
+    'https://example.com/status',
+    'https://app.fieldnation.com/workorders/100'
+  ]);
+  expect(urlsOf(store.list({ search: ' WORKORDERS ' }))).toEqual([
+    'https://app.fieldnation.com/workorders/300',
+    'https://app.fieldnation.com/workorders/100'
+  ]);
+  expect(urlsOf(store.list({ search: '1' }))).toEqual([
+    'https://app.fieldnation.com/workorders/100'
+  ]);
+});
+
+test('filters by batch and by the last opened date', () => {
+  const store = createFilledStore();
+  expect(urlsOf(store.list({ batchId: '2' }))).toEqual([
+    'https://app.fieldnation.com/workorders/300',
+    'https://example.com/status'
+  ]);
+  expect(store.list({ batchId: '' }).total).toBe(3);
+  expect(urlsOf(store.list({ from: '2025-03-02T00:00:00.000Z', to: '2025-03-02T23:59:59.999Z' }))).toEqual([
+    'https://example.com/status'
+  ]);
+  expect(urlsOf(store.list({ from: '2025-03-02T10:00:00.000Z' }))).toHaveLength(2);
+});
+
+test('sorts by any known column and ignores unknown ones', () => {
+  const store = createFilledStore();
+  expect(urlsOf(store.list({ sortBy: 'url', sortOrder: 'asc' }))).toEqual([
+    'https://app.fieldnation.com/workorders/100',
+    'https://app.fieldnation.com/workorders/300',
+    'https://example.com/status'
+  ]);
+  expect(urlsOf(store.list({ sortBy: 'timestamp', sortOrder: 'asc' }))[0]).toBe('https://app.fieldnation.com/workorders/100');
+  expect(urlsOf(store.list({ sortBy: 'constructor' }))[0]).toBe('https://app.fieldnation.com/workorders/300');
+});
+
+test('pages through the results', () => {
+  const store = createFilledStore();
+  const page = store.list({ sortBy: 'url', sortOrder: 'asc', offset: 1, limit: 1 });
+  expect(urlsOf(page)).toEqual(['https://app.fieldnation.com/workorders/300']);
+  expect(page).toMatchObject({ total: 3, offset: 1, limit: 1 });
+  expect(store.list({ offset: -5, limit: 0 })).toMatchObject({ offset: 0, limit: 0 });
+  expect(store.list({ limit: 0 }).entries).toHaveLength(3);
+});
+
+test('keeps one entry per URL key, including after a redirect', () => {
+  const store = createHistoryStore(filePath);
+  store.record({ url: 'https://app.fieldnation.com/workorders/100', batchId: 1, timestamp: '2025-03-01T10:00:00.000Z' });
+  const entry = store.record({ url: 'http://app.fieldnation.com/workorders/100/details#pay', batchId: 3, timestamp: '2025-03-05T10:00:00.000Z' });
+  store.record({ url: 'https://example.com/status/', timestamp: '2025-03-06T10:00:00.000Z' });
+  store.record({ url: 'https://example.com/status?page=2', timestamp: '2025-03-07T10:00:00.000Z' });
+
+  expect(store.list().total).toBe(3);
+  expect(entry).toMatchObject({
+    url: 'https://app.fieldnation.com/workorders/100',
+    batchId: 3,
+    visitCount: 2,
+    firstOpened: '2025-03-01T10:00:00.000Z',
+    timestamp: '2025-03-05T10:00:00.000Z'
+  });
+  expect(entry.visits.map(visit => visit.batchId)).toEqual([1, 3]);
+  expect(store.list({ search: 'example.com' }).entries[0]).toMatchObject({ visitCount: 1 });
+
+  const updated = store.update('https://app.fieldnation.com/workorders/100?tab=files', { notes: 'Bring a ladder', url: 'ignored' });
+  expect(updated).toBe(entry);
+  expect(updated).toMatchObject({ url: 'https://app.fieldnation.com/workorders/100', notes: 'Bring a ladder' });
+});
+
+test('writes a burst of changes to disk together after a delay', () => {
+  jest.useFakeTimers();
+  const store = createFilledStore();
+  expect(store.hasPendingChanges()).toBe(true);
+  expect(fs.existsSync(filePath)).toBe(false);
+
+  jest.advanceTimersByTime(999);
+  expect(fs.existsSync(filePath)).toBe(false);
+
+  // The write itself is asynchronous; flush() waits for the one already queued
+  jest.advanceTimersByTime(1);
+  jest.useRealTimers();
+  return store.flush().then(() => {
+    expect(store.hasPendingChanges()).toBe(false);
+    expect(readFile().entries).toHaveLength(3);
+    expect(fs.readdirSync(folder)).toEqual(['history.json']);
+  });
+});
+
+test('flush writes pending changes straight away and the store reloads them', async () => {
+  const store = createFilledStore();
+  store.update('https://example.com/status', { notes: 'Closed' });
+  await store.flush();
+  expect(store.hasPendingChanges()).toBe(false);
+  expect(readFile()).toMatchObject({ version: 1 });
+
+  const reloaded = createHistoryStore(filePath);
+  expect(reloaded.list().total).toBe(3);
+  expect(reloaded.list({ search: 'example.com' }).entries[0]).toMatchObject({ notes: 'Closed', batchId: 2 });
+
+  // Nothing changed since, so there is nothing to write
+  await reloaded.flush();
+  expect(reloaded.hasPendingChanges()).toBe(false);
+});
+
+test('moves an unreadable store aside and starts a new one', () => {
+  const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+  fs.writeFileSync(filePath, '{ not json');
+  const store = createHistoryStore(filePath);
+  expect(store.list().total).toBe(0);
+  expect(fs.readdirSync(folder).some(name => name.startsWith('history.json.corrupt-'))).toBe(true);
+  error.mockRestore();
+});
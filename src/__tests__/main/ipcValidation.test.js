@@ -0,0 +1,37 @@
+const { validatePayload, isHttpUrl } = require('../../../main/ipcValidation');
+
+test('returns the declared fields and drops everything else', () => {
+  const payload = { url: 'https://example.com/a', batchId: 3, extra: 'ignored' };
+  expect(validatePayload('log-url-opened', payload, { url: 'url', batchId: 'key?' }))
+    .toEqual({ url: 'https://example.com/a', batchId: 3 });
+});
+
+test('treats null and undefined as missing, which only optional fields allow', () => {
+  expect(validatePayload('history-list', undefined, { search: 'string?' })).toEqual({});
+  expect(validatePayload('history-list', { search: null }, { search: 'string?' })).toEqual({});
+  expect(() => validatePayload('snapshot-open', {}, { url: 'url' }))
+    .toThrow('Invalid request for snapshot-open: url is required');
+});
+
+test('rejects values of the wrong type and payloads that are not objects', () => {
+  expect(() => validatePayload('download-pdf', { webContentsId: '12' }, { webContentsId: 'id' }))
+    .toThrow('webContentsId must be of type id');
+  expect(() => validatePayload('download-pdf', { webContentsId: 0 }, { webContentsId: 'id' })).toThrow();
+  expect(() => validatePayload('get-reviews', { urls: ['a', 1] }, { urls: 'stringArray' })).toThrow();
+  expect(() => validatePayload('watch-update', { changes: [] }, { changes: 'object' })).toThrow();
+  expect(() => validatePayload('crawl-start', ['a'], {})).toThrow('expected an object');
+  expect(() => validatePayload('crawl-start', { maxPages: Infinity }, { maxPages: 'number' })).toThrow();
+});
+
+test('only accepts http(s) URLs as urls', () => {
+  expect(isHttpUrl('https://example.com')).toBe(true);
+  expect(isHttpUrl('file:///etc/passwd')).toBe(false);
+  expect(isHttpUrl('data:text/html,hello')).toBe(false);
+  expect(() => validatePayload('snapshot-open', { url: 'file:///etc/passwd' }, { url: 'url' }))
+    .toThrow('url must be an http(s) URL');
+});
+
+test('fails loudly on a schema with an unknown type', () => {
+  expect(() => validatePayload('broken', { a: 1 }, { a: 'integer' }))
+    .toThrow('Unknown payload type "integer" for broken.a');
+});
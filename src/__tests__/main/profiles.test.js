@@ -0,0 +1,58 @@
+// Sessions only exist inside Electron; the profiles just need somewhere to set
+// the user agent
+jest.mock('electron', () => {
+  const ses = { setUserAgent: () => {}, clearStorageData: () => Promise.resolve() };
+  return { session: { fromPartition: () => ses } };
+}, { virtual: true });
+
+const { createProfiles } = require('../../../main/profiles');
+
+// Settings store kept in memory
+const createMemoryStore = () => {
+  const values = {};
+  return {
+    get: (key, defaultValue = null) => (key in values ? values[key] : defaultValue),
+    set: (key, value) => {
+      values[key] = value;
+      return value;
+    }
+  };
+};
+
+test('exports profile settings without partitions or IDs', () => {
+  const profiles = createProfiles({ settingsStore: createMemoryStore() });
+  profiles.save({ name: 'Second account', userAgent: 'Custom/1.0', templateId: 'fn' });
+
+  const exported = profiles.exportSettings();
+  expect(exported.version).toBe(1);
+  expect(exported.profiles).toEqual([
+    { name: 'Default', userAgent: '', templateId: null },
+    { name: 'Second account', userAgent: 'Custom/1.0', templateId: 'fn' }
+  ]);
+  expect(JSON.stringify(exported)).not.toContain('persist:');
+});
+
+test('imports new profiles and updates existing ones by name', () => {
+  const profiles = createProfiles({ settingsStore: createMemoryStore() });
+  const result = profiles.importSettings({
+    profiles: [
+      { name: 'default', userAgent: 'Imported/2.0' },
+      { name: 'Night shift', templateId: 'fn', partition: 'persist:authSession' },
+      { name: '   ' },
+      null
+    ]
+  });
+
+  expect(result).toEqual({ added: 1, updated: 1 });
+  const { profiles: saved } = profiles.list();
+  expect(saved).toHaveLength(2);
+  expect(saved[0]).toMatchObject({ id: 'default', name: 'default', userAgent: 'Imported/2.0', partition: 'persist:authSession' });
+  // The partition always comes from the new profile's own ID, never the file
+  expect(saved[1].partition).toBe(`persist:profile-${saved[1].id}`);
+});
+
+test('rejects files that are not profile exports', () => {
+  const profiles = createProfiles({ settingsStore: createMemoryStore() });
+  expect(() => profiles.importSettings({ templates: [] })).toThrow('The file is not a profile export');
+  expect(() => profiles.importSettings(null)).toThrow('The file is not a profile export');
+});
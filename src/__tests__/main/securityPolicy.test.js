@@ -0,0 +1,100 @@
+const { validatePolicy, normalizePolicy, createSecurityPolicy } = require('../../../main/securityPolicy');
+
+const POLICY = {
+  domains: [
+    { domain: 'fieldnation.com', allowCertificateErrors: false, relaxCsp: true, permissions: ['notifications'] },
+    { domain: 'intranet.example', allowCertificateErrors: true, relaxCsp: false, permissions: [] }
+  ]
+};
+
+// A session that records the handlers the policy installs
+const createFakeSession = () => {
+  const handlers = {};
+  return {
+    handlers,
+    setPermissionRequestHandler: (handler) => { handlers.request = handler; },
+    setPermissionCheckHandler: (handler) => { handlers.check = handler; },
+    webRequest: { onHeadersReceived: (handler) => { handlers.headers = handler; } }
+  };
+};
+
+const contentsAt = (pageUrl) => ({ getURL: () => pageUrl });
+
+test('reports invalid domains, duplicates and unknown permissions', () => {
+  expect(validatePolicy(POLICY)).toEqual([]);
+  expect(validatePolicy({})).toEqual(['The policy must have a list of domains']);
+  expect(validatePolicy({
+    domains: [
+      { domain: 'https://Example.com/path' },
+      { domain: 'example.com', permissions: ['camera'] },
+      { domain: 'not a domain' }
+    ]
+  })).toEqual([
+    'example.com is listed more than once',
+    'example.com: unknown permission "camera"',
+    'Domain 3 is not a valid domain name'
+  ]);
+});
+
+test('normalizes domains and drops unknown permissions', () => {
+  expect(normalizePolicy({
+    domains: [{ domain: ' https://*.Example.com:8443/x ', relaxCsp: 1, permissions: ['media', 'camera'] }]
+  })).toEqual({
+    domains: [{ domain: 'example.com', allowCertificateErrors: false, relaxCsp: true, permissions: ['media'] }]
+  });
+});
+
+test('grants permissions only to trusted domains that allow them', () => {
+  const onBlocked = jest.fn();
+  const policy = createSecurityPolicy({ getPolicy: () => POLICY, isAppContents: () => false, onBlocked });
+  const ses = createFakeSession();
+  policy.applyToSession(ses);
+
+  const callback = jest.fn();
+  ses.handlers.request(contentsAt('https://app.fieldnation.com/workorders/1'), 'notifications', callback);
+  ses.handlers.request(contentsAt('https://app.fieldnation.com/workorders/1'), 'geolocation', callback);
+  ses.handlers.request(contentsAt('https://evil.example.com'), 'notifications', callback);
+  ses.handlers.request(contentsAt('https://evil.example.com'), 'fullscreen', callback);
+  expect(callback.mock.calls).toEqual([[true], [false], [false], [true]]);
+
+  expect(onBlocked).toHaveBeenCalledTimes(2);
+  expect(policy.getBlocked()[0]).toMatchObject({ type: 'permission', url: 'https://evil.example.com', detail: 'Denied notifications' });
+
+  expect(ses.handlers.check(null, 'notifications', 'https://fieldnation.com')).toBe(true);
+  expect(ses.handlers.check(null, 'media', 'https://fieldnation.com')).toBe(false);
+});
+
+test('always trusts the app window itself', () => {
+  const appContents = contentsAt('http://localhost:3000');
+  const policy = createSecurityPolicy({ getPolicy: () => POLICY, isAppContents: (contents) => contents === appContents });
+  const ses = createFakeSession();
+  policy.applyToSession(ses);
+
+  const callback = jest.fn();
+  ses.handlers.request(appContents, 'media', callback);
+  expect(callback).toHaveBeenCalledWith(true);
+  expect(ses.handlers.check(appContents, 'geolocation', 'http://localhost:3000')).toBe(true);
+});
+
+test('drops the Content-Security-Policy only where it is relaxed', () => {
+  const policy = createSecurityPolicy({ getPolicy: () => POLICY });
+  const ses = createFakeSession();
+  policy.applyToSession(ses);
+
+  const responseHeaders = { 'Content-Security-Policy': ["default-src 'self'"], 'Content-Type': ['text/html'] };
+  const callback = jest.fn();
+  ses.handlers.headers({ url: 'https://app.fieldnation.com/', responseHeaders }, callback);
+  ses.handlers.headers({ url: 'https://intranet.example/', responseHeaders }, callback);
+  expect(callback.mock.calls).toEqual([
+    [{ responseHeaders: { 'Content-Type': ['text/html'] } }],
+    [{}]
+  ]);
+});
+
+test('ignores certificate errors only for domains that allow it', () => {
+  const policy = createSecurityPolicy({ getPolicy: () => POLICY });
+  expect(policy.allowCertificateError('https://intranet.example/login', 'net::ERR_CERT_AUTHORITY_INVALID')).toBe(true);
+  expect(policy.allowCertificateError('https://fieldnation.com/', 'net::ERR_CERT_DATE_INVALID')).toBe(false);
+  expect(policy.getBlocked()).toHaveLength(1);
+  expect(policy.getBlocked()[0]).toMatchObject({ type: 'certificate', url: 'https://fieldnation.com/' });
+});
@@ -0,0 +1,46 @@
+const { validateUrlTemplates, validateResultsViews } = require('../../../main/settingsValidation');
+
+const template = (id, pattern = `https://example.com/${id}/{id}`) => ({ id, name: ` Template ${id} `, pattern });
+
+test('accepts URL templates and falls back to the first one when the active one is unknown', () => {
+  expect(validateUrlTemplates({ templates: [template('a'), template('b')], activeId: 'b' }).activeId).toBe('b');
+
+  const result = validateUrlTemplates({ templates: [template('a')], activeId: 'gone' });
+  expect(result).toEqual({
+    templates: [{ id: 'a', name: 'Template a', pattern: 'https://example.com/a/{id}' }],
+    activeId: 'a'
+  });
+});
+
+test('rejects URL templates without {id}, outside http(s) or with duplicate ids', () => {
+  expect(() => validateUrlTemplates({ templates: [] })).toThrow('Between 1 and 50');
+  expect(() => validateUrlTemplates({ templates: [template('a', 'https://example.com/list')] })).toThrow('{id}');
+  expect(() => validateUrlTemplates({ templates: [template('a', 'file:///{id}')] })).toThrow('http(s)');
+  expect(() => validateUrlTemplates({ templates: [template('a'), template('a')] })).toThrow('unique id');
+  expect(() => validateUrlTemplates(['https://example.com/{id}'])).toThrow();
+});
+
+test('keeps only the known fields of saved result views', () => {
+  const views = validateResultsViews([{
+    name: ' Open ',
+    search: 'denver',
+    filters: [{ column: 'status', operator: 'equals', value: 'open', extra: true }],
+    sort: { column: 'pay', direction: 'desc', extra: true },
+    extra: 'dropped'
+  }]);
+  expect(views).toEqual([{
+    name: 'Open',
+    search: 'denver',
+    filters: [{ column: 'status', operator: 'equals', value: 'open', valueTo: '' }],
+    sort: { column: 'pay', direction: 'desc' }
+  }]);
+});
+
+test('rejects result views with a bad sort order or filter', () => {
+  const sort = { column: 'pay', direction: 'asc' };
+  expect(() => validateResultsViews([{ name: '', sort }])).toThrow('needs a name');
+  expect(() => validateResultsViews([{ name: 'A', sort: { column: 'pay', direction: 'up' } }])).toThrow('sort order');
+  expect(() => validateResultsViews([{ name: 'A', sort, filters: [{ column: 'pay', operator: 'gt', value: 5 }] }]))
+    .toThrow('invalid filter');
+  expect(() => validateResultsViews({ name: 'A', sort })).toThrow();
+});
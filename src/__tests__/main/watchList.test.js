@@ -0,0 +1,50 @@
+jest.mock('electron', () => ({ BrowserWindow: jest.fn() }), { virtual: true });
+
+const { diffSnapshots, isQuietTime, normalizeWatchSettings } = require('../../../main/watchList');
+
+test('compares extracted fields one by one', () => {
+  const previous = { fields: { workOrderId: '1', pay: '$200.00', status: 'Published' }, text: 'a' };
+  const current = { fields: { workOrderId: '1', pay: '$250.00', status: 'Published', notes: 'Bring a ladder' }, text: 'b' };
+  expect(diffSnapshots(previous, current)).toEqual([
+    { field: 'pay', before: '$200.00', after: '$250.00' },
+    { field: 'notes', before: '', after: 'Bring a ladder' }
+  ]);
+});
+
+test('falls back to the page text for pages without extracted fields', () => {
+  const previous = { fields: { workOrderId: '1' }, text: 'Title\nPay: $200\nDenver' };
+  const current = { fields: { workOrderId: '1' }, text: 'Title\nPay: $250\nDenver' };
+  expect(diffSnapshots(previous, current)).toEqual(expect.arrayContaining([
+    { line: 'Pay: $200', type: 'removed' },
+    { line: 'Pay: $250', type: 'added' }
+  ]));
+  expect(diffSnapshots(current, current)).toEqual([]);
+});
+
+test('recognises quiet hours, including ones that span midnight', () => {
+  const at = (hours, minutes = 0) => new Date(2025, 2, 4, hours, minutes);
+  const overnight = { enabled: true, start: '22:00', end: '07:00' };
+  expect(isQuietTime(overnight, at(23))).toBe(true);
+  expect(isQuietTime(overnight, at(6, 59))).toBe(true);
+  expect(isQuietTime(overnight, at(7))).toBe(false);
+  expect(isQuietTime({ ...overnight, enabled: false }, at(23))).toBe(false);
+  expect(isQuietTime({ enabled: true, start: '12:00', end: '13:30' }, at(13, 15))).toBe(true);
+  expect(isQuietTime({ enabled: true, start: '12:00', end: '12:00' }, at(12))).toBe(false);
+});
+
+test('clamps watch settings and rejects badly formed quiet hours', () => {
+  const settings = normalizeWatchSettings(undefined, {
+    defaultIntervalMinutes: 0.2,
+    domainRateLimitSeconds: -5,
+    quietHours: { enabled: true, start: '21:30' },
+    unknown: true
+  });
+  expect(settings).toEqual({
+    defaultIntervalMinutes: 1,
+    quietHours: { enabled: true, start: '21:30', end: '07:00' },
+    domainRateLimitSeconds: 0,
+    desktopNotifications: true
+  });
+  expect(normalizeWatchSettings(settings, { defaultIntervalMinutes: 'soon' }).defaultIntervalMinutes).toBe(1);
+  expect(() => normalizeWatchSettings(settings, { quietHours: { end: '7pm' } })).toThrow('Quiet hours must be times like 22:00');
+});
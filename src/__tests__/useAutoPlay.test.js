@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { renderHook, act } from '@testing-library/react';
+import useAutoPlay from '../hooks/useAutoPlay';
+
+// Two batches of two and one URL
+const URLS = [
+  'https://app.fieldnation.com/workorders/1',
+  'https://app.fieldnation.com/workorders/2',
+  'https://app.fieldnation.com/workorders/3'
+];
+
+// The hook together with the position the app keeps for it
+const renderAutoPlay = (start = { batch: 1, index: 0, url: '' }) => {
+  const navigations = [];
+  const { result } = renderHook(() => {
+    const [position, setPosition] = useState(start);
+    return useAutoPlay({
+      urls: URLS,
+      batchSize: 2,
+      tabDelay: 1,
+      batchDelay: 3,
+      currentBatch: position.batch,
+      currentIndex: position.index,
+      currentUrl: position.url,
+      onNavigate: (batch, index, url) => {
+        navigations.push(url);
+        setPosition({ batch, index, url });
+      }
+    });
+  });
+  return { result, navigations };
+};
+
+const advance = (ms) => act(() => {
+  jest.advanceTimersByTime(ms);
+});
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('plays through every batch, waiting between pages and between batches', () => {
+  const { result, navigations } = renderAutoPlay();
+
+  act(() => result.current.play());
+  expect(result.current.playState).toBe('playing');
+  expect(result.current.phase).toBe('loading');
+  expect(navigations).toEqual([URLS[0]]);
+
+  act(() => result.current.handlePageLoaded(URLS[0]));
+  expect(result.current.phase).toBe('tab-delay');
+  advance(900);
+  expect(navigations).toHaveLength(1);
+  advance(100);
+  expect(navigations).toEqual([URLS[0], URLS[1]]);
+
+  act(() => result.current.handlePageLoaded(URLS[1]));
+  advance(1000);
+  expect(result.current.phase).toBe('batch-delay');
+  expect(result.current.message).toBe('Batch 1 complete');
+  advance(2900);
+  expect(navigations).toHaveLength(2);
+  advance(100);
+  expect(navigations).toEqual(URLS);
+
+  act(() => result.current.handlePageLoaded(URLS[2]));
+  advance(1000);
+  expect(result.current.playState).toBe('stopped');
+  expect(result.current.message).toBe('Finished all batches');
+});
+
+test('waits on the page already showing instead of reloading it', () => {
+  const { result, navigations } = renderAutoPlay({ batch: 1, index: 0, url: URLS[0] });
+
+  act(() => result.current.play());
+  expect(result.current.phase).toBe('tab-delay');
+  expect(navigations).toEqual([]);
+  advance(1000);
+  expect(navigations).toEqual([URLS[1]]);
+});
+
+test('pauses on a login page and carries on from where it stopped', () => {
+  const { result, navigations } = renderAutoPlay();
+
+  act(() => result.current.play());
+  act(() => result.current.handlePageLoaded('https://app.fieldnation.com/login?next=/workorders/1'));
+  expect(result.current.playState).toBe('paused');
+  expect(result.current.message).toBe('Paused: the page redirected to a login screen');
+
+  advance(5000);
+  expect(navigations).toHaveLength(1);
+
+  act(() => result.current.play());
+  expect(result.current.playState).toBe('playing');
+  advance(1000);
+  expect(navigations).toEqual([URLS[0], URLS[1]]);
+});
+
+test('keeps going past problem pages when asked to', () => {
+  const { result, navigations } = renderAutoPlay();
+
+  act(() => result.current.setPauseOnProblem(false));
+  act(() => result.current.play());
+  act(() => result.current.handlePageFailed({ errorDescription: 'ERR_NAME_NOT_RESOLVED' }));
+  expect(result.current.playState).toBe('playing');
+  advance(1000);
+  expect(navigations).toEqual([URLS[0], URLS[1]]);
+
+  act(() => result.current.handlePageLoaded('https://app.fieldnation.com/login'));
+  expect(result.current.playState).toBe('playing');
+
+  act(() => result.current.skip());
+  expect(result.current.phase).toBe('batch-delay');
+  act(() => result.current.skip());
+  expect(navigations).toEqual(URLS);
+
+  act(() => result.current.stop());
+  expect(result.current.playState).toBe('stopped');
+  act(() => result.current.handlePageLoaded(URLS[2]));
+  expect(result.current.phase).toBe(null);
+});
@@ -0,0 +1,150 @@
+// Access to the main process through the API exposed by preload.js.
+//
+// When the app is opened in a plain browser (e.g. `npm start` without
+// Electron) the same API is backed by mocks that log the call and do nothing,
+// so components never need to check for Electron before calling it.
+
+// Every method of the preload API, by namespace. 'invoke' methods return a
+// promise, 'send' methods return nothing, 'sync' methods return a value
+// straight away and 'event' methods subscribe to an event from the main
+// process and return an unsubscribe function.
+const API_METHODS = {
+  history: {
+    list: 'invoke',
+    logOpened: 'send',
+    getReviews: 'invoke',
+    saveReview: 'invoke',
+    getResults: 'invoke'
+  },
+  pages: {
+    extractFields: 'invoke',
+    savePdf: 'invoke',
+    saveSnapshot: 'invoke',
+    captureScreenshot: 'invoke',
+    onAuthRedirect: 'event'
+  },
+  extraction: {
+    getRules: 'invoke',
+    setRules: 'invoke'
+  },
+  harvest: {
+    getPattern: 'invoke',
+    collectLinks: 'invoke',
+    getCrawlOptions: 'invoke',
+    crawl: 'invoke',
+    cancelCrawl: 'send',
+    onCrawlProgress: 'event'
+  },
+  watch: {
+    list: 'invoke',
+    add: 'invoke',
+    remove: 'invoke',
+    update: 'invoke',
+    checkNow: 'invoke',
+    setSettings: 'invoke',
+    onChange: 'event',
+    onShow: 'event',
+    onUpdated: 'event'
+  },
+  batchExport: {
+    start: 'invoke',
+    cancel: 'send',
+    onProgress: 'event'
+  },
+  downloads: {
+    list: 'invoke',
+    chooseFolder: 'invoke',
+    pause: 'invoke',
+    resume: 'invoke',
+    cancel: 'invoke',
+    show: 'invoke',
+    clearFinished: 'invoke',
+    onUpdated: 'event'
+  },
+  snapshots: {
+    getSettings: 'invoke',
+    setSettings: 'invoke',
+    open: 'invoke'
+  },
+  screenshots: {
+    getSettings: 'invoke',
+    setSettings: 'invoke',
+    getThumbnails: 'invoke',
+    getImage: 'invoke'
+  },
+  attachments: {
+    getSelector: 'invoke',
+    collect: 'invoke',
+    cancel: 'send',
+    onProgress: 'event'
+  },
+  profiles: {
+    list: 'invoke',
+    save: 'invoke',
+    remove: 'invoke',
+    setActive: 'invoke',
+    exportSettings: 'invoke',
+    importSettings: 'invoke'
+  },
+  security: {
+    getPolicy: 'invoke',
+    setPolicy: 'invoke',
+    clearLog: 'invoke',
+    onBlocked: 'event'
+  },
+  workSession: {
+    get: 'invoke',
+    save: 'invoke',
+    clear: 'invoke'
+  },
+  settings: {
+    getUrlTemplates: 'invoke',
+    setUrlTemplates: 'invoke',
+    getResultsViews: 'invoke',
+    setResultsViews: 'invoke'
+  },
+  files: {
+    saveExport: 'invoke',
+    selectFolder: 'invoke'
+  },
+  windows: {
+    openBatch: 'sync',
+    openExternal: 'send'
+  }
+};
+
+const createMock = (name, kind) => {
+  if (kind === 'event') {
+    return () => () => {};
+  }
+  return (...args) => {
+    console.log(`Mock ${name}`, ...args);
+    return kind === 'invoke' ? Promise.resolve(null) : null;
+  };
+};
+
+// Mock version of the preload API used outside Electron
+const createBrowserFallback = () => {
+  const fallback = {};
+  Object.entries(API_METHODS).forEach(([namespace, methods]) => {
+    fallback[namespace] = {};
+    Object.entries(methods).forEach(([method, kind]) => {
+      fallback[namespace][method] = createMock(`${namespace}.${method}`, kind);
+    });
+  });
+  return fallback;
+};
+
+// True when running inside Electron with the preload API available
+export const isElectron = !!window.urlOpener;
+
+const api = window.urlOpener || createBrowserFallback();
+
+// Error messages from IPC calls are wrapped by Electron; keep only the
+// message thrown in the main process
+export const getErrorMessage = (error) => (
+  ((error && error.message) || String(error))
+    .replace(/^Error invoking remote method '[^']+': (Error: )?/, '')
+);
+
+export default api;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './AttachmentCollectorPanel.css';
+import { getBatchUrls, getTotalBatches } from '../utils/batches';
+import api, { getErrorMessage } from '../api';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  loading: 'Collecting...',
+  done: 'Done',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+// "2 saved, 1 skipped" for one work order's attachments
+const describeAttachments = (attachments) => {
+  if (attachments.length === 0) return 'No attachments';
+  const counts = attachments.reduce((all, attachment) => ({
+    ...all,
+    [attachment.status]: (all[attachment.status] || 0) + 1
+  }), {});
+  return ['saved', 'skipped', 'failed', 'cancelled']
+    .filter(status => counts[status])
+    .map(status => `${counts[status]} ${status}`)
+    .join(', ');
+};
+
+const AttachmentCollectorPanel = ({ urls, batchSize, currentBatch, getProfileId }) => {
+  const [scope, setScope] = useState('current');
+  const [selector, setSelector] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [pages, setPages] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const runningRef = useRef(false);
+
+  const totalBatches = getTotalBatches(urls, batchSize);
+  const collectBatch = scope === 'all' ? null : (scope === 'current' ? currentBatch : Number(scope));
+  const collectUrls = collectBatch === null ? urls : getBatchUrls(urls, batchSize, collectBatch);
+
+  useEffect(() => {
+    api.attachments.getSelector().then(saved => {
+      if (saved) setSelector(saved);
+    });
+  }, []);
+
+  // Track per-page progress reported by the main process
+  useEffect(() => {
+    return api.attachments.onProgress((progress) => {
+      setPages(prev => prev.map(page =>
+        page.index === progress.index ? { ...page, ...progress } : page
+      ));
+    });
+  }, []);
+
+  // Closing the panel takes the progress and Cancel button with it, so stop the job too
+  useEffect(() => () => {
+    if (runningRef.current) api.attachments.cancel();
+  }, []);
+
+  const handleStart = async () => {
+    if (collectUrls.length === 0) return;
+
+    runningRef.current = true;
+    setIsRunning(true);
+    setIsCancelling(false);
+    setSummary(null);
+    setError('');
+    setPages(collectUrls.map((url, i) => ({ index: i + 1, url, status: 'pending', attachments: [] })));
+
+    try {
+      // Attachments are fetched with the batch's profile so they use its login
+      const profileId = getProfileId ? getProfileId(collectBatch) : null;
+      const result = await api.attachments.collect(collectUrls, selector.trim() || undefined, profileId || undefined);
+      setSummary(result);
+    } catch (e) {
+      console.error('Attachment collection failed:', e);
+      setError(getErrorMessage(e));
+    } finally {
+      runningRef.current = false;
+      setIsRunning(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setIsCancelling(true);
+    api.attachments.cancel();
+  };
+
+  const finishedCount = pages.filter(page =>
+    page.status !== 'pending' && page.status !== 'loading'
+  ).length;
+  const progressPercent = pages.length > 0
+    ? Math.round((finishedCount / pages.length) * 100)
+    : 0;
+
+  return (
+    <div className="attachment-collector">
+      <div className="attachment-settings">
+        <label>
+          Collect from
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            disabled={isRunning}
+          >
+            <option value="current">Current batch ({currentBatch})</option>
+            <option value="all">All batches ({urls.length} URLs)</option>
+            {Array.from({ length: totalBatches }, (_, i) => (
+              <option key={i + 1} value={i + 1}>Batch {i + 1}</option>
+            ))}
+          </select>
+        </label>
+
+        <label className="attachment-selector">
+          Attachment links
+          <input
+            type="text"
+            value={selector}
+            onChange={(e) => setSelector(e.target.value)}
+            placeholder="CSS selector"
+            disabled={isRunning}
+          />
+        </label>
+
+        {isRunning ? (
+          <button
+            className="attachment-cancel-button"
+            onClick={handleCancel}
+            disabled={isCancelling}
+          >
+            {isCancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
+        ) : (
+          <button
+            className="attachment-start-button"
+            onClick={handleStart}
+            disabled={collectUrls.length === 0}
+          >
+            Collect from {collectUrls.length} work orders
+          </button>
+        )}
+      </div>
+
+      <div className="attachment-help">
+        Files are saved to the download folder, one folder per work order. Files already there are skipped.
+      </div>
+
+      {pages.length > 0 && (
+        <>
+          <div className="attachment-progress">
+            <div className="attachment-progress-bar" style={{ width: `${progressPercent}%` }} />
+          </div>
+          <div className="attachment-progress-text">
+            {finishedCount} of {pages.length} work orders processed
+          </div>
+
+          <ul className="attachment-results">
+            {pages.map(page => (
+              <li key={page.index} className={`attachment-result ${page.status}`}>
+                <span className="attachment-result-url" title={page.url}>{page.url}</span>
+                <span
+                  className="attachment-result-status"
+                  title={page.error || page.attachments.map(a => `${a.status}: ${a.file || a.url}${a.error ? ` (${a.error})` : ''}`).join('\n')}
+                >
+                  {page.status === 'done' ? describeAttachments(page.attachments) : (STATUS_LABELS[page.status] || page.status)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {summary && (
+        <div className="attachment-summary">
+          Saved {summary.saved} attachments from {summary.pages} work orders
+          {summary.skipped > 0 && `, ${summary.skipped} already saved`}
+          {summary.failed > 0 && `, ${summary.failed} failed`}
+          {summary.cancelled > 0 && `, ${summary.cancelled} work orders cancelled`}.
+          {' '}Report written to <code>{summary.reportPath}</code>
+        </div>
+      )}
+
+      {error && (
+        <div className="attachment-error">Collection failed: {error}</div>
+      )}
+    </div>
+  );
+};
+
+export default AttachmentCollectorPanel;
@@ -0,0 +1,82 @@
+import React from 'react';
+import './AutoPlayControls.css';
+
+const AutoPlayControls = ({ autoPlay, currentBatch, currentIndex, batchLength, totalBatches }) => {
+  const {
+    playState,
+    phase,
+    remaining,
+    message,
+    pauseOnProblem,
+    setPauseOnProblem
+  } = autoPlay;
+
+  const isStopped = playState === 'stopped';
+  const isPlaying = playState === 'playing';
+
+  // Describe what auto-play is waiting for
+  const renderCountdown = () => {
+    if (isStopped) return null;
+    if (phase === 'loading') return 'Waiting for page to load...';
+    if (phase === 'tab-delay') return `Next URL in ${remaining.toFixed(1)}s`;
+    if (phase === 'batch-delay') return `Next batch in ${remaining.toFixed(1)}s`;
+    return null;
+  };
+
+  return (
+    <div className={`auto-play-controls ${playState}`}>
+      <div className="auto-play-buttons">
+        {isPlaying ? (
+          <button className="auto-play-button" onClick={() => autoPlay.pause()} title="Pause">
+            ⏸ Pause
+          </button>
+        ) : (
+          <button
+            className="auto-play-button primary"
+            onClick={() => autoPlay.play()}
+            disabled={batchLength === 0}
+            title="Play"
+          >
+            ▶ {playState === 'paused' ? 'Resume' : 'Play'}
+          </button>
+        )}
+        <button
+          className="auto-play-button"
+          onClick={() => autoPlay.stop()}
+          disabled={isStopped}
+          title="Stop"
+        >
+          ⏹ Stop
+        </button>
+        <button
+          className="auto-play-button"
+          onClick={() => autoPlay.skip()}
+          disabled={isStopped}
+          title="Skip to the next URL"
+        >
+          ⏭ Skip
+        </button>
+      </div>
+
+      <div className="auto-play-position">
+        Batch {currentBatch} of {totalBatches} · URL {Math.min(currentIndex + 1, batchLength)} of {batchLength}
+      </div>
+
+      <div className="auto-play-countdown">
+        {renderCountdown()}
+        {message && <span className="auto-play-message">{message}</span>}
+      </div>
+
+      <label className="auto-play-option">
+        <input
+          type="checkbox"
+          checked={pauseOnProblem}
+          onChange={(e) => setPauseOnProblem(e.target.checked)}
+        />
+        Pause on load errors or login pages
+      </label>
+    </div>
+  );
+};
+
+export default AutoPlayControls;
@@ -1,41 +1,22 @@
 import React, { useState } from 'react';
 import './BatchBrowser.css';
+import BatchExportPanel from './BatchExportPanel';
+import AttachmentCollectorPanel from './AttachmentCollectorPanel';
+import { getBatchUrls, getTotalBatches } from '../utils/batches';
+import api from '../api';
 
-// Safely access Electron API
-const electronAPI = (() => {
-  try {
-    if (window.require) {
-      const { ipcRenderer } = window.require('electron');
-      return { ipcRenderer };
-    }
-  } catch (e) {
-    console.log("Running outside of Electron environment");
-  }
-  // Return mock implementations when not in Electron
-  return {
-    ipcRenderer: {
-      sendSync: (channel, data) => {
-        console.log(`Mock IPC sendSync: ${channel}`, data);
-        return null;
-      }
-    }
-  };
-})();
-
-const BatchBrowser = ({ urls, batchSize, onBatchStart, onBatchComplete, onOpenUrl }) => {
-  const [currentBatch, setCurrentBatch] = useState(1);
+const BatchBrowser = ({ urls, batchSize, activeBatch, onBatchStart, onBatchComplete, onOpenUrl, getProfileId }) => {
+  const [currentBatch, setCurrentBatch] = useState(activeBatch || 1);
   const [isProcessing, setIsProcessing] = useState(false);
   const [processingStatus, setProcessingStatus] = useState('');
+  const [showExport, setShowExport] = useState(false);
+  const [showAttachments, setShowAttachments] = useState(false);
   
   // Calculate total batches
-  const totalBatches = Math.ceil(urls.length / batchSize);
+  const totalBatches = getTotalBatches(urls, batchSize);
   
   // Get current batch's URLs
-  const getCurrentBatchUrls = (batchNum) => {
-    const startIndex = (batchNum - 1) * batchSize;
-    const endIndex = Math.min(startIndex + batchSize, urls.length);
-    return urls.slice(startIndex, endIndex);
-  };
+  const getCurrentBatchUrls = (batchNum) => getBatchUrls(urls, batchSize, batchNum);
   
   // Start processing a specific batch
   const processBatch = (batchNum) => {
@@ -60,10 +41,7 @@ const BatchBrowser = ({ urls, batchSize, onBatchStart, onBatchComplete, onOpenUr
       setProcessingStatus(`Batch ${batchNum} loaded in embedded browser. Use browser controls to navigate.`);
     } else {
       // Legacy behavior for compatibility - this shouldn't actually open windows anymore
-      const windowId = electronAPI.ipcRenderer.sendSync('open-batch', {
-        batchId: batchNum,
-        urls: batchUrls
-      });
+      const windowId = api.windows.openBatch(batchNum, batchUrls);
       
       if (windowId) {
         setProcessingStatus(`Batch ${batchNum} window opened (Window ID: ${windowId})`);
@@ -123,12 +101,50 @@ const BatchBrowser = ({ urls, batchSize, onBatchStart, onBatchComplete, onOpenUr
     <div className="batch-browser">
       <div className="batch-header">
         <h3>Batch Processing</h3>
-        <div className="batch-stats">
-          <span>{urls.length} URLs in {totalBatches} batches</span>
-          <span>({batchSize} URLs per batch)</span>
+        <div className="batch-header-right">
+          <button
+            className={`batch-mode-button ${showExport ? 'active' : ''}`}
+            onClick={() => {
+              setShowExport(!showExport);
+              setShowAttachments(false);
+            }}
+          >
+            Export to PDFs
+          </button>
+          <button
+            className={`batch-mode-button ${showAttachments ? 'active' : ''}`}
+            onClick={() => {
+              setShowAttachments(!showAttachments);
+              setShowExport(false);
+            }}
+          >
+            Collect Attachments
+          </button>
+          <div className="batch-stats">
+            <span>{urls.length} URLs in {totalBatches} batches</span>
+            <span>({batchSize} URLs per batch)</span>
+          </div>
         </div>
       </div>
       
+      {showExport && (
+        <BatchExportPanel
+          urls={urls}
+          batchSize={batchSize}
+          currentBatch={currentBatch}
+          getProfileId={getProfileId}
+        />
+      )}
+
+      {showAttachments && (
+        <AttachmentCollectorPanel
+          urls={urls}
+          batchSize={batchSize}
+          currentBatch={currentBatch}
+          getProfileId={getProfileId}
+        />
+      )}
+      
       <div className="batch-controls">
         <button 
           className="batch-nav-button"
@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './BatchExportPanel.css';
+import { getBatchUrls, getTotalBatches } from '../utils/batches';
+import api, { getErrorMessage } from '../api';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  loading: 'Rendering...',
+  saved: 'Saved',
+  failed: 'Failed',
+  cancelled: 'Cancelled'
+};
+
+const BatchExportPanel = ({ urls, batchSize, currentBatch, getProfileId }) => {
+  const [scope, setScope] = useState('current');
+  const [folder, setFolder] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [results, setResults] = useState([]);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState('');
+  const runningRef = useRef(false);
+
+  const totalBatches = getTotalBatches(urls, batchSize);
+  const exportBatch = scope === 'all' ? null : (scope === 'current' ? currentBatch : Number(scope));
+  const exportUrls = exportBatch === null ? urls : getBatchUrls(urls, batchSize, exportBatch);
+
+  // Track per-URL progress reported by the main process
+  useEffect(() => {
+    return api.batchExport.onProgress((progress) => {
+      setResults(prev => prev.map(result =>
+        result.index === progress.index ? { ...result, ...progress } : result
+      ));
+    });
+  }, []);
+
+  // Closing the panel takes the progress and Cancel button with it, so stop the export too
+  useEffect(() => () => {
+    if (runningRef.current) api.batchExport.cancel();
+  }, []);
+
+  const handleChooseFolder = async () => {
+    setError('');
+    try {
+      const selected = await api.files.selectFolder('Choose a folder for the exported PDFs');
+      if (selected) {
+        setFolder(selected);
+      }
+    } catch (e) {
+      setError(`Could not choose the folder: ${getErrorMessage(e)}`);
+    }
+  };
+
+  const handleStart = async () => {
+    if (!folder || exportUrls.length === 0) return;
+
+    runningRef.current = true;
+    setIsRunning(true);
+    setIsCancelling(false);
+    setSummary(null);
+    setError('');
+    setResults(exportUrls.map((url, i) => ({ index: i + 1, url, status: 'pending' })));
+
+    try {
+      // Pages are rendered with the batch's profile so they share its logins
+      const profileId = getProfileId ? getProfileId(exportBatch) : null;
+      const result = await api.batchExport.start(exportUrls, folder, undefined, profileId || undefined);
+      setSummary(result);
+    } catch (e) {
+      console.error('Batch export failed:', e);
+      setError(`Export failed: ${getErrorMessage(e)}`);
+    } finally {
+      runningRef.current = false;
+      setIsRunning(false);
+    }
+  };
+
+  const handleCancel = () => {
+    setIsCancelling(true);
+    api.batchExport.cancel();
+  };
+
+  const finishedCount = results.filter(result =>
+    result.status !== 'pending' && result.status !== 'loading'
+  ).length;
+  const progressPercent = results.length > 0
+    ? Math.round((finishedCount / results.length) * 100)
+    : 0;
+
+  return (
+    <div className="batch-export">
+      <div className="export-settings">
+        <label>
+          Export
+          <select
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            disabled={isRunning}
+          >
+            <option value="current">Current batch ({currentBatch})</option>
+            <option value="all">All batches ({urls.length} URLs)</option>
+            {Array.from({ length: totalBatches }, (_, i) => (
+              <option key={i + 1} value={i + 1}>Batch {i + 1}</option>
+            ))}
+          </select>
+        </label>
+
+        <button
+          className="export-folder-button"
+          onClick={handleChooseFolder}
+          disabled={isRunning}
+        >
+          Choose Folder
+        </button>
+        <span className="export-folder" title={folder}>
+          {folder || 'No folder selected'}
+        </span>
+
+        {isRunning ? (
+          <button
+            className="export-cancel-button"
+            onClick={handleCancel}
+            disabled={isCancelling}
+          >
+            {isCancelling ? 'Cancelling...' : 'Cancel'}
+          </button>
+        ) : (
+          <button
+            className="export-start-button"
+            onClick={handleStart}
+            disabled={!folder || exportUrls.length === 0}
+          >
+            Export {exportUrls.length} PDFs
+          </button>
+        )}
+      </div>
+
+      {results.length > 0 && (
+        <>
+          <div className="export-progress">
+            <div className="export-progress-bar" style={{ width: `${progressPercent}%` }} />
+          </div>
+          <div className="export-progress-text">
+            {finishedCount} of {results.length} processed
+          </div>
+
+          <ul className="export-results">
+            {results.map(result => (
+              <li key={result.index} className={`export-result ${result.status}`}>
+                <span className="export-result-url" title={result.url}>{result.url}</span>
+                <span className="export-result-status" title={result.error || result.file || ''}>
+                  {STATUS_LABELS[result.status] || result.status}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      {summary && (
+        <div className="export-summary">
+          Saved {summary.saved} of {summary.total} PDFs
+          {summary.failed > 0 && `, ${summary.failed} failed`}
+          {summary.cancelled > 0 && `, ${summary.cancelled} cancelled`}.
+          {' '}Manifest written to <code>{summary.manifestPath}</code>
+        </div>
+      )}
+
+      {error && (
+        <div className="export-error">{error}</div>
+      )}
+    </div>
+  );
+};
+
+export default BatchExportPanel;
@@ -0,0 +1,88 @@
+import React from 'react';
+import './BatchQueue.css';
+import { getReviewLabel } from '../utils/reviews';
+import { getUrlKey } from '../utils/urls';
+
+const STATUS_LABELS = {
+  pending: 'Pending',
+  loading: 'Loading',
+  viewed: 'Viewed',
+  failed: 'Failed',
+  skipped: 'Skipped'
+};
+
+const BatchQueue = ({ urls, statuses, metadata = {}, reviews = {}, currentIndex, currentBatch, totalBatches, profiles = [], profileId = '', onProfileChange, onSelect, onNext, onPrevious }) => {
+  const isFirst = currentBatch <= 1 && currentIndex <= 0;
+  const isLast = currentBatch >= totalBatches && currentIndex >= urls.length - 1;
+  const doneCount = urls.filter(url => {
+    const status = statuses[url];
+    return status === 'viewed' || status === 'failed' || status === 'skipped';
+  }).length;
+
+  return (
+    <div className="batch-queue">
+      <div className="queue-header">
+        <h3>Batch {currentBatch} of {totalBatches}</h3>
+        <span className="queue-progress">{doneCount}/{urls.length} done</span>
+      </div>
+
+      {profiles.length > 1 && onProfileChange && (
+        <label className="queue-profile">
+          Profile
+          <select value={profileId} onChange={(e) => onProfileChange(e.target.value)}>
+            <option value="">Active profile</option>
+            {profiles.map(profile => (
+              <option key={profile.id} value={profile.id}>{profile.name}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      <div className="queue-nav">
+        <button
+          className="queue-nav-button"
+          onClick={onPrevious}
+          disabled={isFirst}
+          title="Previous URL (Alt+↑)"
+        >
+          ↑ Previous
+        </button>
+        <button
+          className="queue-nav-button"
+          onClick={onNext}
+          disabled={isLast}
+          title="Next URL (Alt+↓)"
+        >
+          Next ↓
+        </button>
+      </div>
+
+      <ol className="queue-list">
+        {urls.map((url, index) => {
+          const status = statuses[url] || 'pending';
+          const details = Object.values(metadata[url] || {}).filter(Boolean).join(' · ');
+          const reviewLabel = getReviewLabel(reviews[getUrlKey(url)]);
+          return (
+            <li
+              key={`${index}-${url}`}
+              className={`queue-item ${status} ${index === currentIndex ? 'current' : ''}`}
+              onClick={() => onSelect(index)}
+              title={url}
+            >
+              <span className="queue-item-url">{url}</span>
+              {details && <span className="queue-item-details">{details}</span>}
+              {reviewLabel && <span className="queue-item-review">{reviewLabel}</span>}
+              <span className="queue-item-status">{STATUS_LABELS[status]}</span>
+            </li>
+          );
+        })}
+      </ol>
+
+      {currentIndex >= urls.length - 1 && currentBatch < totalBatches && (
+        <div className="queue-footer">Next continues with batch {currentBatch + 1}</div>
+      )}
+    </div>
+  );
+};
+
+export default BatchQueue;
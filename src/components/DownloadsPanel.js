@@ -0,0 +1,112 @@
+import React, { useState } from 'react';
+import './DownloadsPanel.css';
+import api, { getErrorMessage } from '../api';
+
+const STATE_LABELS = {
+  progressing: 'Downloading',
+  paused: 'Paused',
+  completed: 'Saved',
+  cancelled: 'Cancelled',
+  interrupted: 'Failed'
+};
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 KB';
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
+
+// Downloads started in the embedded browser, newest first, with controls for
+// the ones still running and the saved location of the finished ones
+const DownloadsPanel = ({ downloads, folder, onFolderChange, onClear }) => {
+  const [error, setError] = useState('');
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (e) {
+      setError(getErrorMessage(e));
+    }
+  };
+
+  const handleChangeFolder = () => run(async () => {
+    const selected = await api.downloads.chooseFolder();
+    if (selected) onFolderChange(selected);
+  });
+
+  const hasFinished = downloads.some(download => download.state !== 'progressing' && download.state !== 'paused');
+
+  return (
+    <div className="downloads-panel">
+      <div className="downloads-header">
+        <span className="downloads-folder" title={folder}>
+          Saving to {folder || 'the Downloads folder'}, one folder per work order
+        </span>
+        <button onClick={handleChangeFolder}>Change…</button>
+        <button onClick={() => run(onClear)} disabled={!hasFinished}>Clear finished</button>
+      </div>
+
+      {error && <div className="downloads-error">{error}</div>}
+
+      {downloads.length === 0 ? (
+        <div className="downloads-empty">No downloads yet. Attachments you download from a work order appear here.</div>
+      ) : (
+        <ul className="downloads-list">
+          {downloads.map(download => {
+            const isActive = download.state === 'progressing' || download.state === 'paused';
+            const percent = download.totalBytes > 0
+              ? Math.round((download.receivedBytes / download.totalBytes) * 100)
+              : null;
+
+            return (
+              <li key={download.id} className={`download-item ${download.state}`}>
+                <div className="download-info">
+                  <div className="download-name" title={download.url}>
+                    {download.fileName}
+                    {download.workOrderId && <span className="download-work-order">#{download.workOrderId}</span>}
+                  </div>
+                  {isActive ? (
+                    <div className="download-progress">
+                      <div className="download-progress-bar">
+                        <div className="download-progress-fill" style={{ width: `${percent || 0}%` }} />
+                      </div>
+                      <span>
+                        {formatBytes(download.receivedBytes)}
+                        {download.totalBytes > 0 && ` of ${formatBytes(download.totalBytes)}`}
+                        {download.state === 'paused' && ' · Paused'}
+                      </span>
+                    </div>
+                  ) : (
+                    <div className="download-status">
+                      {STATE_LABELS[download.state] || download.state}
+                      {download.state === 'completed' && (
+                        <span className="download-path" title={download.savePath}> · {download.savePath}</span>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <div className="download-actions">
+                  {download.state === 'progressing' && (
+                    <button onClick={() => run(() => api.downloads.pause(download.id))}>Pause</button>
+                  )}
+                  {download.state === 'paused' && (
+                    <button onClick={() => run(() => api.downloads.resume(download.id))}>Resume</button>
+                  )}
+                  {isActive && (
+                    <button onClick={() => run(() => api.downloads.cancel(download.id))}>Cancel</button>
+                  )}
+                  {download.state === 'completed' && (
+                    <button onClick={() => run(() => api.downloads.show(download.id))}>Show in Folder</button>
+                  )}
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DownloadsPanel;
@@ -1,448 +1,451 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import './EmbeddedBrowser.css';
+import WebviewTab from './WebviewTab';
+import HarvestPanel from './HarvestPanel';
+import DownloadsPanel from './DownloadsPanel';
+import api, { isElectron, getErrorMessage } from '../api';
 
-// Safely access Electron API
-const electronAPI = (() => {
-  try {
-    // Use window.ipcRenderer directly since we've exposed it in preload.js
-    if (window.ipcRenderer) {
-      return { ipcRenderer: window.ipcRenderer };
-    } else if (window.require) {
-      const { ipcRenderer } = window.require('electron');
-      return { ipcRenderer };
-    }
-  } catch (e) {
-    console.log("Running outside of Electron environment", e);
-  }
-  // Return mock implementations when not in Electron
-  return {
-    ipcRenderer: {
-      send: (channel, data) => console.log(`Mock IPC send: ${channel}`, data),
-      on: () => {},
-      removeListener: () => {}
-    }
-  };
-})();
+// Maximum number of tabs that keep a live webview in memory
+const MAX_LIVE_TABS = 5;
 
-const EmbeddedBrowser = ({ url, batchId, onNavigate }) => {
-  const [currentUrl, setCurrentUrl] = useState(url || '');
-  const [title, setTitle] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
-  const [canGoBack, setCanGoBack] = useState(false);
-  const [canGoForward, setCanGoForward] = useState(false);
-  const webviewRef = useRef(null);
-  const [isWebviewReady, setIsWebviewReady] = useState(false);
-  const [authInProgress, setAuthInProgress] = useState(false);
+// Background tabs not viewed for this long are suspended
+const IDLE_SUSPEND_MS = 10 * 60 * 1000;
+const IDLE_CHECK_INTERVAL = 60 * 1000;
 
-  // Determine if we're in Electron environment
-  const isElectron = !!(window.ipcRenderer || window.require);
+let nextTabId = 1;
 
-  useEffect(() => {
-    if (url && url !== currentUrl) {
-      setCurrentUrl(url);
-      if (webviewRef.current && isWebviewReady && webviewRef.current.loadURL) {
-        try {
-          webviewRef.current.loadURL(url);
-        } catch (e) {
-          console.error("Error loading URL:", e);
-        }
-      }
-    }
-  }, [url, currentUrl, isWebviewReady]);
+// Tabs keep the profile they were opened with; a webview cannot change its
+// session partition once it has loaded
+const createTab = (url, batchId, profile, suspended = false) => ({
+  id: nextTabId++,
+  url,
+  title: '',
+  batchId,
+  profileId: profile ? profile.id : null,
+  profileName: profile ? profile.name : '',
+  partition: profile ? profile.partition : null,
+  isLoading: !suspended,
+  canGoBack: false,
+  canGoForward: false,
+  suspended,
+  lastActive: Date.now()
+});
+
+// Suspend the least recently viewed tabs until no more than MAX_LIVE_TABS are live
+const enforceLiveTabLimit = (tabs, activeTabId) => {
+  const liveTabs = tabs.filter(tab => !tab.suspended && tab.id !== activeTabId);
+  const excess = liveTabs.length + 1 - MAX_LIVE_TABS;
+  if (excess <= 0) return tabs;
 
-  // Handle auth redirects from main process
+  const toSuspend = new Set(
+    [...liveTabs]
+      .sort((a, b) => a.lastActive - b.lastActive)
+      .slice(0, excess)
+      .map(tab => tab.id)
+  );
+  return tabs.map(tab => (toSuspend.has(tab.id) ? { ...tab, suspended: true, isLoading: false } : tab));
+};
+
+const EmbeddedBrowser = ({ url, batchId, batchUrls = [], metadata = {}, profile, onNavigate, onLoadFinish, onLoadFail, onFieldsExtracted, onHarvest }) => {
+  const [tabs, setTabs] = useState(() => (url ? [createTab(url, batchId, profile)] : []));
+  const [activeTabId, setActiveTabId] = useState(() => (tabs.length > 0 ? tabs[0].id : null));
+  const [addressText, setAddressText] = useState(url || '');
+  const [draggedTabId, setDraggedTabId] = useState(null);
+  const [showPdfOptions, setShowPdfOptions] = useState(false);
+  const [showHarvest, setShowHarvest] = useState(false);
+  const [showDownloads, setShowDownloads] = useState(false);
+  const [downloads, setDownloads] = useState([]);
+  const [downloadFolder, setDownloadFolder] = useState('');
+  const [pdfOptions, setPdfOptions] = useState({
+    pageSize: 'Letter',
+    margins: 'default',
+    landscape: false,
+    printBackground: true
+  });
+  const [isSavingPdf, setIsSavingPdf] = useState(false);
+  const [pdfNotice, setPdfNotice] = useState(null); // { type: 'saved' | 'error', text }
+  const tabRefs = useRef(new Map());
+
+  // Latest values for callbacks that must stay stable across renders
+  const latest = useRef({});
+  latest.current = { tabs, activeTabId, metadata, profile, onNavigate, onLoadFinish, onLoadFail, onFieldsExtracted };
+
+  const activeTab = tabs.find(tab => tab.id === activeTabId) || null;
+  // Tabs are only labelled with their profile when more than one is open
+  const showProfiles = new Set(tabs.map(tab => tab.profileId)).size > 1;
+  const activeTabUrl = activeTab ? activeTab.url : '';
+
+  // Keep the address bar in sync with the visible tab
   useEffect(() => {
-    // Only set up in Electron environment
-    if (!isElectron) return;
-    
-    const handleAuthRedirect = (event, redirectUrl) => {
-      console.log('Auth redirect received:', redirectUrl);
-      setAuthInProgress(true);
-      
-      // Load the auth redirect URL in our webview
-      if (webviewRef.current && isWebviewReady && webviewRef.current.loadURL) {
-        try {
-          webviewRef.current.loadURL(redirectUrl);
-          setCurrentUrl(redirectUrl);
-        } catch (e) {
-          console.error("Error loading redirect URL:", e);
-        }
+    setAddressText(activeTabUrl);
+  }, [activeTabId, activeTabUrl]);
+
+  const activateTab = useCallback((tabId) => {
+    const now = Date.now();
+    const previousTabId = latest.current.activeTabId;
+    setTabs(prev => enforceLiveTabLimit(prev.map(tab => {
+      if (tab.id === tabId) {
+        return tab.suspended
+          ? { ...tab, suspended: false, isLoading: true, lastActive: now }
+          : { ...tab, lastActive: now };
       }
-    };
-    
-    // Listen for auth redirect messages
-    electronAPI.ipcRenderer.on('handle-auth-redirect', handleAuthRedirect);
-    
-    // Clean up listener
-    return () => {
-      electronAPI.ipcRenderer.removeListener('handle-auth-redirect', handleAuthRedirect);
-    };
-  }, [isElectron, isWebviewReady]);
+      return tab.id === previousTabId ? { ...tab, lastActive: now } : tab;
+    }), tabId));
+    setActiveTabId(tabId);
+  }, []);
+
+  const openTabs = useCallback((urls, tabBatchId) => {
+    const { tabs: currentTabs, profile: tabProfile } = latest.current;
+    const partition = tabProfile ? tabProfile.partition : null;
+    let liveCount = currentTabs.filter(tab => !tab.suspended).length;
+    const newTabs = urls
+      .filter(tabUrl => !currentTabs.some(tab => tab.url === tabUrl && tab.partition === partition))
+      .map(tabUrl => createTab(tabUrl, tabBatchId, tabProfile, liveCount++ >= MAX_LIVE_TABS));
+
+    setTabs(prev => [...prev, ...newTabs]);
+    return newTabs;
+  }, []);
 
+  // Show the URL chosen by the app: switch to its tab or load it in the current one
   useEffect(() => {
-    if (!isElectron) {
-      setTitle("Embedded browser view - only available in Electron app");
+    if (!url) return;
+
+    const { tabs: currentTabs, activeTabId: currentTabId } = latest.current;
+    const partition = profile ? profile.partition : null;
+    const currentTab = currentTabs.find(tab => tab.id === currentTabId);
+    if (currentTab && currentTab.url === url && currentTab.partition === partition) return;
+
+    const existingTab = currentTabs.find(tab => tab.url === url && tab.partition === partition);
+    if (existingTab) {
+      activateTab(existingTab.id);
+      // A tab that already finished loading will not report another load
+      if (!existingTab.suspended && !existingTab.isLoading && latest.current.onLoadFinish) {
+        latest.current.onLoadFinish(url);
+      }
       return;
     }
 
-    // Wait for the webview to be ready
-    const webview = webviewRef.current;
-    if (!webview) return;
-    
-    const handleWebviewReady = () => {
-      console.log("Webview is ready");
-      setIsWebviewReady(true);
-      
-      // Configure webview for better OAuth handling
-      if (webview.getWebContentsId) {
-        try {
-          // Enable persistent cookies and session
-          webview.partition = `persist:authSession`;
-          
-          // Execute the session configuration in the webview
-          webview.executeJavaScript(`
-            try {
-              // Ensure third-party cookies are enabled
-              document.cookie = "thirdPartyCookiesEnabled=1; SameSite=None; Secure";
-              
-              // Configure localStorage for better auth persistence
-              localStorage.setItem('authEnabled', 'true');
-              
-              console.log("Cookie and session settings configured");
-            } catch(e) {
-              console.error("Error configuring cookies:", e);
-            }
-          `);
-        } catch (e) {
-          console.error("Error configuring webview:", e);
-        }
-      }
-      
-      // If we have a URL, load it
-      if (currentUrl && webview.loadURL) {
-        try {
-          webview.loadURL(currentUrl);
-        } catch (e) {
-          console.error("Error loading initial URL:", e);
-        }
+    // The current tab can only take the URL when it uses the same profile
+    const sameProfile = currentTab && currentTab.partition === partition;
+    const handle = sameProfile ? tabRefs.current.get(currentTab.id) : null;
+    if (handle && handle.loadURL(url)) return;
+
+    // No tab can take the URL yet, so give it a fresh one; a tab of another
+    // profile is kept open
+    const [newTab] = openTabs([url], batchId);
+    if (newTab) {
+      if (sameProfile) {
+        setTabs(prev => prev.filter(tab => tab.id !== currentTab.id));
       }
-    };
-    
-    // Check if webview is already ready
-    if (webview.getWebContentsId) {
-      setIsWebviewReady(true);
-    } else {
-      // Wait for dom-ready event
-      webview.addEventListener('dom-ready', handleWebviewReady);
+      activateTab(newTab.id);
     }
-    
-    return () => {
-      if (webview) {
-        webview.removeEventListener('dom-ready', handleWebviewReady);
-      }
-    };
-  }, [isElectron, currentUrl]);
-  
-  // Setup webview event listeners after it's ready
+  }, [url, batchId, profile, activateTab, openTabs]);
+
+  // Follow downloads started in any tab; the panel opens when a new one starts
   useEffect(() => {
-    if (!isElectron || !isWebviewReady) return;
-    
-    const webview = webviewRef.current;
-    if (!webview || !webview.addEventListener) return;
+    const knownIds = new Set();
 
-    const handleDidStartLoading = () => {
-      setIsLoading(true);
-    };
+    api.downloads.list().then(result => {
+      if (!result) return;
+      result.downloads.forEach(download => knownIds.add(download.id));
+      setDownloads(result.downloads);
+      setDownloadFolder(result.folder);
+    }).catch(e => console.error('Error loading downloads:', e));
 
-    const handleDidStopLoading = () => {
-      setIsLoading(false);
-      
-      // Check for auth-related redirects by looking at the final URL
-      const finalUrl = webview.getURL();
-      if (authInProgress && (
-        finalUrl.includes('callback') || 
-        finalUrl.includes('token') || 
-        finalUrl.includes('auth') ||
-        finalUrl.includes('code') ||
-        finalUrl.includes('access_token')
-      )) {
-        console.log('Potential OAuth callback URL:', finalUrl);
-        
-        // Try to extract tokens or authorization codes from the URL
-        try {
-          const urlObj = new URL(finalUrl);
-          const params = new URLSearchParams(urlObj.search);
-          const hashParams = new URLSearchParams(urlObj.hash ? urlObj.hash.substring(1) : '');
-          
-          // Log potential auth tokens for debugging
-          if (params.get('code') || params.get('token') || 
-              params.get('access_token') || hashParams.get('access_token')) {
-            console.log('Auth token detected in URL');
-            // Signal that auth was successful
-            setAuthInProgress(false);
-          }
-        } catch (e) {
-          console.error('Error parsing auth URL:', e);
-        }
-      }
-      
-      // Log the URL opening with timestamp
-      const timestamp = new Date().toISOString();
-      electronAPI.ipcRenderer.send('log-url-opened', { 
-        url: webview.getURL(), 
-        timestamp, 
-        batchId 
-      });
-    };
-
-    const handleDidFinishLoad = () => {
-      setTitle(webview.getTitle());
-      setCanGoBack(webview.canGoBack());
-      setCanGoForward(webview.canGoForward());
-      setCurrentUrl(webview.getURL());
-      
-      // Notify parent component about navigation
-      if (onNavigate) {
-        onNavigate(webview.getURL());
+    return api.downloads.onUpdated(download => {
+      if (!knownIds.has(download.id)) {
+        knownIds.add(download.id);
+        setShowDownloads(true);
+        setShowHarvest(false);
+        setShowPdfOptions(false);
       }
-      
-      // Inject script to handle redirects and authentication
-      try {
-        webview.executeJavaScript(`
-          if (!window._redirectHandlerInjected) {
-            window._redirectHandlerInjected = true;
-            
-            // Capture and log all redirects
-            (function() {
-              // Intercept window.open
-              const originalOpen = window.open;
-              window.open = function(url) {
-                console.log('Intercepted window.open:', url);
-                // Cancel the original open
-                return null;
-              };
-              
-              // Handle form submissions
-              document.addEventListener('submit', function(e) {
-                console.log('Form submission detected:', e.target.action);
-              });
-              
-              // Intercept fetch requests for potential auth flows
-              const originalFetch = window.fetch;
-              window.fetch = function(url, options) {
-                console.log('Fetch intercepted:', url);
-                return originalFetch(url, options);
-              };
-              
-              // Ensure localStorage is available for auth tokens
-              try {
-                localStorage.setItem('auth_test', 'true');
-                localStorage.removeItem('auth_test');
-              } catch (e) {
-                console.error('LocalStorage not available:', e);
-              }
-              
-              // Monitor for OAuth-related objects in window
-              const checkForAuthObjects = () => {
-                if (window.token || window.accessToken || window.OAuth) {
-                  console.log('Auth object detected in window');
-                }
-              };
-              setTimeout(checkForAuthObjects, 1000);
-              
-              // Monitor URL changes that might indicate auth callbacks
-              let lastUrl = location.href;
-              const urlObserver = setInterval(() => {
-                if (location.href !== lastUrl) {
-                  console.log('URL changed:', location.href);
-                  lastUrl = location.href;
-                  
-                  // Check for auth-related parameters
-                  if (location.href.includes('token=') || 
-                      location.href.includes('code=') ||
-                      location.href.includes('access_token=')) {
-                    console.log('Auth parameter detected in URL change');
-                  }
-                }
-              }, 500);
-            })();
-            
-            console.log('Enhanced redirect and auth handler injected');
-          }
-        `);
-      } catch (e) {
-        console.error("Error injecting script:", e);
-      }
-    };
+      setDownloads(prev => (prev.some(item => item.id === download.id)
+        ? prev.map(item => (item.id === download.id ? download : item))
+        : [download, ...prev]));
+    });
+  }, []);
 
-    const handleWillNavigate = (e) => {
-      console.log('Will navigate to:', e.url);
-      setCurrentUrl(e.url);
-      
-      // Check if this is an OAuth-related URL
-      if (e.url.includes('oauth') || 
-          e.url.includes('auth') || 
-          e.url.includes('login') ||
-          e.url.includes('sso')) {
-        console.log('Navigating to potential auth URL');
-        setAuthInProgress(true);
-      }
-    };
+  // Suspend tabs that have not been looked at for a while
+  useEffect(() => {
+    const interval = setInterval(() => {
+      const now = Date.now();
+      setTabs(prev => prev.map(tab => (
+        tab.id !== latest.current.activeTabId && !tab.suspended && now - tab.lastActive > IDLE_SUSPEND_MS
+          ? { ...tab, suspended: true, isLoading: false }
+          : tab
+      )));
+    }, IDLE_CHECK_INTERVAL);
 
-    const handleNewWindow = (e) => {
-      // Prevent default behavior
-      e.preventDefault();
-      
-      const url = e.url;
-      console.log('New window requested for URL:', url);
-      
-      // Check if it's an auth/login URL
-      if (url.includes('auth') || 
-          url.includes('login') || 
-          url.includes('sso') || 
-          url.includes('oauth') ||
-          url.includes('callback')) {
-        console.log('Auth URL detected in new window request');
-        setAuthInProgress(true);
-        
-        // Load the auth URL in our current webview
-        if (webview.loadURL) {
-          try {
-            webview.loadURL(url);
-            setCurrentUrl(url);
-          } catch (e) {
-            console.error("Error loading new window URL:", e);
-          }
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleTabStateChange = useCallback((tabId, changes) => {
+    setTabs(prev => prev.map(tab => (tab.id === tabId ? { ...tab, ...changes } : tab)));
+  }, []);
+
+  // Only the visible tab reports navigation and page loads to the app
+  const handleTabNavigate = useCallback((tabId, tabUrl) => {
+    if (tabId === latest.current.activeTabId && latest.current.onNavigate) {
+      latest.current.onNavigate(tabUrl);
+    }
+  }, []);
+
+  const handleTabLoadFinish = useCallback((tabId, tabUrl) => {
+    if (tabId === latest.current.activeTabId && latest.current.onLoadFinish) {
+      latest.current.onLoadFinish(tabUrl);
+    }
+  }, []);
+
+  // Import columns for a URL, looked up when a tab logs its page
+  const getMetadata = useCallback((tabUrl) => latest.current.metadata[tabUrl], []);
+
+  // Fields are reported for every tab, not just the one being viewed
+  const handleTabExtract = useCallback((tabId, tabUrl, result) => {
+    if (latest.current.onFieldsExtracted) {
+      latest.current.onFieldsExtracted(tabUrl, result);
+    }
+  }, []);
+
+  const handleTabLoadFail = useCallback((tabId, error) => {
+    if (tabId === latest.current.activeTabId && latest.current.onLoadFail) {
+      latest.current.onLoadFail(error);
+    }
+  }, []);
+
+  const handleTabClick = (tab) => {
+    if (tab.id === activeTabId) return;
+    activateTab(tab.id);
+    if (onNavigate) {
+      onNavigate(tab.url);
+    }
+  };
+
+  const closeTabs = (tabIds) => {
+    const closing = new Set(tabIds);
+    const remaining = tabs.filter(tab => !closing.has(tab.id));
+    setTabs(remaining);
+
+    if (closing.has(activeTabId)) {
+      // Prefer the tab to the right of the closed one, like most browsers
+      const index = tabs.findIndex(tab => tab.id === activeTabId);
+      const nextTab = tabs.slice(index + 1).find(tab => !closing.has(tab.id)) ||
+        [...tabs.slice(0, index)].reverse().find(tab => !closing.has(tab.id));
+      if (nextTab) {
+        activateTab(nextTab.id);
+        if (onNavigate) {
+          onNavigate(nextTab.url);
         }
+      } else {
+        setActiveTabId(null);
       }
-    };
-    
-    const handleConsoleMessage = (e) => {
-      console.log('Webview console:', e.message);
-    };
-    
-    const handlePermissionRequest = (e) => {
-      e.preventDefault();
-      console.log('Permission requested:', e.permission);
-      // Auto-approve all permission requests
-      if (e.permission === 'media' || 
-          e.permission === 'geolocation' ||
-          e.permission === 'notifications' ||
-          e.permission === 'fullscreen') {
-        e.request.grant();
-      }
-    };
-
-    // Add event listeners
-    webview.addEventListener('did-start-loading', handleDidStartLoading);
-    webview.addEventListener('did-stop-loading', handleDidStopLoading);
-    webview.addEventListener('did-finish-load', handleDidFinishLoad);
-    webview.addEventListener('will-navigate', handleWillNavigate);
-    webview.addEventListener('new-window', handleNewWindow);
-    webview.addEventListener('console-message', handleConsoleMessage);
-    webview.addEventListener('permission-request', handlePermissionRequest);
-
-    return () => {
-      webview.removeEventListener('did-start-loading', handleDidStartLoading);
-      webview.removeEventListener('did-stop-loading', handleDidStopLoading);
-      webview.removeEventListener('did-finish-load', handleDidFinishLoad);
-      webview.removeEventListener('will-navigate', handleWillNavigate);
-      webview.removeEventListener('new-window', handleNewWindow);
-      webview.removeEventListener('console-message', handleConsoleMessage);
-      webview.removeEventListener('permission-request', handlePermissionRequest);
-    };
-  }, [batchId, onNavigate, isElectron, isWebviewReady, authInProgress]);
-
-  // Add a new event handler for loading errors
-  useEffect(() => {
-    if (!isElectron || !isWebviewReady) return;
-    
-    const webview = webviewRef.current;
-    if (!webview || !webview.addEventListener) return;
-    
-    const handleLoadFailed = (e) => {
-      console.log('Webview load failed:', e.errorCode, e.errorDescription, e.validatedURL);
-      
-      // For authentication-related errors, these are often temporary during redirects
-      if (authInProgress) {
-        console.log('Auth in progress, ignoring load error');
-        return;
-      }
-      
-      // For other errors, we might want to show a message to the user
-      if (e.errorCode !== -3) { // -3 is ERR_ABORTED which is common during redirects
-        setTitle(`Error loading page: ${e.errorDescription}`);
-      }
-    };
-    
-    // Add event listener for load errors
-    webview.addEventListener('did-fail-load', handleLoadFailed);
-    
-    return () => {
-      webview.removeEventListener('did-fail-load', handleLoadFailed);
-    };
-  }, [isElectron, isWebviewReady, authInProgress]);
+    }
+  };
 
-  const handleGoBack = () => {
-    if (webviewRef.current && webviewRef.current.goBack) {
-      webviewRef.current.goBack();
+  const handleCloseTab = (e, tabId) => {
+    e.stopPropagation();
+    closeTabs([tabId]);
+  };
+
+  const handleOpenBatchTabs = () => {
+    const newTabs = openTabs(batchUrls, batchId);
+    const partition = profile ? profile.partition : null;
+    const firstTab = latest.current.tabs.find(tab => tab.url === batchUrls[0] && tab.partition === partition) || newTabs[0];
+    if (firstTab) {
+      activateTab(firstTab.id);
     }
   };
 
+  const handleCloseBatchTabs = () => {
+    closeTabs(tabs.filter(tab => tab.batchId === batchId).map(tab => tab.id));
+  };
+
+  // Drag and drop to reorder tabs
+  const handleTabDrop = (targetTabId) => {
+    if (draggedTabId === null || draggedTabId === targetTabId) return;
+
+    setTabs(prev => {
+      const dragged = prev.find(tab => tab.id === draggedTabId);
+      const withoutDragged = prev.filter(tab => tab.id !== draggedTabId);
+      const targetIndex = withoutDragged.findIndex(tab => tab.id === targetTabId);
+      return [
+        ...withoutDragged.slice(0, targetIndex),
+        dragged,
+        ...withoutDragged.slice(targetIndex)
+      ];
+    });
+    setDraggedTabId(null);
+  };
+
+  const getActiveHandle = () => (activeTab ? tabRefs.current.get(activeTab.id) : null);
+
+  const handleGoBack = () => {
+    const handle = getActiveHandle();
+    if (handle) handle.goBack();
+  };
+
   const handleGoForward = () => {
-    if (webviewRef.current && webviewRef.current.goForward) {
-      webviewRef.current.goForward();
-    }
+    const handle = getActiveHandle();
+    if (handle) handle.goForward();
   };
 
   const handleRefresh = () => {
-    if (webviewRef.current && webviewRef.current.reload) {
-      webviewRef.current.reload();
-    }
+    const handle = getActiveHandle();
+    if (handle) handle.reload();
   };
 
   const handleOpenExternal = () => {
-    if (currentUrl) {
+    const handle = getActiveHandle();
+    if (activeTabUrl && handle) {
       // Instead of opening externally, we'll load in the current browser
-      if (webviewRef.current && webviewRef.current.loadURL) {
-        webviewRef.current.loadURL(currentUrl);
-      }
-      // No longer send open-external message
-      // electronAPI.ipcRenderer.send('open-external', currentUrl);
+      handle.loadURL(activeTabUrl);
     }
   };
 
   const handleDownload = () => {
-    if (currentUrl) {
-      electronAPI.ipcRenderer.send('download-pdf', { url: currentUrl });
+    setShowPdfOptions(!showPdfOptions);
+    setShowHarvest(false);
+    setShowDownloads(false);
+  };
+
+  const handleToggleHarvest = () => {
+    setShowHarvest(!showHarvest);
+    setShowPdfOptions(false);
+    setShowDownloads(false);
+  };
+
+  const handleToggleDownloads = () => {
+    setShowDownloads(!showDownloads);
+    setShowHarvest(false);
+    setShowPdfOptions(false);
+  };
+
+  const handleClearDownloads = async () => {
+    const remaining = await api.downloads.clearFinished();
+    if (remaining) setDownloads(remaining);
+  };
+
+  const activeDownloads = downloads.filter(download => download.state === 'progressing' || download.state === 'paused').length;
+
+  const getActiveWebview = () => {
+    const handle = getActiveHandle();
+    return handle ? handle.getWebview() : null;
+  };
+
+  const handleHarvest = (urls, mode, source) => {
+    if (onHarvest) onHarvest(urls, mode, source);
+    setShowHarvest(false);
+  };
+
+  const handlePdfOptionChange = (name, value) => {
+    setPdfOptions(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSavePdf = async () => {
+    const handle = getActiveHandle();
+    const webview = handle && handle.getWebview();
+    if (!webview || !webview.getWebContentsId) return;
+
+    setIsSavingPdf(true);
+    setPdfNotice(null);
+    try {
+      const result = await api.pages.savePdf(webview.getWebContentsId(), webview.getURL(), pdfOptions);
+      if (result && !result.canceled) {
+        setPdfNotice({ type: 'saved', text: `PDF saved to ${result.filePath}` });
+        setShowPdfOptions(false);
+      }
+    } catch (e) {
+      console.error('Error saving PDF:', e);
+      setPdfNotice({ type: 'error', text: `Error saving PDF: ${getErrorMessage(e)}` });
+    } finally {
+      setIsSavingPdf(false);
     }
   };
 
   const handleUrlChange = (e) => {
-    setCurrentUrl(e.target.value);
+    setAddressText(e.target.value);
   };
 
   const handleUrlSubmit = (e) => {
     e.preventDefault();
-    if (webviewRef.current && webviewRef.current.loadURL && currentUrl) {
-      webviewRef.current.loadURL(currentUrl);
+    const handle = getActiveHandle();
+    if (handle && addressText) {
+      handle.loadURL(addressText);
+    } else if (addressText) {
+      const [newTab] = openTabs([addressText], batchId);
+      if (newTab) activateTab(newTab.id);
     }
   };
 
+  const isLoading = !!(activeTab && activeTab.isLoading);
+  const batchTabCount = tabs.filter(tab => tab.batchId === batchId).length;
+
+  const getTitleBarText = () => {
+    if (!isElectron) return 'Embedded browser view - only available in Electron app';
+    if (!activeTab) return 'No open tabs';
+    if (activeTab.suspended) return 'Tab suspended';
+    return isLoading ? 'Loading...' : activeTab.title;
+  };
+
   return (
     <div className="embedded-browser">
+      <div className="browser-tab-strip">
+        <div className="browser-tabs">
+          {tabs.map(tab => (
+            <div
+              key={tab.id}
+              className={`browser-tab ${tab.id === activeTabId ? 'active' : ''} ${tab.suspended ? 'suspended' : ''}`}
+              onClick={() => handleTabClick(tab)}
+              title={tab.profileName ? `${tab.url}\nProfile: ${tab.profileName}` : tab.url}
+              draggable
+              onDragStart={() => setDraggedTabId(tab.id)}
+              onDragOver={(e) => e.preventDefault()}
+              onDrop={() => handleTabDrop(tab.id)}
+            >
+              {tab.isLoading && !tab.suspended && <span className="tab-spinner" />}
+              {showProfiles && tab.profileName && <span className="tab-profile">{tab.profileName}</span>}
+              <span className="tab-title">{tab.title || tab.url}</span>
+              <button
+                className="tab-close"
+                onClick={(e) => handleCloseTab(e, tab.id)}
+                title="Close tab"
+              >
+                ×
+              </button>
+            </div>
+          ))}
+        </div>
+        <div className="tab-strip-actions">
+          <button
+            className="tab-strip-button"
+            onClick={handleOpenBatchTabs}
+            disabled={batchUrls.length === 0}
+            title="Open every URL of the current batch in its own tab"
+          >
+            Open batch in tabs
+          </button>
+          <button
+            className="tab-strip-button"
+            onClick={handleCloseBatchTabs}
+            disabled={batchTabCount === 0}
+            title="Close all tabs of the current batch"
+          >
+            Close all in batch
+          </button>
+        </div>
+      </div>
+
       <div className="browser-toolbar">
         <button 
           className="toolbar-button" 
           onClick={handleGoBack} 
-          disabled={!canGoBack || !isElectron}
+          disabled={!activeTab || !activeTab.canGoBack || !isElectron}
         >
           &larr;
         </button>
         <button 
           className="toolbar-button" 
           onClick={handleGoForward} 
-          disabled={!canGoForward || !isElectron}
+          disabled={!activeTab || !activeTab.canGoForward || !isElectron}
         >
           &rarr;
         </button>
@@ -458,7 +461,7 @@ const EmbeddedBrowser = ({ url, batchId, onNavigate }) => {
           <input 
             type="text" 
             className="url-input"
-            value={currentUrl} 
+            value={addressText} 
             onChange={handleUrlChange}
             placeholder="Enter URL"
           />
@@ -473,41 +476,150 @@ const EmbeddedBrowser = ({ url, batchId, onNavigate }) => {
           ↻
         </button>
         
+        {onHarvest && (
+          <button 
+            className={`toolbar-button ${showHarvest ? 'active' : ''}`}
+            onClick={handleToggleHarvest} 
+            title="Harvest links"
+            disabled={!isElectron || !activeTab}
+          >
+            🔗
+          </button>
+        )}
+        
         <button 
-          className="toolbar-button" 
+          className={`toolbar-button ${showPdfOptions ? 'active' : ''}`}
           onClick={handleDownload} 
-          title="Download content"
+          title="Save page as PDF"
           disabled={!isElectron}
         >
           ⬇️
         </button>
+
+        <button
+          className={`toolbar-button downloads-button ${showDownloads ? 'active' : ''}`}
+          onClick={handleToggleDownloads}
+          title="Downloads"
+          disabled={!isElectron}
+        >
+          📥
+          {activeDownloads > 0 && <span className="downloads-badge">{activeDownloads}</span>}
+        </button>
       </div>
       
+      {showHarvest && (
+        <HarvestPanel
+          getWebview={getActiveWebview}
+          profileId={activeTab ? activeTab.profileId : null}
+          onHarvest={handleHarvest}
+        />
+      )}
+      
+      {showDownloads && (
+        <DownloadsPanel
+          downloads={downloads}
+          folder={downloadFolder}
+          onFolderChange={setDownloadFolder}
+          onClear={handleClearDownloads}
+        />
+      )}
+
+      {showPdfOptions && (
+        <div className="pdf-options">
+          <label>
+            Page size
+            <select
+              value={pdfOptions.pageSize}
+              onChange={(e) => handlePdfOptionChange('pageSize', e.target.value)}
+            >
+              <option value="Letter">Letter</option>
+              <option value="Legal">Legal</option>
+              <option value="Tabloid">Tabloid</option>
+              <option value="A3">A3</option>
+              <option value="A4">A4</option>
+              <option value="A5">A5</option>
+            </select>
+          </label>
+          <label>
+            Margins
+            <select
+              value={pdfOptions.margins}
+              onChange={(e) => handlePdfOptionChange('margins', e.target.value)}
+            >
+              <option value="default">Default</option>
+              <option value="none">None</option>
+              <option value="narrow">Narrow</option>
+              <option value="wide">Wide</option>
+            </select>
+          </label>
+          <label className="pdf-checkbox">
+            <input
+              type="checkbox"
+              checked={pdfOptions.landscape}
+              onChange={(e) => handlePdfOptionChange('landscape', e.target.checked)}
+            />
+            Landscape
+          </label>
+          <label className="pdf-checkbox">
+            <input
+              type="checkbox"
+              checked={pdfOptions.printBackground}
+              onChange={(e) => handlePdfOptionChange('printBackground', e.target.checked)}
+            />
+            Background graphics
+          </label>
+          <button
+            className="pdf-save-button"
+            onClick={handleSavePdf}
+            disabled={isSavingPdf || isLoading}
+          >
+            {isSavingPdf ? 'Saving...' : 'Save PDF'}
+          </button>
+        </div>
+      )}
+      
+      {pdfNotice && (
+        <div className={`pdf-notice ${pdfNotice.type}`}>
+          <span title={pdfNotice.text}>{pdfNotice.text}</span>
+          <button onClick={() => setPdfNotice(null)} title="Dismiss">✕</button>
+        </div>
+      )}
+
       <div className="browser-title-bar">
-        {isLoading ? 'Loading...' : title}
+        {getTitleBarText()}
       </div>
       
       <div className="webview-container">
         {isElectron ? (
-          <webview
-            ref={webviewRef}
-            src={url}
-            className="webview"
-            partition="persist:authSession"
-            webpreferences="allowRunningInsecureContent=yes, javascript=yes, plugins=yes, nodeIntegration=no, webviewTag=yes, contextIsolation=no"
-            allowpopups="true"
-            disablewebsecurity="true"
-            nodeintegration="false"
-            plugins="true"
-            useragent="Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/115.0.0.0 Safari/537.36"
-            httpreferrer="https://app.fieldnation.com/"
-          />
+          tabs.filter(tab => !tab.suspended).map(tab => (
+            <WebviewTab
+              key={tab.id}
+              ref={(handle) => {
+                if (handle) {
+                  tabRefs.current.set(tab.id, handle);
+                } else {
+                  tabRefs.current.delete(tab.id);
+                }
+              }}
+              tabId={tab.id}
+              initialUrl={tab.url}
+              batchId={tab.batchId}
+              partition={tab.partition}
+              isActive={tab.id === activeTabId}
+              getMetadata={getMetadata}
+              onStateChange={handleTabStateChange}
+              onNavigate={handleTabNavigate}
+              onLoadFinish={handleTabLoadFinish}
+              onLoadFail={handleTabLoadFail}
+              onExtract={handleTabExtract}
+            />
+          ))
         ) : (
           <div className="browser-fallback">
             <div className="fallback-message">
               <h3>Embedded Browser Preview</h3>
               <p>This feature requires running the Electron app.</p>
-              <p>URL: {currentUrl || "No URL provided"}</p>
+              <p>URL: {activeTabUrl || "No URL provided"}</p>
               <p>In development mode, you can use: <code>npm run electron</code></p>
             </div>
           </div>
@@ -517,4 +629,4 @@ const EmbeddedBrowser = ({ url, batchId, onNavigate }) => {
   );
 };
 
-export default EmbeddedBrowser; 
\ No newline at end of file
+export default EmbeddedBrowser;
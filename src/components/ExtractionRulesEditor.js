@@ -0,0 +1,216 @@
+import React, { useState, useEffect } from 'react';
+import './ExtractionRulesEditor.css';
+import api, { getErrorMessage } from '../api';
+
+const RULE_TYPES = [
+  { value: 'css', label: 'CSS selector' },
+  { value: 'xpath', label: 'XPath' },
+  { value: 'regex', label: 'Regex on page text' }
+];
+
+const EMPTY_RULE = { field: '', type: 'css', expression: '' };
+
+const ExtractionRulesEditor = () => {
+  const [defaults, setDefaults] = useState([]);
+  const [ruleSets, setRuleSets] = useState([]);
+  const [isDirty, setIsDirty] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+  const [newDomain, setNewDomain] = useState('');
+
+  useEffect(() => {
+    api.extraction.getRules()
+      .then(result => {
+        if (!result) return;
+        setDefaults(result.defaults || []);
+        setRuleSets(result.custom || []);
+      })
+      .catch(e => setError(getErrorMessage(e)));
+  }, []);
+
+  const changeRuleSets = (updater) => {
+    setRuleSets(prev => updater(prev));
+    setIsDirty(true);
+    setMessage('');
+  };
+
+  const updateRule = (setIndex, ruleIndex, changes) => {
+    changeRuleSets(prev => prev.map((ruleSet, i) => i !== setIndex ? ruleSet : {
+      ...ruleSet,
+      rules: ruleSet.rules.map((rule, j) => j === ruleIndex ? { ...rule, ...changes } : rule)
+    }));
+  };
+
+  const addRule = (setIndex) => {
+    changeRuleSets(prev => prev.map((ruleSet, i) => i !== setIndex ? ruleSet : {
+      ...ruleSet,
+      rules: [...ruleSet.rules, { ...EMPTY_RULE }]
+    }));
+  };
+
+  const removeRule = (setIndex, ruleIndex) => {
+    changeRuleSets(prev => prev.map((ruleSet, i) => i !== setIndex ? ruleSet : {
+      ...ruleSet,
+      rules: ruleSet.rules.filter((rule, j) => j !== ruleIndex)
+    }));
+  };
+
+  const addDomain = (domain, rules = [{ ...EMPTY_RULE }]) => {
+    const name = domain.trim().toLowerCase();
+    if (!name) return;
+    if (ruleSets.some(ruleSet => ruleSet.domain === name)) {
+      setError(`There are already rules for ${name}`);
+      return;
+    }
+    changeRuleSets(prev => [...prev, { domain: name, rules }]);
+    setNewDomain('');
+    setError('');
+  };
+
+  const removeDomain = (setIndex) => {
+    changeRuleSets(prev => prev.filter((ruleSet, i) => i !== setIndex));
+  };
+
+  const handleSave = async () => {
+    setError('');
+    try {
+      await api.extraction.setRules(ruleSets);
+      setIsDirty(false);
+      setMessage('Rules saved. They apply to the next page that loads.');
+    } catch (e) {
+      setError(getErrorMessage(e));
+    }
+  };
+
+  const renderRule = (rule, setIndex, ruleIndex, readOnly) => (
+    <tr key={ruleIndex}>
+      <td>
+        <input
+          type="text"
+          value={rule.field}
+          onChange={(e) => updateRule(setIndex, ruleIndex, { field: e.target.value })}
+          placeholder="pay"
+          disabled={readOnly}
+        />
+      </td>
+      <td>
+        <select
+          value={rule.type}
+          onChange={(e) => updateRule(setIndex, ruleIndex, { type: e.target.value })}
+          disabled={readOnly}
+        >
+          {RULE_TYPES.map(type => (
+            <option key={type.value} value={type.value}>{type.label}</option>
+          ))}
+        </select>
+      </td>
+      <td className="rule-expression">
+        <input
+          type="text"
+          value={rule.expression}
+          onChange={(e) => updateRule(setIndex, ruleIndex, { expression: e.target.value })}
+          placeholder={rule.type === 'regex' ? 'Pay:\\s*(\\$[\\d,.]+)' : rule.type === 'xpath' ? '//h1' : '.work-order-title'}
+          disabled={readOnly}
+        />
+      </td>
+      <td>
+        {rule.type === 'regex' ? (
+          <input
+            type="text"
+            value={rule.group !== undefined ? rule.group : ''}
+            onChange={(e) => updateRule(setIndex, ruleIndex, { group: e.target.value })}
+            placeholder="group"
+            title="Capture group to use (defaults to the first group)"
+            disabled={readOnly}
+          />
+        ) : (
+          <input
+            type="text"
+            value={rule.attribute || ''}
+            onChange={(e) => updateRule(setIndex, ruleIndex, { attribute: e.target.value })}
+            placeholder="attribute"
+            title="Read this attribute instead of the element text"
+            disabled={readOnly}
+          />
+        )}
+      </td>
+      <td>
+        {!readOnly && (
+          <button className="rule-remove" onClick={() => removeRule(setIndex, ruleIndex)}>×</button>
+        )}
+      </td>
+    </tr>
+  );
+
+  const renderRuleTable = (ruleSet, setIndex, readOnly) => (
+    <table className="rules-table">
+      <thead>
+        <tr>
+          <th>Field</th>
+          <th>Type</th>
+          <th>Expression</th>
+          <th>Attribute / group</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>
+        {(ruleSet.rules || []).map((rule, ruleIndex) => renderRule(rule, setIndex, ruleIndex, readOnly))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className="extraction-rules">
+      <div className="rules-header">
+        <div>
+          <h3>Extraction Rules</h3>
+          <p className="rules-help">
+            Fields are extracted from each page after it loads. Rules for a field are tried in order and
+            the first value found wins. Your rules for a domain replace the built-in rules for the same field.
+          </p>
+        </div>
+        <button className="rules-save" onClick={handleSave} disabled={!isDirty}>
+          Save Rules
+        </button>
+      </div>
+
+      {message && <div className="rules-message">{message}</div>}
+      {error && <pre className="rules-error">{error}</pre>}
+
+      {ruleSets.map((ruleSet, setIndex) => (
+        <div key={ruleSet.domain} className="rule-set">
+          <div className="rule-set-header">
+            <span className="rule-set-domain">{ruleSet.domain}</span>
+            <button onClick={() => addRule(setIndex)}>Add Rule</button>
+            <button onClick={() => removeDomain(setIndex)}>Remove Domain</button>
+          </div>
+          {renderRuleTable(ruleSet, setIndex, false)}
+        </div>
+      ))}
+
+      <div className="rule-set-add">
+        <input
+          type="text"
+          value={newDomain}
+          onChange={(e) => setNewDomain(e.target.value)}
+          placeholder="Domain, e.g. app.fieldnation.com"
+        />
+        <button onClick={() => addDomain(newDomain)}>Add Domain</button>
+      </div>
+
+      {defaults.map(ruleSet => (
+        <details key={ruleSet.domain} className="rule-set built-in">
+          <summary>
+            Built-in rules for {ruleSet.domain}
+            <button onClick={(e) => { e.preventDefault(); addDomain(ruleSet.domain, ruleSet.rules); }}>
+              Copy to My Rules
+            </button>
+          </summary>
+          {renderRuleTable(ruleSet, -1, true)}
+        </details>
+      ))}
+    </div>
+  );
+};
+
+export default ExtractionRulesEditor;
@@ -0,0 +1,250 @@
+import React, { useState, useEffect, useRef } from 'react';
+import './HarvestPanel.css';
+import api, { getErrorMessage } from '../api';
+
+const DEFAULT_CRAWL_OPTIONS = {
+  nextSelector: 'a[rel="next"], [aria-label="Next page"], [aria-label="Next"]',
+  pageParam: '',
+  maxPages: 10,
+  delaySeconds: 2
+};
+
+const STOP_REASONS = {
+  maxPages: 'reached the page limit',
+  lastPage: 'no next page found',
+  noNewLinks: 'a page added no new links',
+  cancelled: 'cancelled'
+};
+
+// Scan the current page, or crawl through a paginated listing starting at
+// it, for work order links and hand the chosen ones to the URL list
+const HarvestPanel = ({ getWebview, profileId, onHarvest }) => {
+  const [pattern, setPattern] = useState('');
+  const [mode, setMode] = useState('page'); // 'page' | 'crawl'
+  const [crawlOptions, setCrawlOptions] = useState(DEFAULT_CRAWL_OPTIONS);
+  const [crawlProgress, setCrawlProgress] = useState(null);
+  const [isCrawling, setIsCrawling] = useState(false);
+  const [source, setSource] = useState('page'); // where the listed links came from
+  const [links, setLinks] = useState(null);
+  const [checked, setChecked] = useState({});
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState('');
+  const crawlingRef = useRef(false);
+
+  useEffect(() => {
+    api.harvest.getPattern()
+      .then(saved => setPattern(saved || '/workorders/\\d+'))
+      .catch(e => console.error('Error loading harvest pattern:', e));
+    api.harvest.getCrawlOptions()
+      .then(saved => {
+        if (saved) {
+          setCrawlOptions({
+            ...DEFAULT_CRAWL_OPTIONS,
+            ...saved,
+            delaySeconds: saved.delayMs ? saved.delayMs / 1000 : DEFAULT_CRAWL_OPTIONS.delaySeconds
+          });
+        }
+      })
+      .catch(e => console.error('Error loading crawl options:', e));
+  }, []);
+
+  // Live counter while a crawl runs
+  useEffect(() => {
+    return api.harvest.onCrawlProgress(progress => setCrawlProgress(progress));
+  }, []);
+
+  // Closing the panel takes the Cancel button with it, so stop the crawl too
+  useEffect(() => () => {
+    if (crawlingRef.current) api.harvest.cancelCrawl();
+  }, []);
+
+  const showLinks = (found, from) => {
+    setLinks(found);
+    setSource(from);
+    setChecked(found.reduce((all, link) => ({ ...all, [link.url]: true }), {}));
+  };
+
+  const handleCrawl = async () => {
+    const webview = getWebview();
+    if (!webview) return;
+
+    crawlingRef.current = true;
+    setIsCrawling(true);
+    setCrawlProgress(null);
+    setError('');
+    try {
+      const result = await api.harvest.crawl(webview.getURL(), {
+        linkPattern: pattern,
+        nextSelector: crawlOptions.pageParam ? '' : crawlOptions.nextSelector,
+        pageParam: crawlOptions.pageParam,
+        maxPages: Number(crawlOptions.maxPages),
+        delayMs: Number(crawlOptions.delaySeconds) * 1000
+      }, profileId || undefined);
+      if (result) {
+        showLinks(result.links, 'crawl');
+        setCrawlProgress(prev => ({ ...prev, done: true, stoppedReason: result.stoppedReason, pages: result.pages }));
+      }
+    } catch (e) {
+      setError(getErrorMessage(e));
+    } finally {
+      crawlingRef.current = false;
+      setIsCrawling(false);
+    }
+  };
+
+  const updateCrawlOption = (name, value) => {
+    setCrawlOptions(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleScan = async () => {
+    const webview = getWebview();
+    if (!webview || !webview.getWebContentsId) return;
+
+    setIsScanning(true);
+    setError('');
+    try {
+      const found = await api.harvest.collectLinks(webview.getWebContentsId(), pattern);
+      showLinks(found || [], 'page');
+    } catch (e) {
+      setError(getErrorMessage(e));
+    } finally {
+      setIsScanning(false);
+    }
+  };
+
+  const selectedUrls = (links || []).filter(link => checked[link.url]).map(link => link.url);
+
+  const setAllChecked = (value) => {
+    setChecked((links || []).reduce((all, link) => ({ ...all, [link.url]: value }), {}));
+  };
+
+  return (
+    <div className="harvest-panel">
+      <div className="harvest-controls">
+        <label>
+          Link pattern
+          <input
+            type="text"
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleScan()}
+            placeholder="/workorders/\d+"
+            title="Regular expression matched against each link's URL"
+          />
+        </label>
+        <select value={mode} onChange={(e) => setMode(e.target.value)} disabled={isCrawling}>
+          <option value="page">This page</option>
+          <option value="crawl">Crawl pages</option>
+        </select>
+        {mode === 'page' ? (
+          <button onClick={handleScan} disabled={isScanning}>
+            {isScanning ? 'Scanning...' : 'Scan Page'}
+          </button>
+        ) : isCrawling ? (
+          <button onClick={() => api.harvest.cancelCrawl()}>Cancel Crawl</button>
+        ) : (
+          <button onClick={handleCrawl}>Start Crawl</button>
+        )}
+      </div>
+
+      {mode === 'crawl' && (
+        <div className="crawl-options">
+          <label>
+            Next page selector
+            <input
+              type="text"
+              value={crawlOptions.nextSelector}
+              onChange={(e) => updateCrawlOption('nextSelector', e.target.value)}
+              disabled={isCrawling || !!crawlOptions.pageParam}
+              title="CSS selector of the next page link or button"
+            />
+          </label>
+          <label>
+            or page parameter
+            <input
+              type="text"
+              className="crawl-short"
+              value={crawlOptions.pageParam}
+              onChange={(e) => updateCrawlOption('pageParam', e.target.value)}
+              disabled={isCrawling}
+              placeholder="page"
+              title="Query parameter holding the page number; used instead of the selector when set"
+            />
+          </label>
+          <label>
+            Max pages
+            <input
+              type="number"
+              className="crawl-short"
+              min="1"
+              value={crawlOptions.maxPages}
+              onChange={(e) => updateCrawlOption('maxPages', e.target.value)}
+              disabled={isCrawling}
+            />
+          </label>
+          <label>
+            Delay (s)
+            <input
+              type="number"
+              className="crawl-short"
+              min="0.5"
+              step="0.5"
+              value={crawlOptions.delaySeconds}
+              onChange={(e) => updateCrawlOption('delaySeconds', e.target.value)}
+              disabled={isCrawling}
+            />
+          </label>
+        </div>
+      )}
+
+      {mode === 'crawl' && crawlProgress && (
+        <div className="crawl-progress">
+          {crawlProgress.done
+            ? `Crawled ${crawlProgress.pages} pages and found ${crawlProgress.linksFound} links (${STOP_REASONS[crawlProgress.stoppedReason] || 'finished'})`
+            : `Page ${crawlProgress.pages} of up to ${crawlProgress.maxPages} · ${crawlProgress.linksFound} links found`}
+        </div>
+      )}
+
+      {error && <div className="harvest-error">{error}</div>}
+
+      {links && (
+        links.length === 0 ? (
+          <div className="harvest-empty">No matching links on this page</div>
+        ) : (
+          <>
+            <div className="harvest-summary">
+              {selectedUrls.length} of {links.length} links selected
+              <button onClick={() => setAllChecked(true)}>All</button>
+              <button onClick={() => setAllChecked(false)}>None</button>
+            </div>
+            <ul className="harvest-links">
+              {links.map(link => (
+                <li key={link.url}>
+                  <label title={link.url}>
+                    <input
+                      type="checkbox"
+                      checked={!!checked[link.url]}
+                      onChange={(e) => setChecked(prev => ({ ...prev, [link.url]: e.target.checked }))}
+                    />
+                    <span className="harvest-link-text">{link.text || link.url}</span>
+                    {link.text && <span className="harvest-link-url">{link.url}</span>}
+                  </label>
+                </li>
+              ))}
+            </ul>
+            <div className="harvest-actions">
+              <button onClick={() => onHarvest(selectedUrls, 'replace', source)} disabled={selectedUrls.length === 0}>
+                Start New List
+              </button>
+              <button onClick={() => onHarvest(selectedUrls, 'append', source)} disabled={selectedUrls.length === 0}>
+                Append to List
+              </button>
+            </div>
+          </>
+        )
+      )}
+    </div>
+  );
+};
+
+export default HarvestPanel;
@@ -0,0 +1,158 @@
+import React, { useState, useMemo } from 'react';
+import './ImportDialog.css';
+import { getColumnNames, detectUrlColumn, extractImportedUrls } from '../utils/importTable';
+
+// Number of data rows shown in the preview table
+const PREVIEW_ROWS = 5;
+
+const ImportDialog = ({ fileName, sheets, onImport, onCancel }) => {
+  // Start on the first sheet that has any URLs in it
+  const [sheetIndex, setSheetIndex] = useState(() => {
+    const index = sheets.findIndex(sheet => detectUrlColumn(sheet.rows, true, sheet.links) !== -1);
+    return index === -1 ? 0 : index;
+  });
+  const { rows, links } = sheets[sheetIndex];
+  const [hasHeader, setHasHeader] = useState(true);
+  const [urlColumn, setUrlColumn] = useState(() => detectUrlColumn(rows, true, links));
+  const [metadataColumns, setMetadataColumns] = useState([]);
+
+  const columnNames = useMemo(() => getColumnNames(rows, hasHeader), [rows, hasHeader]);
+  const dataRows = hasHeader ? rows.slice(1) : rows;
+
+  const result = useMemo(() => (
+    urlColumn === -1
+      ? { urls: [], metadata: {}, skipped: dataRows.length }
+      : extractImportedUrls(rows, { hasHeader, urlColumn, metadataColumns, links })
+  ), [rows, links, hasHeader, urlColumn, metadataColumns, dataRows.length]);
+
+  const handleSheetChange = (e) => {
+    const index = Number(e.target.value);
+    const sheet = sheets[index];
+    setSheetIndex(index);
+    setUrlColumn(detectUrlColumn(sheet.rows, hasHeader, sheet.links));
+    setMetadataColumns([]);
+  };
+
+  const handleHeaderToggle = (e) => {
+    const checked = e.target.checked;
+    setHasHeader(checked);
+    setUrlColumn(detectUrlColumn(rows, checked, links));
+  };
+
+  const toggleMetadataColumn = (column) => {
+    setMetadataColumns(prev => (
+      prev.includes(column) ? prev.filter(c => c !== column) : [...prev, column].sort((a, b) => a - b)
+    ));
+  };
+
+  const handleImport = () => {
+    onImport(result);
+  };
+
+  return (
+    <div className="import-overlay">
+      <div className="import-dialog">
+        <div className="import-header">
+          <h2>Import {fileName}</h2>
+          <span className="import-counts">{dataRows.length} rows, {columnNames.length} columns</span>
+        </div>
+
+        <div className="import-options">
+          {sheets.length > 1 && (
+            <label>
+              Sheet
+              <select value={sheetIndex} onChange={handleSheetChange}>
+                {sheets.map((sheet, i) => (
+                  <option key={i} value={i}>{sheet.name} ({sheet.rows.length} rows)</option>
+                ))}
+              </select>
+            </label>
+          )}
+
+          <label className="import-checkbox">
+            <input type="checkbox" checked={hasHeader} onChange={handleHeaderToggle} />
+            First row is a header
+          </label>
+
+          <label>
+            URL column
+            <select
+              value={urlColumn}
+              onChange={(e) => setUrlColumn(Number(e.target.value))}
+            >
+              <option value={-1}>Choose a column...</option>
+              {columnNames.map((name, i) => (
+                <option key={i} value={i}>{name}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        <div className="import-metadata">
+          <span>Carry along as metadata:</span>
+          {columnNames.map((name, i) => (
+            i !== urlColumn && (
+              <label key={i} className="import-checkbox">
+                <input
+                  type="checkbox"
+                  checked={metadataColumns.includes(i)}
+                  onChange={() => toggleMetadataColumn(i)}
+                />
+                {name}
+              </label>
+            )
+          ))}
+        </div>
+
+        <div className="import-preview">
+          <table>
+            <thead>
+              <tr>
+                {columnNames.map((name, i) => (
+                  <th
+                    key={i}
+                    className={i === urlColumn ? 'url-column' : metadataColumns.includes(i) ? 'metadata-column' : ''}
+                  >
+                    {name}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {dataRows.slice(0, PREVIEW_ROWS).map((row, r) => {
+                const rowLinks = links ? links[r + (hasHeader ? 1 : 0)] || [] : [];
+                return (
+                  <tr key={r}>
+                    {columnNames.map((_, i) => (
+                      <td key={i} className={i === urlColumn ? 'url-column' : ''} title={rowLinks[i] || undefined}>
+                        {row[i]}
+                        {rowLinks[i] && rowLinks[i] !== row[i] && <span className="import-link-marker"> 🔗</span>}
+                      </td>
+                    ))}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="import-footer">
+          <span className="import-summary">
+            {result.urls.length} URLs found
+            {result.skipped > 0 && `, ${result.skipped} rows without a valid URL will be skipped`}
+          </span>
+          <button className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+          <button
+            className="btn btn-primary"
+            onClick={handleImport}
+            disabled={result.urls.length === 0}
+          >
+            Import {result.urls.length} URLs
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportDialog;
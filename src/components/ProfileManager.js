@@ -0,0 +1,164 @@
+import React, { useState, useEffect } from 'react';
+import './ProfileManager.css';
+import api, { getErrorMessage } from '../api';
+
+const toDraft = (profile) => ({
+  name: profile.name,
+  userAgent: profile.userAgent || '',
+  templateId: profile.templateId || ''
+});
+
+const ProfileManager = ({ profiles, activeId, urlTemplates, onChange }) => {
+  const [drafts, setDrafts] = useState({}); // profile id -> edited fields
+  const [newName, setNewName] = useState('');
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    setDrafts(profiles.reduce((all, profile) => ({ ...all, [profile.id]: toDraft(profile) }), {}));
+  }, [profiles]);
+
+  const run = async (action) => {
+    setError('');
+    setMessage('');
+    try {
+      await action();
+    } catch (e) {
+      setError(getErrorMessage(e));
+    }
+  };
+
+  const updateDraft = (id, changes) => {
+    setDrafts(prev => ({ ...prev, [id]: { ...prev[id], ...changes } }));
+  };
+
+  const isChanged = (profile) => {
+    const draft = drafts[profile.id];
+    if (!draft) return false;
+    const saved = toDraft(profile);
+    return Object.keys(saved).some(field => saved[field] !== draft[field]);
+  };
+
+  const saveProfile = (profile) => run(async () => {
+    const result = await api.profiles.save({ id: profile.id, ...drafts[profile.id] });
+    if (result) onChange({ profiles: result.profiles, activeId: result.activeId });
+    setMessage(`Saved ${result ? result.profile.name : 'profile'}`);
+  });
+
+  const addProfile = () => run(async () => {
+    const name = newName.trim();
+    if (!name) return;
+    const result = await api.profiles.save({ name });
+    if (result) onChange({ profiles: result.profiles, activeId: result.activeId });
+    setNewName('');
+    setMessage(`Added ${name}. Switch to it and log in to use its own session.`);
+  });
+
+  const removeProfile = (profile) => {
+    if (!window.confirm(`Remove the ${profile.name} profile? Its logins and site data are deleted.`)) return;
+    run(async () => {
+      const result = await api.profiles.remove(profile.id);
+      if (result) onChange(result);
+      setMessage(`Removed ${profile.name}`);
+    });
+  };
+
+  const handleExport = () => run(async () => {
+    const result = await api.profiles.exportSettings();
+    if (result && !result.canceled) {
+      setMessage(`Exported ${profiles.length} profiles to ${result.filePath}`);
+    }
+  });
+
+  const handleImport = () => run(async () => {
+    const result = await api.profiles.importSettings();
+    if (result && !result.canceled) {
+      onChange({ profiles: result.profiles, activeId: result.activeId });
+      setMessage(`Imported profiles: ${result.added} added, ${result.updated} updated`);
+    }
+  });
+
+  return (
+    <div className="profile-manager">
+      <div className="profile-header">
+        <div>
+          <h3>Profiles</h3>
+          <p className="profile-help">
+            Each profile has its own cookies and logins, so several accounts can be used side by side.
+            Exports contain the profile names, user agents and URL templates only, never logins or cookies.
+          </p>
+        </div>
+        <div className="profile-actions">
+          <button onClick={handleImport}>Import</button>
+          <button onClick={handleExport} disabled={profiles.length === 0}>Export</button>
+        </div>
+      </div>
+
+      {message && <div className="profile-message">{message}</div>}
+      {error && <div className="profile-error">{error}</div>}
+
+      <table className="profile-table">
+        <thead>
+          <tr>
+            <th>Name</th>
+            <th>User agent</th>
+            <th>Default URL template</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {profiles.map(profile => {
+            const draft = drafts[profile.id] || toDraft(profile);
+            return (
+              <tr key={profile.id} className={profile.id === activeId ? 'active' : ''}>
+                <td>
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => updateDraft(profile.id, { name: e.target.value })}
+                  />
+                </td>
+                <td>
+                  <input
+                    type="text"
+                    value={draft.userAgent}
+                    onChange={(e) => updateDraft(profile.id, { userAgent: e.target.value })}
+                    placeholder="Browser default"
+                  />
+                </td>
+                <td>
+                  <select
+                    value={draft.templateId}
+                    onChange={(e) => updateDraft(profile.id, { templateId: e.target.value })}
+                  >
+                    <option value="">Keep current template</option>
+                    {urlTemplates.map(template => (
+                      <option key={template.id} value={template.id}>{template.name}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="profile-row-actions">
+                  <button onClick={() => saveProfile(profile)} disabled={!isChanged(profile)}>Save</button>
+                  <button onClick={() => removeProfile(profile)} disabled={profiles.length === 1}>Remove</button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="profile-add">
+        <input
+          type="text"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addProfile()}
+          placeholder="Profile name, e.g. Second account"
+        />
+        <button onClick={addProfile}>Add Profile</button>
+      </div>
+    </div>
+  );
+};
+
+export default ProfileManager;
@@ -0,0 +1,22 @@
+import React from 'react';
+import './ProfileSwitcher.css';
+
+// Header control to switch the active account profile
+const ProfileSwitcher = ({ profiles, activeId, onSwitch }) => {
+  if (profiles.length === 0) return null;
+
+  return (
+    <div className="profile-switcher">
+      <label>
+        Profile
+        <select value={activeId || ''} onChange={(e) => onSwitch(e.target.value)}>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  );
+};
+
+export default ProfileSwitcher;
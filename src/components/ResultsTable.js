@@ -0,0 +1,92 @@
+import React, { useState, useRef, useEffect } from 'react';
+import './ResultsTable.css';
+
+// Rows have a fixed height so only the visible ones need rendering
+const ROW_HEIGHT = 32;
+const OVERSCAN = 10;
+
+const formatValue = (value, column) => {
+  if (value === undefined || value === null || value === '') return '';
+  if (column.key === 'lastOpened') return new Date(value).toLocaleString();
+  return String(value);
+};
+
+const ResultsTable = ({ rows, columns, sort, onSort, onRowClick }) => {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(600);
+
+  // Track the viewport size so the right number of rows is rendered
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    const updateHeight = () => setViewportHeight(container.clientHeight);
+    updateHeight();
+    window.addEventListener('resize', updateHeight);
+    return () => window.removeEventListener('resize', updateHeight);
+  }, []);
+
+  // Jump back to the top when the rows change, e.g. after filtering
+  useEffect(() => {
+    if (containerRef.current) {
+      containerRef.current.scrollTop = 0;
+    }
+    setScrollTop(0);
+  }, [rows]);
+
+  const firstIndex = Math.max(0, Math.floor(scrollTop / ROW_HEIGHT) - OVERSCAN);
+  const lastIndex = Math.min(rows.length, Math.ceil((scrollTop + viewportHeight) / ROW_HEIGHT) + OVERSCAN);
+  const visibleRows = rows.slice(firstIndex, lastIndex);
+  const gridTemplateColumns = columns.map(column => (column.key === 'title' ? 'minmax(200px, 2fr)' : 'minmax(100px, 1fr)')).join(' ');
+
+  return (
+    <div className="results-table">
+      <div className="results-table-header" style={{ gridTemplateColumns }}>
+        {columns.map(column => (
+          <button
+            key={column.key}
+            className={`results-header-cell ${sort.column === column.key ? 'sorted' : ''}`}
+            onClick={() => onSort(column.key)}
+            title={`Sort by ${column.label}`}
+          >
+            {column.label}
+            {sort.column === column.key && (sort.direction === 'asc' ? ' ▲' : ' ▼')}
+          </button>
+        ))}
+      </div>
+
+      <div
+        className="results-table-body"
+        ref={containerRef}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <div style={{ height: rows.length * ROW_HEIGHT, position: 'relative' }}>
+          {visibleRows.map((row, i) => (
+            <div
+              key={row.id || row.url}
+              className="results-row"
+              style={{ top: (firstIndex + i) * ROW_HEIGHT, height: ROW_HEIGHT, gridTemplateColumns }}
+              onClick={() => onRowClick(row)}
+              title={row.url}
+            >
+              {columns.map(column => {
+                const text = formatValue(row.values[column.key], column);
+                return (
+                  <span key={column.key} className={`results-cell ${column.type}`} title={text}>
+                    {text}
+                  </span>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+        {rows.length === 0 && (
+          <div className="results-empty">No work orders match the current filters</div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResultsTable;
@@ -0,0 +1,219 @@
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import './ResultsView.css';
+import ResultsTable from './ResultsTable';
+import { buildResults, filterRows, sortRows, FILTER_OPERATORS } from '../utils/results';
+import api from '../api';
+
+const DEFAULT_SORT = { column: 'lastOpened', direction: 'desc' };
+
+const ResultsView = ({ onOpenUrl }) => {
+  const [entries, setEntries] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [filters, setFilters] = useState([]);
+  const [sort, setSort] = useState(DEFAULT_SORT);
+  const [savedViews, setSavedViews] = useState([]);
+  const [activeViewName, setActiveViewName] = useState('');
+  const [newViewName, setNewViewName] = useState('');
+
+  const loadResults = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await api.history.getResults();
+      setEntries(result || []);
+    } catch (error) {
+      console.error('Error loading results:', error);
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadResults();
+    api.settings.getResultsViews()
+      .then(views => setSavedViews(views || []))
+      .catch(error => console.error('Error loading saved views:', error));
+  }, [loadResults]);
+
+  const { rows, columns } = useMemo(() => buildResults(entries), [entries]);
+  const filteredRows = useMemo(
+    () => filterRows(rows, columns, filters, search),
+    [rows, columns, filters, search]
+  );
+  const sortedRows = useMemo(
+    () => sortRows(filteredRows, columns.find(column => column.key === sort.column), sort.direction),
+    [filteredRows, columns, sort]
+  );
+
+  const handleSort = (columnKey) => {
+    setSort(prev => ({
+      column: columnKey,
+      direction: prev.column === columnKey && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const addFilter = () => {
+    const column = columns[0];
+    if (!column) return;
+    setFilters(prev => [...prev, { column: column.key, operator: FILTER_OPERATORS[column.type][0].value, value: '', valueTo: '' }]);
+  };
+
+  const updateFilter = (index, changes) => {
+    setFilters(prev => prev.map((filter, i) => {
+      if (i !== index) return filter;
+      const next = { ...filter, ...changes };
+      // Switching to a column of another type needs an operator of that type
+      if (changes.column) {
+        const column = columns.find(c => c.key === changes.column);
+        const operators = FILTER_OPERATORS[column.type];
+        if (!operators.some(op => op.value === next.operator)) {
+          next.operator = operators[0].value;
+          next.value = '';
+          next.valueTo = '';
+        }
+      }
+      return next;
+    }));
+  };
+
+  const removeFilter = (index) => {
+    setFilters(prev => prev.filter((filter, i) => i !== index));
+  };
+
+  const persistViews = (views) => {
+    setSavedViews(views);
+    api.settings.setResultsViews(views)
+      .catch(error => console.error('Error saving views:', error));
+  };
+
+  const handleSaveView = () => {
+    const name = newViewName.trim();
+    if (!name) return;
+    const view = { name, search, filters, sort };
+    persistViews([...savedViews.filter(v => v.name !== name), view]);
+    setActiveViewName(name);
+    setNewViewName('');
+  };
+
+  const handleSelectView = (name) => {
+    setActiveViewName(name);
+    const view = savedViews.find(v => v.name === name);
+    if (view) {
+      setSearch(view.search || '');
+      setFilters(view.filters || []);
+      setSort(view.sort || DEFAULT_SORT);
+    } else {
+      setSearch('');
+      setFilters([]);
+      setSort(DEFAULT_SORT);
+    }
+  };
+
+  const handleDeleteView = () => {
+    persistViews(savedViews.filter(v => v.name !== activeViewName));
+    setActiveViewName('');
+  };
+
+  const renderFilterValue = (filter, index, column) => {
+    if (filter.operator === 'empty') return null;
+    const inputType = column.type === 'date' ? 'date' : column.type === 'number' ? 'number' : 'text';
+    return (
+      <>
+        <input
+          type={inputType}
+          value={filter.value}
+          onChange={(e) => updateFilter(index, { value: e.target.value })}
+          placeholder={column.type === 'number' ? 'Value' : ''}
+        />
+        {filter.operator === 'between' && (
+          <>
+            <span>and</span>
+            <input
+              type={inputType}
+              value={filter.valueTo}
+              onChange={(e) => updateFilter(index, { valueTo: e.target.value })}
+            />
+          </>
+        )}
+      </>
+    );
+  };
+
+  return (
+    <div className="results-view">
+      <div className="results-toolbar">
+        <input
+          type="text"
+          className="results-search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search all columns..."
+        />
+        <button onClick={addFilter} disabled={columns.length === 0}>Add Filter</button>
+
+        <select value={activeViewName} onChange={(e) => handleSelectView(e.target.value)}>
+          <option value="">All work orders</option>
+          {savedViews.map(view => (
+            <option key={view.name} value={view.name}>{view.name}</option>
+          ))}
+        </select>
+        {activeViewName && <button onClick={handleDeleteView}>Delete View</button>}
+        <input
+          type="text"
+          className="results-view-name"
+          value={newViewName}
+          onChange={(e) => setNewViewName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSaveView()}
+          placeholder="View name"
+        />
+        <button onClick={handleSaveView} disabled={!newViewName.trim()}>Save View</button>
+
+        <span className="results-count">
+          {isLoading ? 'Loading...' : `${sortedRows.length} of ${rows.length} work orders`}
+        </span>
+        <button onClick={loadResults} disabled={isLoading}>Refresh</button>
+      </div>
+
+      {filters.length > 0 && (
+        <div className="results-filters">
+          {filters.map((filter, index) => {
+            const column = columns.find(c => c.key === filter.column);
+            if (!column) return null;
+            return (
+              <div key={index} className="results-filter">
+                <select value={filter.column} onChange={(e) => updateFilter(index, { column: e.target.value })}>
+                  {columns.map(c => (
+                    <option key={c.key} value={c.key}>{c.label}</option>
+                  ))}
+                </select>
+                <select value={filter.operator} onChange={(e) => updateFilter(index, { operator: e.target.value })}>
+                  {FILTER_OPERATORS[column.type].map(op => (
+                    <option key={op.value} value={op.value}>{op.label}</option>
+                  ))}
+                </select>
+                {renderFilterValue(filter, index, column)}
+                <button className="results-filter-remove" onClick={() => removeFilter(index)}>×</button>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {!isLoading && rows.length === 0 ? (
+        <div className="results-placeholder">
+          No extracted work order data yet. Fields are extracted when pages load in the embedded browser.
+        </div>
+      ) : (
+        <ResultsTable
+          rows={sortedRows}
+          columns={columns}
+          sort={sort}
+          onSort={handleSort}
+          onRowClick={(row) => onOpenUrl(row.url)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ResultsView;
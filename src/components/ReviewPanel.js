@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import './ReviewPanel.css';
+import { REVIEW_STATUSES, CUSTOM_STATUS, EMPTY_REVIEW } from '../utils/reviews';
+import api, { getErrorMessage } from '../api';
+
+// Delay before typed notes are written to the history store
+const SAVE_DELAY = 600;
+
+// "followUpDate" -> "Follow up date"
+const formatFieldName = (name) => {
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const ReviewPanel = ({ url, review, metadata, fields, profileId, onChange, onExport }) => {
+  const current = { ...EMPTY_REVIEW, ...review };
+  const pendingRef = useRef(null); // { url, review, metadata } waiting to be saved
+  const timerRef = useRef(null);
+
+  const [watchMessage, setWatchMessage] = useState('');
+  const onChangeRef = useRef(onChange);
+  onChangeRef.current = onChange;
+
+  const flush = useCallback(() => {
+    clearTimeout(timerRef.current);
+    const pending = pendingRef.current;
+    pendingRef.current = null;
+    if (!pending) return;
+
+    api.history.saveReview(pending.url, pending.review, pending.metadata)
+      .then(saved => {
+        if (saved) onChangeRef.current(pending.url, { updatedAt: saved.updatedAt });
+      })
+      .catch(error => console.error('Error saving review:', error));
+  }, []);
+
+  // Save anything still pending before switching to another URL
+  useEffect(() => {
+    return () => flush();
+  }, [url, flush]);
+
+  useEffect(() => {
+    setWatchMessage('');
+  }, [url]);
+
+  // Add the work order to the watch list so changes are reported
+  const handleWatch = async () => {
+    try {
+      const item = await api.watch.add({ url, profileId: profileId || undefined });
+      if (item) setWatchMessage(`Watching, checked every ${item.intervalMinutes} min`);
+    } catch (error) {
+      setWatchMessage(getErrorMessage(error));
+    }
+  };
+
+  const update = (changes, immediate = true) => {
+    const next = { ...current, ...changes };
+    onChange(url, changes);
+    pendingRef.current = { url, review: next, metadata };
+    clearTimeout(timerRef.current);
+    if (immediate) {
+      flush();
+    } else {
+      timerRef.current = setTimeout(flush, SAVE_DELAY);
+    }
+  };
+
+  const handleStatusClick = (status) => {
+    // Clicking the selected status again clears it
+    update({ status: current.status === status ? '' : status });
+  };
+
+  return (
+    <div className="review-panel">
+      <div className="review-header">
+        <h3>Review</h3>
+        <div className="review-export">
+          Export run:
+          <button onClick={() => onExport('csv')}>CSV</button>
+          <button onClick={() => onExport('json')}>JSON</button>
+        </div>
+      </div>
+
+      {!url ? (
+        <div className="review-empty">Open a work order to review it</div>
+      ) : (
+        <div className="review-body">
+          <div className="review-url-row">
+            <div className="review-url" title={url}>{url}</div>
+            <button className="review-watch" onClick={handleWatch} title="Watch this work order for changes">
+              Watch
+            </button>
+          </div>
+          {watchMessage && <div className="review-saved">{watchMessage}</div>}
+
+          {fields && Object.keys(fields).length > 0 && (
+            <dl className="review-fields">
+              {Object.entries(fields).map(([name, value]) => (
+                <React.Fragment key={name}>
+                  <dt>{formatFieldName(name)}</dt>
+                  <dd title={value}>{value}</dd>
+                </React.Fragment>
+              ))}
+            </dl>
+          )}
+
+          <div className="review-statuses">
+            {REVIEW_STATUSES.map(status => (
+              <button
+                key={status.value}
+                className={`review-status ${status.value} ${current.status === status.value ? 'selected' : ''}`}
+                onClick={() => handleStatusClick(status.value)}
+              >
+                {status.label}
+              </button>
+            ))}
+            <button
+              className={`review-status custom ${current.status === CUSTOM_STATUS ? 'selected' : ''}`}
+              onClick={() => handleStatusClick(CUSTOM_STATUS)}
+            >
+              Custom
+            </button>
+          </div>
+
+          {current.status === CUSTOM_STATUS && (
+            <input
+              type="text"
+              className="review-custom-status"
+              value={current.customStatus}
+              onChange={(e) => update({ customStatus: e.target.value }, false)}
+              placeholder="Custom status"
+            />
+          )}
+
+          <label className="review-label" htmlFor="reviewNotes">Notes</label>
+          <textarea
+            id="reviewNotes"
+            className="review-notes"
+            value={current.notes}
+            onChange={(e) => update({ notes: e.target.value }, false)}
+            onBlur={flush}
+            placeholder="Pay, schedule, parts, questions for the buyer..."
+          />
+
+          <label className="review-label" htmlFor="reviewFollowUp">Follow-up date</label>
+          <input
+            id="reviewFollowUp"
+            type="date"
+            className="review-follow-up"
+            value={current.followUpDate}
+            onChange={(e) => update({ followUpDate: e.target.value })}
+          />
+
+          {current.updatedAt && (
+            <div className="review-saved">
+              Last saved {new Date(current.updatedAt).toLocaleString()}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReviewPanel;
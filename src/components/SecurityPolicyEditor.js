@@ -0,0 +1,200 @@
+import React, { useState, useEffect } from 'react';
+import './SecurityPolicyEditor.css';
+import api, { getErrorMessage } from '../api';
+
+const PERMISSION_LABELS = {
+  media: 'Camera & microphone',
+  geolocation: 'Location',
+  notifications: 'Notifications'
+};
+
+// Blocked actions shown, matching what the main process keeps
+const MAX_BLOCKED_ENTRIES = 200;
+
+const EMPTY_DOMAIN = { allowCertificateErrors: false, relaxCsp: false, permissions: [] };
+
+const formatTime = (value) => new Date(value).toLocaleString();
+
+const SecurityPolicyEditor = () => {
+  const [domains, setDomains] = useState([]);
+  const [permissionTypes, setPermissionTypes] = useState(Object.keys(PERMISSION_LABELS));
+  const [blocked, setBlocked] = useState([]);
+  const [newDomain, setNewDomain] = useState('');
+  const [isDirty, setIsDirty] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.security.getPolicy()
+      .then(result => {
+        if (!result) return;
+        setDomains(result.policy.domains || []);
+        setPermissionTypes(result.permissionTypes || []);
+        setBlocked(result.blocked || []);
+      })
+      .catch(e => console.error('Error loading security policy:', e));
+
+    // Show blocked actions as they happen
+    return api.security.onBlocked(entry => setBlocked(prev => [entry, ...prev].slice(0, MAX_BLOCKED_ENTRIES)));
+  }, []);
+
+  const changeDomains = (update) => {
+    setDomains(update);
+    setIsDirty(true);
+    setMessage('');
+  };
+
+  const updateDomain = (index, changes) => {
+    changeDomains(prev => prev.map((entry, i) => i === index ? { ...entry, ...changes } : entry));
+  };
+
+  const togglePermission = (index, permission) => {
+    const entry = domains[index];
+    const permissions = entry.permissions || [];
+    updateDomain(index, {
+      permissions: permissions.includes(permission)
+        ? permissions.filter(item => item !== permission)
+        : [...permissions, permission]
+    });
+  };
+
+  const addDomain = () => {
+    const name = newDomain.trim().toLowerCase();
+    if (!name) return;
+    if (domains.some(entry => entry.domain === name)) {
+      setError(`${name} is already trusted`);
+      return;
+    }
+    changeDomains(prev => [...prev, { domain: name, ...EMPTY_DOMAIN }]);
+    setNewDomain('');
+    setError('');
+  };
+
+  const removeDomain = (index) => {
+    changeDomains(prev => prev.filter((entry, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setError('');
+    try {
+      const saved = await api.security.setPolicy({ domains });
+      if (saved) setDomains(saved.domains);
+      setIsDirty(false);
+      setMessage('Policy saved. It applies to the next request each site makes.');
+    } catch (e) {
+      setError(getErrorMessage(e));
+    }
+  };
+
+  const handleClearLog = async () => {
+    await api.security.clearLog();
+    setBlocked([]);
+  };
+
+  return (
+    <div className="security-policy">
+      <div className="security-header">
+        <div>
+          <h3>Trusted Domains</h3>
+          <p className="security-help">
+            Sites not listed here get the browser's normal security: certificate errors are refused, their
+            Content-Security-Policy is kept and camera, location and notification requests are denied.
+            A domain also covers its subdomains.
+          </p>
+        </div>
+        <button className="security-save" onClick={handleSave} disabled={!isDirty}>
+          Save Policy
+        </button>
+      </div>
+
+      {message && <div className="security-message">{message}</div>}
+      {error && <pre className="security-error">{error}</pre>}
+
+      <table className="security-table">
+        <thead>
+          <tr>
+            <th>Domain</th>
+            <th>Ignore certificate errors</th>
+            <th>Relax CSP</th>
+            {permissionTypes.map(permission => (
+              <th key={permission}>{PERMISSION_LABELS[permission] || permission}</th>
+            ))}
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {domains.map((entry, index) => (
+            <tr key={entry.domain}>
+              <td className="security-domain">{entry.domain}</td>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={!!entry.allowCertificateErrors}
+                  onChange={(e) => updateDomain(index, { allowCertificateErrors: e.target.checked })}
+                />
+              </td>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={!!entry.relaxCsp}
+                  onChange={(e) => updateDomain(index, { relaxCsp: e.target.checked })}
+                />
+              </td>
+              {permissionTypes.map(permission => (
+                <td key={permission}>
+                  <input
+                    type="checkbox"
+                    checked={(entry.permissions || []).includes(permission)}
+                    onChange={() => togglePermission(index, permission)}
+                  />
+                </td>
+              ))}
+              <td>
+                <button className="security-remove" onClick={() => removeDomain(index)}>×</button>
+              </td>
+            </tr>
+          ))}
+          {domains.length === 0 && (
+            <tr>
+              <td colSpan={permissionTypes.length + 4} className="security-empty">
+                No trusted domains
+              </td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+
+      <div className="security-add">
+        <input
+          type="text"
+          value={newDomain}
+          onChange={(e) => setNewDomain(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addDomain()}
+          placeholder="Domain, e.g. app.fieldnation.com"
+        />
+        <button onClick={addDomain}>Add Domain</button>
+      </div>
+
+      <div className="security-log-header">
+        <h4>Blocked Actions ({blocked.length})</h4>
+        <button onClick={handleClearLog} disabled={blocked.length === 0}>Clear</button>
+      </div>
+      {blocked.length === 0 ? (
+        <div className="security-empty">Nothing has been blocked since the app started.</div>
+      ) : (
+        <ul className="security-log">
+          {blocked.map((entry, index) => (
+            <li key={`${entry.at}-${index}`}>
+              <span className="security-log-time">{formatTime(entry.at)}</span>
+              <span className={`security-log-type ${entry.type}`}>{entry.type}</span>
+              <span className="security-log-detail">{entry.detail}</span>
+              <span className="security-log-url" title={entry.url}>{entry.url}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default SecurityPolicyEditor;
@@ -0,0 +1,122 @@
+import React, { useState, useEffect } from 'react';
+import './SnapshotSettings.css';
+import api, { getErrorMessage } from '../api';
+
+const FORMAT_LABELS = {
+  MHTML: 'Single file (MHTML)',
+  HTMLComplete: 'HTML page with an assets folder'
+};
+
+const SCREENSHOT_MODE_LABELS = {
+  viewport: 'Visible area only',
+  fullPage: 'Full scrolled page'
+};
+
+// Turn offline snapshots and screenshots of loaded pages on or off; changes
+// apply straight away
+const SnapshotSettings = () => {
+  const [settings, setSettings] = useState({ enabled: false, format: 'MHTML' });
+  const [screenshotSettings, setScreenshotSettings] = useState({ enabled: false, mode: 'viewport' });
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    api.snapshots.getSettings()
+      .then(saved => {
+        if (saved) setSettings(saved);
+      })
+      .catch(e => console.error('Error loading snapshot settings:', e));
+
+    api.screenshots.getSettings()
+      .then(saved => {
+        if (saved) setScreenshotSettings(saved);
+      })
+      .catch(e => console.error('Error loading screenshot settings:', e));
+  }, []);
+
+  const updateSettings = async (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    setError('');
+    try {
+      await api.snapshots.setSettings(next);
+    } catch (e) {
+      setError(getErrorMessage(e));
+    }
+  };
+
+  const updateScreenshotSettings = async (changes) => {
+    const next = { ...screenshotSettings, ...changes };
+    setScreenshotSettings(next);
+    setError('');
+    try {
+      await api.screenshots.setSettings(next);
+    } catch (e) {
+      setError(getErrorMessage(e));
+    }
+  };
+
+  return (
+    <div className="snapshot-settings">
+      <h3>Offline Snapshots</h3>
+      <p className="snapshot-help">
+        Keep a dated copy of every page the browser finishes loading, so you can see what a work order said
+        even after it changes, is removed, or you are logged out. Open them from the History tab.
+      </p>
+
+      <label className="snapshot-option">
+        <input
+          type="checkbox"
+          checked={settings.enabled}
+          onChange={(e) => updateSettings({ enabled: e.target.checked })}
+        />
+        Save a snapshot of each loaded page
+      </label>
+
+      <label className="snapshot-option">
+        Format
+        <select
+          value={settings.format}
+          onChange={(e) => updateSettings({ format: e.target.value })}
+          disabled={!settings.enabled}
+        >
+          {Object.entries(FORMAT_LABELS).map(([format, label]) => (
+            <option key={format} value={format}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      <h4>Screenshots</h4>
+      <p className="snapshot-help">
+        A screenshot of each loaded page is kept with its history entry and shown in the History gallery.
+        Only the tab in view is captured, and only the latest screenshot of each URL is kept; a visible area
+        screenshot takes a few hundred KB on disk, a full page one can take several MB.
+      </p>
+
+      <label className="snapshot-option">
+        <input
+          type="checkbox"
+          checked={screenshotSettings.enabled}
+          onChange={(e) => updateScreenshotSettings({ enabled: e.target.checked })}
+        />
+        Capture a screenshot of each loaded page
+      </label>
+
+      <label className="snapshot-option">
+        Capture
+        <select
+          value={screenshotSettings.mode}
+          onChange={(e) => updateScreenshotSettings({ mode: e.target.value })}
+          disabled={!screenshotSettings.enabled}
+        >
+          {Object.entries(SCREENSHOT_MODE_LABELS).map(([mode, label]) => (
+            <option key={mode} value={mode}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      {error && <div className="snapshot-error">{error}</div>}
+    </div>
+  );
+};
+
+export default SnapshotSettings;
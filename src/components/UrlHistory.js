@@ -1,66 +1,67 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import './UrlHistory.css';
+import { buildCalendar } from '../utils/ics';
+import api, { isElectron, getErrorMessage } from '../api';
 
-// Safely access Electron API
-const electronAPI = (() => {
-  try {
-    if (window.require) {
-      const { ipcRenderer } = window.require('electron');
-      return { ipcRenderer };
-    }
-  } catch (e) {
-    console.log("Running outside of Electron environment");
-  }
-  // Return mock implementations when not in Electron
-  return {
-    ipcRenderer: {
-      invoke: async () => {
-        console.log('Mock invoke: get-opened-urls');
-        return []; // Return empty array in web browser mode
-      },
-      send: (channel, data) => console.log(`Mock IPC send: ${channel}`, data)
-    }
-  };
-})();
+// Number of history entries shown per page
+const PAGE_SIZE = 50;
+
+// Sort options offered in the history view, mapped to store queries
+const SORT_OPTIONS = {
+  newest: { sortBy: 'timestamp', sortOrder: 'desc' },
+  oldest: { sortBy: 'timestamp', sortOrder: 'asc' },
+  mostVisited: { sortBy: 'visitCount', sortOrder: 'desc' },
+  url: { sortBy: 'url', sortOrder: 'asc' }
+};
 
 const UrlHistory = ({ onOpenUrl }) => {
   const [urlHistory, setUrlHistory] = useState([]);
+  const [totalEntries, setTotalEntries] = useState(0);
   const [searchTerm, setSearchTerm] = useState('');
   const [sortOrder, setSortOrder] = useState('newest');
+  const [page, setPage] = useState(0);
   const [isLoading, setIsLoading] = useState(true);
+  const [selected, setSelected] = useState({}); // entry id -> entry, kept across pages
+  const [exportMessage, setExportMessage] = useState('');
+  const [view, setView] = useState('table'); // 'table' | 'gallery'
+  const [thumbnails, setThumbnails] = useState({}); // url -> image data URL
+  const [preview, setPreview] = useState(null); // { url, image } shown on hover
+  const fullImages = useRef(new Map()); // url + capture time -> image data URL
+  const hoveredUrl = useRef(null);
   
-  // Check if we're running in Electron
-  const isElectron = (() => {
-    try {
-      return !!window.require;
-    } catch (e) {
-      return false;
-    }
-  })();
-
   useEffect(() => {
-    // Load URL history from electron store
+    // Load URL history from the main process store
     const loadHistory = async () => {
       try {
         setIsLoading(true);
         
         if (isElectron) {
-          const history = await electronAPI.ipcRenderer.invoke('get-opened-urls');
-          setUrlHistory(history || []);
+          const result = await api.history.list({
+            search: searchTerm,
+            ...SORT_OPTIONS[sortOrder],
+            offset: page * PAGE_SIZE,
+            limit: PAGE_SIZE
+          });
+          setUrlHistory((result && result.entries) || []);
+          setTotalEntries((result && result.total) || 0);
         } else {
           // In browser mode, we'll use some sample data
-          setUrlHistory([
+          const sampleHistory = [
             {
               url: 'https://app.fieldnation.com/workorders/sample1',
               timestamp: new Date().toISOString(),
-              batchId: 1
+              batchId: 1,
+              visitCount: 1
             },
             {
               url: 'https://app.fieldnation.com/workorders/sample2',
               timestamp: new Date(Date.now() - 3600000).toISOString(),
-              batchId: 1
+              batchId: 1,
+              visitCount: 2
             }
-          ]);
+          ];
+          setUrlHistory(sampleHistory);
+          setTotalEntries(sampleHistory.length);
           
           // Short delay to simulate loading
           await new Promise(resolve => setTimeout(resolve, 500));
@@ -73,22 +74,26 @@ const UrlHistory = ({ onOpenUrl }) => {
     };
 
     loadHistory();
-  }, [isElectron]);
-
-  // Filter and sort the URL history
-  const filteredAndSortedHistory = urlHistory
-    .filter(item => 
-      item.url.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      (item.batchId && item.batchId.toString().includes(searchTerm))
-    )
-    .sort((a, b) => {
-      const dateA = new Date(a.timestamp);
-      const dateB = new Date(b.timestamp);
-      
-      return sortOrder === 'newest' 
-        ? dateB - dateA 
-        : dateA - dateB;
-    });
+  }, [searchTerm, sortOrder, page]);
+
+  // Load the thumbnails of the entries on this page for the gallery
+  useEffect(() => {
+    if (view !== 'gallery' || !isElectron) return;
+    const urls = urlHistory.filter(item => item.screenshot).map(item => item.url);
+    if (urls.length === 0) return;
+
+    let cancelled = false;
+    api.screenshots.getThumbnails(urls)
+      .then(result => {
+        if (!cancelled && result) setThumbnails(result);
+      })
+      .catch(error => console.error('Failed to load thumbnails:', error));
+    return () => {
+      cancelled = true;
+    };
+  }, [view, urlHistory]);
+
+  const totalPages = Math.max(1, Math.ceil(totalEntries / PAGE_SIZE));
 
   // Format the date for display
   const formatDate = (dateString) => {
@@ -106,11 +111,70 @@ const UrlHistory = ({ onOpenUrl }) => {
   // Handle search input change
   const handleSearchChange = (e) => {
     setSearchTerm(e.target.value);
+    setPage(0);
   };
 
   // Handle sort order change
   const handleSortChange = (e) => {
     setSortOrder(e.target.value);
+    setPage(0);
+  };
+
+  const getEntryKey = (item) => item.id || item.url;
+  const selectedCount = Object.keys(selected).length;
+  const isPageSelected = urlHistory.length > 0 && urlHistory.every(item => selected[getEntryKey(item)]);
+
+  const toggleSelected = (item) => {
+    setSelected(prev => {
+      const next = { ...prev };
+      if (next[getEntryKey(item)]) {
+        delete next[getEntryKey(item)];
+      } else {
+        next[getEntryKey(item)] = item;
+      }
+      return next;
+    });
+  };
+
+  const togglePageSelected = () => {
+    setSelected(prev => {
+      const next = { ...prev };
+      urlHistory.forEach(item => {
+        if (isPageSelected) {
+          delete next[getEntryKey(item)];
+        } else {
+          next[getEntryKey(item)] = item;
+        }
+      });
+      return next;
+    });
+  };
+
+  // Export the schedules of the selected work orders as calendar events
+  const handleExportCalendar = async () => {
+    const { ics, exported, skipped } = buildCalendar(Object.values(selected));
+    if (exported === 0) {
+      setExportMessage('None of the selected work orders has a schedule date to export.');
+      return;
+    }
+
+    try {
+      const result = await api.files.saveExport({
+        title: 'Export to Calendar',
+        defaultName: `work-orders-${new Date().toISOString().slice(0, 10)}.ics`,
+        content: ics,
+        filters: [{ name: 'iCalendar Files', extensions: ['ics'] }]
+      });
+      if (result && result.filePath) {
+        setExportMessage(
+          `Exported ${exported} events to ${result.filePath}` +
+          (skipped.length > 0 ? ` (${skipped.length} without a schedule skipped)` : '')
+        );
+      }
+    } catch (error) {
+      console.error('Calendar export failed:', error);
+      setExportMessage(`Calendar export failed: ${getErrorMessage(error)}`);
+    }
   };
 
   // Handle open URL in embedded browser
@@ -120,13 +184,49 @@ const UrlHistory = ({ onOpenUrl }) => {
       onOpenUrl(url);
     } else if (isElectron) {
       // Fallback to opening in Electron (should be disabled by main process)
-      electronAPI.ipcRenderer.send('open-external', url);
+      api.windows.openExternal(url);
     } else {
       // Fallback for browser mode - will be a popup, but this is just for dev mode
       window.open(url, '_blank');
     }
   };
 
+  // Show the full-size screenshot of a gallery card while it is hovered
+  const handlePreviewStart = async (item) => {
+    hoveredUrl.current = item.url;
+    if (!item.screenshot) return;
+
+    const key = `${item.url} ${item.screenshot.capturedAt}`;
+    let image = fullImages.current.get(key);
+    if (!image) {
+      try {
+        image = await api.screenshots.getImage(item.url);
+      } catch (error) {
+        console.error('Failed to load screenshot:', error);
+      }
+      if (!image) return;
+      fullImages.current.set(key, image);
+    }
+    if (hoveredUrl.current === item.url) {
+      setPreview({ url: item.url, image });
+    }
+  };
+
+  const handlePreviewEnd = () => {
+    hoveredUrl.current = null;
+    setPreview(null);
+  };
+
+  // Open an archived copy of the page in a read-only window
+  const handleViewSnapshot = async (url, savedAt) => {
+    try {
+      await api.snapshots.open(url, savedAt);
+    } catch (error) {
+      console.error('Could not open snapshot:', error);
+      setExportMessage(`Could not open snapshot: ${getErrorMessage(error)}`);
+    }
+  };
+
   return (
     <div className="url-history">
       {!isElectron && (
@@ -150,6 +250,23 @@ const UrlHistory = ({ onOpenUrl }) => {
             />
           </div>
           
+          <div className="view-toggle">
+            <button
+              className={view === 'table' ? 'active' : ''}
+              onClick={() => setView('table')}
+              title="Show as a table"
+            >
+              ☰ Table
+            </button>
+            <button
+              className={view === 'gallery' ? 'active' : ''}
+              onClick={() => setView('gallery')}
+              title="Show screenshots as a gallery"
+            >
+              ▦ Gallery
+            </button>
+          </div>
+
           <div className="sort-container">
             <select 
               value={sortOrder} 
@@ -158,35 +275,124 @@ const UrlHistory = ({ onOpenUrl }) => {
             >
               <option value="newest">Newest First</option>
               <option value="oldest">Oldest First</option>
+              <option value="mostVisited">Most Visited</option>
+              <option value="url">URL (A-Z)</option>
             </select>
           </div>
+          
+          <button
+            className="calendar-export-button"
+            onClick={handleExportCalendar}
+            disabled={selectedCount === 0}
+            title="Export the schedules of the selected work orders as an .ics file"
+          >
+            Export to Calendar ({selectedCount})
+          </button>
+          {selectedCount > 0 && (
+            <button className="clear-selection-button" onClick={() => setSelected({})}>
+              Clear Selection
+            </button>
+          )}
         </div>
       </div>
       
+      {exportMessage && (
+        <div className="export-message">{exportMessage}</div>
+      )}
+      
       {isLoading ? (
         <div className="loading-message">Loading history...</div>
-      ) : filteredAndSortedHistory.length === 0 ? (
+      ) : urlHistory.length === 0 ? (
         <div className="empty-message">
           {searchTerm ? 'No matching URLs found.' : 'No URL history available.'}
         </div>
+      ) : view === 'gallery' ? (
+        <div className="history-gallery">
+          {urlHistory.map((item, index) => (
+            <div
+              key={item.id || index}
+              className={`gallery-card ${selected[getEntryKey(item)] ? 'selected' : ''}`}
+              onMouseEnter={() => handlePreviewStart(item)}
+              onMouseLeave={handlePreviewEnd}
+            >
+              <button
+                className="gallery-thumbnail"
+                onClick={() => handleOpenUrl(item.url)}
+                title="Open in embedded browser"
+              >
+                {thumbnails[item.url] ? (
+                  <img src={thumbnails[item.url]} alt="" />
+                ) : (
+                  <span className="gallery-placeholder">No screenshot</span>
+                )}
+              </button>
+              <div className="gallery-info">
+                <input
+                  type="checkbox"
+                  checked={!!selected[getEntryKey(item)]}
+                  onChange={() => toggleSelected(item)}
+                />
+                <div className="gallery-text">
+                  <div className="gallery-title" title={item.url}>
+                    {(item.fields && item.fields.title) || item.url}
+                  </div>
+                  <div className="gallery-meta">
+                    {formatDate(item.timestamp)} · Batch {item.batchId || 'N/A'}
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {preview && (
+            <div className="gallery-preview">
+              <img src={preview.image} alt={`Screenshot of ${preview.url}`} />
+            </div>
+          )}
+        </div>
       ) : (
         <div className="history-list">
           <table className="history-table">
             <thead>
               <tr>
+                <th className="select-cell">
+                  <input
+                    type="checkbox"
+                    checked={isPageSelected}
+                    onChange={togglePageSelected}
+                    title="Select all on this page"
+                  />
+                </th>
                 <th>URL</th>
                 <th>Batch</th>
-                <th>Date & Time</th>
+                <th>Visits</th>
+                <th>Last Opened</th>
                 <th>Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredAndSortedHistory.map((item, index) => (
-                <tr key={index} className="history-item">
+              {urlHistory.map((item, index) => (
+                <tr key={item.id || index} className={`history-item ${selected[getEntryKey(item)] ? 'selected' : ''}`}>
+                  <td className="select-cell">
+                    <input
+                      type="checkbox"
+                      checked={!!selected[getEntryKey(item)]}
+                      onChange={() => toggleSelected(item)}
+                    />
+                  </td>
                   <td className="url-cell">
                     <div className="url-text">{item.url}</div>
+                    {item.downloads && item.downloads.length > 0 && (
+                      <div
+                        className="url-downloads"
+                        title={item.downloads.map(download => download.path).join('\n')}
+                      >
+                        📎 {item.downloads.length} {item.downloads.length === 1 ? 'attachment' : 'attachments'}
+                      </div>
+                    )}
                   </td>
                   <td className="batch-cell">{item.batchId || 'N/A'}</td>
+                  <td className="visits-cell">{item.visitCount || 1}</td>
                   <td className="timestamp-cell">{formatDate(item.timestamp)}</td>
                   <td className="actions-cell">
                     <button 
@@ -196,6 +402,30 @@ const UrlHistory = ({ onOpenUrl }) => {
                     >
                       🔍
                     </button>
+                    {item.snapshots && item.snapshots.length === 1 && (
+                      <button
+                        className="action-button"
+                        onClick={() => handleViewSnapshot(item.url, item.snapshots[0].savedAt)}
+                        title={`View snapshot from ${formatDate(item.snapshots[0].savedAt)}`}
+                      >
+                        🗄️
+                      </button>
+                    )}
+                    {item.snapshots && item.snapshots.length > 1 && (
+                      <select
+                        className="snapshot-select"
+                        value=""
+                        onChange={(e) => e.target.value && handleViewSnapshot(item.url, e.target.value)}
+                        title="View a snapshot"
+                      >
+                        <option value="">🗄️ {item.snapshots.length}</option>
+                        {[...item.snapshots].reverse().map(snapshot => (
+                          <option key={snapshot.savedAt} value={snapshot.savedAt}>
+                            {formatDate(snapshot.savedAt)}
+                          </option>
+                        ))}
+                      </select>
+                    )}
                   </td>
                 </tr>
               ))}
@@ -203,6 +433,28 @@ const UrlHistory = ({ onOpenUrl }) => {
           </table>
         </div>
       )}
+      
+      {totalEntries > PAGE_SIZE && (
+        <div className="history-pagination">
+          <button
+            className="page-button"
+            onClick={() => setPage(page - 1)}
+            disabled={page === 0 || isLoading}
+          >
+            Previous
+          </button>
+          <span className="page-info">
+            Page {page + 1} of {totalPages} ({totalEntries} URLs)
+          </span>
+          <button
+            className="page-button"
+            onClick={() => setPage(page + 1)}
+            disabled={page + 1 >= totalPages || isLoading}
+          >
+            Next
+          </button>
+        </div>
+      )}
     </div>
   );
 };
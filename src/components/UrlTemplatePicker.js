@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import './UrlTemplatePicker.css';
+import { validateTemplate, expandTemplate } from '../utils/urlTemplates';
+
+const EXAMPLE_ID = '123456';
+
+// Choose, add, edit and remove the named templates used to expand bare IDs
+const UrlTemplatePicker = ({ templates, activeId, onSelect, onChange, disabled }) => {
+  const [isManaging, setIsManaging] = useState(false);
+  const [draftName, setDraftName] = useState('');
+  const [draftPattern, setDraftPattern] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const activeTemplate = templates.find(template => template.id === activeId) || templates[0];
+
+  const resetDraft = () => {
+    setDraftName('');
+    setDraftPattern('');
+    setEditingId(null);
+    setError('');
+  };
+
+  const handleEdit = (template) => {
+    setDraftName(template.name);
+    setDraftPattern(template.pattern);
+    setEditingId(template.id);
+    setError('');
+  };
+
+  const handleSave = () => {
+    const name = draftName.trim();
+    const pattern = draftPattern.trim();
+    const problem = !name ? 'Give the template a name' : validateTemplate(pattern);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+
+    if (editingId) {
+      onChange(templates.map(template =>
+        template.id === editingId ? { ...template, name, pattern } : template
+      ));
+    } else {
+      const id = `template-${Date.now()}`;
+      onChange([...templates, { id, name, pattern }]);
+      onSelect(id);
+    }
+    resetDraft();
+  };
+
+  const handleDelete = (id) => {
+    const remaining = templates.filter(template => template.id !== id);
+    onChange(remaining);
+    if (id === activeId && remaining.length > 0) {
+      onSelect(remaining[0].id);
+    }
+    if (id === editingId) {
+      resetDraft();
+    }
+  };
+
+  return (
+    <div className="url-template-picker">
+      <div className="template-row">
+        <label htmlFor="urlTemplate">URL template for IDs</label>
+        <select
+          id="urlTemplate"
+          value={activeTemplate ? activeTemplate.id : ''}
+          onChange={(e) => onSelect(e.target.value)}
+          disabled={disabled || templates.length === 0}
+        >
+          {templates.length === 0 && <option value="">No templates</option>}
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+        <button
+          className="template-manage-button"
+          onClick={() => { setIsManaging(!isManaging); resetDraft(); }}
+          disabled={disabled}
+        >
+          {isManaging ? 'Done' : 'Manage'}
+        </button>
+      </div>
+      {activeTemplate && (
+        <div className="template-preview">
+          {EXAMPLE_ID} → {expandTemplate(activeTemplate.pattern, EXAMPLE_ID)}
+        </div>
+      )}
+
+      {isManaging && (
+        <div className="template-manager">
+          <ul className="template-list">
+            {templates.map(template => (
+              <li key={template.id} className={template.id === editingId ? 'editing' : ''}>
+                <span className="template-name">{template.name}</span>
+                <span className="template-pattern" title={template.pattern}>{template.pattern}</span>
+                <button onClick={() => handleEdit(template)}>Edit</button>
+                <button onClick={() => handleDelete(template.id)}>Delete</button>
+              </li>
+            ))}
+          </ul>
+
+          <div className="template-form">
+            <input
+              type="text"
+              value={draftName}
+              onChange={(e) => setDraftName(e.target.value)}
+              placeholder="Name, e.g. Work order page"
+            />
+            <input
+              type="text"
+              value={draftPattern}
+              onChange={(e) => setDraftPattern(e.target.value)}
+              placeholder="https://app.fieldnation.com/workorders/{id}"
+            />
+            <button className="template-save-button" onClick={handleSave}>
+              {editingId ? 'Save' : 'Add'}
+            </button>
+            {editingId && <button onClick={resetDraft}>Cancel</button>}
+          </div>
+          {error && <div className="template-error">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default UrlTemplatePicker;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import './ValidationReport.css';
+
+const STATUS_LABELS = {
+  valid: 'Valid',
+  duplicate: 'Duplicate',
+  rejected: 'Rejected'
+};
+
+const FILTERS = ['problems', 'all', 'valid', 'duplicate', 'rejected'];
+
+// A line needs attention when it was not taken as-is
+const needsAttention = (line) => line.status !== 'valid' || !!line.reason;
+
+const ValidationReport = ({ lines, urlCount, onFix, disabled }) => {
+  const [filter, setFilter] = useState('problems');
+
+  if (lines.length === 0) return null;
+
+  const counts = lines.reduce((totals, line) => ({
+    ...totals,
+    [line.status]: (totals[line.status] || 0) + 1
+  }), {});
+  const fixableLines = lines.filter(line => line.fix);
+
+  const visibleLines = lines.filter(line => {
+    if (filter === 'all') return true;
+    if (filter === 'problems') return needsAttention(line);
+    return line.status === filter;
+  });
+
+  return (
+    <div className="validation-report">
+      <div className="report-header">
+        <div className="report-counts">
+          <span className="report-count valid">{urlCount} URLs</span>
+          <span className="report-count duplicate">{counts.duplicate || 0} duplicate</span>
+          <span className="report-count rejected">{counts.rejected || 0} rejected</span>
+        </div>
+        <div className="report-actions">
+          <select value={filter} onChange={(e) => setFilter(e.target.value)}>
+            {FILTERS.map(value => (
+              <option key={value} value={value}>
+                {value === 'problems' ? 'Needs attention' : value === 'all' ? 'All lines' : STATUS_LABELS[value]}
+              </option>
+            ))}
+          </select>
+          <button
+            className="report-fix-all"
+            onClick={() => onFix(fixableLines)}
+            disabled={disabled || fixableLines.length === 0}
+          >
+            Fix all ({fixableLines.length})
+          </button>
+        </div>
+      </div>
+
+      {visibleLines.length === 0 ? (
+        <div className="report-empty">Nothing to show</div>
+      ) : (
+        <ul className="report-lines">
+          {visibleLines.map(line => (
+            <li key={line.lineNumber} className={`report-line ${line.status}`}>
+              <span className="report-line-number">{line.lineNumber}</span>
+              <span className="report-line-status">{STATUS_LABELS[line.status]}</span>
+              <span className="report-line-text" title={line.text}>
+                {line.text}
+                {line.reason && <span className="report-line-reason">{line.reason}</span>}
+              </span>
+              {line.fix && (
+                <button
+                  className="report-fix"
+                  onClick={() => onFix([line])}
+                  disabled={disabled}
+                  title={line.fix.replacement === null ? 'Remove this line' : `Replace with:\n${line.fix.replacement}`}
+                >
+                  {line.fix.label}
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ValidationReport;
@@ -0,0 +1,214 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import './WatchList.css';
+import api, { getErrorMessage } from '../api';
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : 'Never');
+
+const WatchList = ({ onOpenUrl, highlightId }) => {
+  const [items, setItems] = useState([]);
+  const [settings, setSettings] = useState(null);
+  const [newUrl, setNewUrl] = useState('');
+  const [newInterval, setNewInterval] = useState('');
+  const [expandedId, setExpandedId] = useState(highlightId || null);
+  const [checkingId, setCheckingId] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadWatchList = useCallback(async () => {
+    try {
+      const result = await api.watch.list();
+      if (result) {
+        setItems(result.items);
+        setSettings(result.settings);
+      }
+    } catch (e) {
+      console.error('Error loading watch list:', e);
+    }
+  }, []);
+
+  // Reload whenever the main process reports a check or change
+  useEffect(() => {
+    loadWatchList();
+    return api.watch.onUpdated(() => loadWatchList());
+  }, [loadWatchList]);
+
+  useEffect(() => {
+    if (highlightId) setExpandedId(highlightId);
+  }, [highlightId]);
+
+  const run = async (action) => {
+    setError('');
+    try {
+      await action();
+    } catch (e) {
+      setError(getErrorMessage(e));
+    }
+  };
+
+  const handleAdd = () => run(async () => {
+    await api.watch.add({
+      url: newUrl.trim(),
+      intervalMinutes: newInterval ? Number(newInterval) : undefined
+    });
+    setNewUrl('');
+    setNewInterval('');
+  });
+
+  const handleCheckNow = (id) => run(async () => {
+    setCheckingId(id);
+    try {
+      await api.watch.checkNow(id);
+    } finally {
+      setCheckingId(null);
+    }
+  });
+
+  const updateItem = (id, changes) => run(() => api.watch.update(id, changes));
+
+  const updateSettings = (changes) => run(async () => {
+    const saved = await api.watch.setSettings(changes);
+    if (saved) setSettings(saved);
+  });
+
+  const renderDiff = (diff) => (
+    <ul className="watch-diff">
+      {diff.map((item, index) => (
+        item.field ? (
+          <li key={index}>
+            <strong>{item.field}</strong>: <del>{item.before || '(empty)'}</del> → <ins>{item.after || '(empty)'}</ins>
+          </li>
+        ) : (
+          <li key={index} className={item.type}>
+            {item.type === 'added' ? '+ ' : '- '}{item.line}
+          </li>
+        )
+      ))}
+    </ul>
+  );
+
+  return (
+    <div className="watch-list">
+      <div className="watch-header">
+        <h2>Watch List</h2>
+        <div className="watch-add">
+          <input
+            type="text"
+            value={newUrl}
+            onChange={(e) => setNewUrl(e.target.value)}
+            placeholder="https://app.fieldnation.com/workorders/123456"
+          />
+          <input
+            type="number"
+            min="1"
+            value={newInterval}
+            onChange={(e) => setNewInterval(e.target.value)}
+            placeholder={settings ? `${settings.defaultIntervalMinutes} min` : 'min'}
+            title="Check interval in minutes"
+          />
+          <button onClick={handleAdd} disabled={!newUrl.trim()}>Watch URL</button>
+        </div>
+      </div>
+
+      {settings && (
+        <div className="watch-settings">
+          <label>
+            <input
+              type="checkbox"
+              checked={settings.quietHours.enabled}
+              onChange={(e) => updateSettings({ quietHours: { ...settings.quietHours, enabled: e.target.checked } })}
+            />
+            Quiet hours from
+          </label>
+          <input
+            type="time"
+            value={settings.quietHours.start}
+            onChange={(e) => updateSettings({ quietHours: { ...settings.quietHours, start: e.target.value } })}
+          />
+          <span>to</span>
+          <input
+            type="time"
+            value={settings.quietHours.end}
+            onChange={(e) => updateSettings({ quietHours: { ...settings.quietHours, end: e.target.value } })}
+          />
+          <label>
+            At most one check per domain every
+            <input
+              type="number"
+              min="0"
+              value={settings.domainRateLimitSeconds}
+              onChange={(e) => updateSettings({ domainRateLimitSeconds: Math.max(0, Number(e.target.value) || 0) })}
+            />
+            seconds
+          </label>
+          <label>
+            <input
+              type="checkbox"
+              checked={settings.desktopNotifications}
+              onChange={(e) => updateSettings({ desktopNotifications: e.target.checked })}
+            />
+            Desktop notifications
+          </label>
+        </div>
+      )}
+
+      {error && <div className="watch-error">{error}</div>}
+
+      {items.length === 0 ? (
+        <div className="watch-empty">
+          No watched URLs yet. Add one above or use Watch in the Review panel.
+        </div>
+      ) : (
+        <ul className="watch-items">
+          {items.map(item => (
+            <li key={item.id} className={`watch-item ${item.paused ? 'paused' : ''} ${item.id === highlightId ? 'highlight' : ''}`}>
+              <div className="watch-item-row">
+                <button className="watch-item-url" onClick={() => onOpenUrl(item.url)} title="Open in embedded browser">
+                  {item.fields && item.fields.title ? item.fields.title : item.url}
+                </button>
+                <span className="watch-item-meta">
+                  Every
+                  <input
+                    type="number"
+                    min="1"
+                    value={item.intervalMinutes}
+                    onChange={(e) => updateItem(item.id, { intervalMinutes: Number(e.target.value) })}
+                  />
+                  min · checked {formatDate(item.lastCheckedAt)}
+                </span>
+                <button onClick={() => handleCheckNow(item.id)} disabled={checkingId !== null}>
+                  {checkingId === item.id ? 'Checking...' : 'Check Now'}
+                </button>
+                <button onClick={() => updateItem(item.id, { paused: !item.paused })}>
+                  {item.paused ? 'Resume' : 'Pause'}
+                </button>
+                <button onClick={() => setExpandedId(expandedId === item.id ? null : item.id)}>
+                  Changes ({item.changes.length})
+                </button>
+                <button onClick={() => run(() => api.watch.remove(item.id))}>
+                  Remove
+                </button>
+              </div>
+              {item.lastError && <div className="watch-item-error">Last check failed: {item.lastError}</div>}
+
+              {expandedId === item.id && (
+                <div className="watch-changes">
+                  {item.changes.length === 0 ? (
+                    <div className="watch-empty">No changes seen since {formatDate(item.addedAt)}</div>
+                  ) : (
+                    item.changes.map(change => (
+                      <div key={change.at} className="watch-change">
+                        <div className="watch-change-time">{formatDate(change.at)}</div>
+                        {renderDiff(change.diff)}
+                      </div>
+                    ))
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WatchList;
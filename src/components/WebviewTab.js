@@ -0,0 +1,470 @@
+import React, { useState, useEffect, useRef, useCallback, forwardRef, useImperativeHandle } from 'react';
+import api, { isElectron } from '../api';
+
+// A page that keeps crashing is reloaded this many times within
+// CRASH_WINDOW_MS before giving up
+const MAX_CRASH_RELOADS = 3;
+const CRASH_WINDOW_MS = 60000;
+
+// Delay before screenshotting a tab that loaded while hidden and is now shown
+const SCREENSHOT_SHOW_DELAY_MS = 500;
+
+/**
+ * A single webview inside the embedded browser.
+ *
+ * Each tab owns its webview and reports its title, loading and history state
+ * back to the EmbeddedBrowser through `onStateChange(tabId, changes)`. The
+ * browser drives navigation through the imperative handle.
+ */
+const WebviewTab = forwardRef(({ tabId, initialUrl, batchId, partition, isActive, getMetadata, onStateChange, onNavigate, onLoadFinish, onLoadFail, onExtract }, ref) => {
+  // The src attribute is only used for the first load; later navigation goes through loadURL
+  const [initialSrc] = useState(initialUrl);
+  const webviewRef = useRef(null);
+  const [isWebviewReady, setIsWebviewReady] = useState(false);
+  const [authInProgress, setAuthInProgress] = useState(false);
+  // Hidden tabs render nothing to capture, so their screenshot waits until
+  // they are shown
+  const isActiveRef = useRef(isActive);
+  const pendingScreenshotRef = useRef(null);
+
+  const report = useCallback((changes) => {
+    if (onStateChange) {
+      onStateChange(tabId, changes);
+    }
+  }, [tabId, onStateChange]);
+
+  useImperativeHandle(ref, () => ({
+    // Returns false when the webview cannot navigate yet
+    loadURL: (url) => {
+      if (webviewRef.current && isWebviewReady && webviewRef.current.loadURL) {
+        try {
+          webviewRef.current.loadURL(url);
+          report({ url });
+          return true;
+        } catch (e) {
+          console.error("Error loading URL:", e);
+        }
+      }
+      return false;
+    },
+    goBack: () => {
+      if (webviewRef.current && webviewRef.current.goBack) {
+        webviewRef.current.goBack();
+      }
+    },
+    goForward: () => {
+      if (webviewRef.current && webviewRef.current.goForward) {
+        webviewRef.current.goForward();
+      }
+    },
+    reload: () => {
+      if (webviewRef.current && webviewRef.current.reload) {
+        webviewRef.current.reload();
+      }
+    },
+    getWebview: () => (isWebviewReady ? webviewRef.current : null)
+  }), [isWebviewReady, report]);
+
+  useEffect(() => {
+    isActiveRef.current = isActive;
+    const webview = webviewRef.current;
+    const pendingUrl = pendingScreenshotRef.current;
+    if (!isActive || !pendingUrl || !webview || !isWebviewReady) return;
+
+    pendingScreenshotRef.current = null;
+    if (webview.getURL() !== pendingUrl) return;
+
+    // Give the tab a moment to paint after it is shown
+    const timer = setTimeout(() => {
+      api.pages.captureScreenshot(webview.getWebContentsId(), pendingUrl)
+        .catch(error => console.error('Error capturing screenshot:', error));
+    }, SCREENSHOT_SHOW_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [isActive, isWebviewReady]);
+
+  // Handle auth redirects from main process
+  useEffect(() => {
+    // Only set up in Electron environment, and only the visible tab follows redirects
+    if (!isElectron || !isActive) return;
+    
+    const handleAuthRedirect = (redirectUrl) => {
+      console.log('Auth redirect received:', redirectUrl);
+      setAuthInProgress(true);
+      
+      // Load the auth redirect URL in our webview
+      if (webviewRef.current && isWebviewReady && webviewRef.current.loadURL) {
+        try {
+          webviewRef.current.loadURL(redirectUrl);
+          report({ url: redirectUrl });
+        } catch (e) {
+          console.error("Error loading redirect URL:", e);
+        }
+      }
+    };
+    
+    // Listen for auth redirect messages, and stop listening on clean up
+    return api.pages.onAuthRedirect(handleAuthRedirect);
+  }, [isActive, isWebviewReady, report]);
+
+  useEffect(() => {
+    if (!isElectron) return;
+
+    // Wait for the webview to be ready
+    const webview = webviewRef.current;
+    if (!webview) return;
+    
+    const handleWebviewReady = () => {
+      console.log("Webview is ready");
+      setIsWebviewReady(true);
+      
+      // Configure webview for better OAuth handling
+      try {
+        webview.executeJavaScript(`
+          try {
+            // Ensure third-party cookies are enabled
+            document.cookie = "thirdPartyCookiesEnabled=1; SameSite=None; Secure";
+            
+            // Configure localStorage for better auth persistence
+            localStorage.setItem('authEnabled', 'true');
+            
+            console.log("Cookie and session settings configured");
+          } catch(e) {
+            console.error("Error configuring cookies:", e);
+          }
+        `);
+      } catch (e) {
+        console.error("Error configuring webview:", e);
+      }
+    };
+    
+    webview.addEventListener('dom-ready', handleWebviewReady, { once: true });
+    
+    return () => {
+      webview.removeEventListener('dom-ready', handleWebviewReady);
+    };
+  }, []);
+  
+  // Setup webview event listeners after it's ready
+  useEffect(() => {
+    if (!isElectron || !isWebviewReady) return;
+    
+    const webview = webviewRef.current;
+    if (!webview || !webview.addEventListener) return;
+
+    const handleDidStartLoading = () => {
+      report({ isLoading: true });
+    };
+
+    const handleDidStopLoading = () => {
+      report({ isLoading: false });
+      
+      // Check for auth-related redirects by looking at the final URL
+      const finalUrl = webview.getURL();
+      if (authInProgress && (
+        finalUrl.includes('callback') || 
+        finalUrl.includes('token') || 
+        finalUrl.includes('auth') ||
+        finalUrl.includes('code') ||
+        finalUrl.includes('access_token')
+      )) {
+        console.log('Potential OAuth callback URL:', finalUrl);
+        
+        // Try to extract tokens or authorization codes from the URL
+        try {
+          const urlObj = new URL(finalUrl);
+          const params = new URLSearchParams(urlObj.search);
+          const hashParams = new URLSearchParams(urlObj.hash ? urlObj.hash.substring(1) : '');
+          
+          // Log potential auth tokens for debugging
+          if (params.get('code') || params.get('token') || 
+              params.get('access_token') || hashParams.get('access_token')) {
+            console.log('Auth token detected in URL');
+            // Signal that auth was successful
+            setAuthInProgress(false);
+          }
+        } catch (e) {
+          console.error('Error parsing auth URL:', e);
+        }
+      }
+      
+      // Log the URL opening with timestamp and the columns it was imported with
+      const timestamp = new Date().toISOString();
+      const openedUrl = webview.getURL();
+      api.history.logOpened({
+        url: openedUrl, 
+        timestamp, 
+        batchId,
+        metadata: getMetadata ? (getMetadata(openedUrl) || getMetadata(initialSrc)) : undefined
+      });
+      
+      // Let the parent know the page is done (used by auto-play)
+      if (onLoadFinish) {
+        onLoadFinish(tabId, webview.getURL());
+      }
+    };
+
+    const handleDidFinishLoad = () => {
+      report({
+        title: webview.getTitle(),
+        canGoBack: webview.canGoBack(),
+        canGoForward: webview.canGoForward(),
+        url: webview.getURL()
+      });
+      
+      // Notify parent component about navigation
+      if (onNavigate) {
+        onNavigate(tabId, webview.getURL());
+      }
+      
+      // Run the extraction rules for this page; the main process stores the
+      // fields on the history entry. Afterwards an offline snapshot and a
+      // screenshot are saved if they are turned on; the screenshot only once
+      // the tab is in view.
+      const loadedUrl = webview.getURL();
+      if (webview.getWebContentsId && /^https?:/i.test(loadedUrl)) {
+        const webContentsId = webview.getWebContentsId();
+        api.pages.extractFields(webContentsId, loadedUrl)
+          .then(result => {
+            if (result && onExtract) onExtract(tabId, loadedUrl, result);
+          })
+          .catch(error => console.error('Error extracting fields:', error))
+          .then(() => api.pages.saveSnapshot(webContentsId, loadedUrl))
+          .catch(error => console.error('Error saving snapshot:', error))
+          .then(() => {
+            if (isActiveRef.current) return api.pages.captureScreenshot(webContentsId, loadedUrl);
+            pendingScreenshotRef.current = loadedUrl;
+            return null;
+          })
+          .catch(error => console.error('Error capturing screenshot:', error));
+      }
+      
+      // Inject script to handle redirects and authentication
+      try {
+        webview.executeJavaScript(`
+          if (!window._redirectHandlerInjected) {
+            window._redirectHandlerInjected = true;
+            
+            // Capture and log all redirects
+            (function() {
+              // Intercept window.open
+              const originalOpen = window.open;
+              window.open = function(url) {
+                console.log('Intercepted window.open:', url);
+                // Cancel the original open
+                return null;
+              };
+              
+              // Handle form submissions
+              document.addEventListener('submit', function(e) {
+                console.log('Form submission detected:', e.target.action);
+              });
+              
+              // Intercept fetch requests for potential auth flows
+              const originalFetch = window.fetch;
+              window.fetch = function(url, options) {
+                console.log('Fetch intercepted:', url);
+                return originalFetch(url, options);
+              };
+              
+              // Ensure localStorage is available for auth tokens
+              try {
+                localStorage.setItem('auth_test', 'true');
+                localStorage.removeItem('auth_test');
+              } catch (e) {
+                console.error('LocalStorage not available:', e);
+              }
+              
+              // Monitor for OAuth-related objects in window
+              const checkForAuthObjects = () => {
+                if (window.token || window.accessToken || window.OAuth) {
+                  console.log('Auth object detected in window');
+                }
+              };
+              setTimeout(checkForAuthObjects, 1000);
+              
+              // Monitor URL changes that might indicate auth callbacks
+              let lastUrl = location.href;
+              const urlObserver = setInterval(() => {
+                if (location.href !== lastUrl) {
+                  console.log('URL changed:', location.href);
+                  lastUrl = location.href;
+                  
+                  // Check for auth-related parameters
+                  if (location.href.includes('token=') || 
+                      location.href.includes('code=') ||
+                      location.href.includes('access_token=')) {
+                    console.log('Auth parameter detected in URL change');
+                  }
+                }
+              }, 500);
+            })();
+            
+            console.log('Enhanced redirect and auth handler injected');
+          }
+        `);
+      } catch (e) {
+        console.error("Error injecting script:", e);
+      }
+    };
+
+    const handleWillNavigate = (e) => {
+      console.log('Will navigate to:', e.url);
+      report({ url: e.url });
+      
+      // Check if this is an OAuth-related URL
+      if (e.url.includes('oauth') || 
+          e.url.includes('auth') || 
+          e.url.includes('login') ||
+          e.url.includes('sso')) {
+        console.log('Navigating to potential auth URL');
+        setAuthInProgress(true);
+      }
+    };
+
+    const handleNewWindow = (e) => {
+      // Prevent default behavior
+      e.preventDefault();
+      
+      const url = e.url;
+      console.log('New window requested for URL:', url);
+      
+      // Check if it's an auth/login URL
+      if (url.includes('auth') || 
+          url.includes('login') || 
+          url.includes('sso') || 
+          url.includes('oauth') ||
+          url.includes('callback')) {
+        console.log('Auth URL detected in new window request');
+        setAuthInProgress(true);
+        
+        // Load the auth URL in our current webview
+        if (webview.loadURL) {
+          try {
+            webview.loadURL(url);
+            report({ url });
+          } catch (e) {
+            console.error("Error loading new window URL:", e);
+          }
+        }
+      }
+    };
+    
+    const handleConsoleMessage = (e) => {
+      console.log('Webview console:', e.message);
+    };
+    
+    // Add event listeners
+    webview.addEventListener('did-start-loading', handleDidStartLoading);
+    webview.addEventListener('did-stop-loading', handleDidStopLoading);
+    webview.addEventListener('did-finish-load', handleDidFinishLoad);
+    webview.addEventListener('will-navigate', handleWillNavigate);
+    webview.addEventListener('new-window', handleNewWindow);
+    webview.addEventListener('console-message', handleConsoleMessage);
+
+    return () => {
+      webview.removeEventListener('did-start-loading', handleDidStartLoading);
+      webview.removeEventListener('did-stop-loading', handleDidStopLoading);
+      webview.removeEventListener('did-finish-load', handleDidFinishLoad);
+      webview.removeEventListener('will-navigate', handleWillNavigate);
+      webview.removeEventListener('new-window', handleNewWindow);
+      webview.removeEventListener('console-message', handleConsoleMessage);
+    };
+  }, [tabId, batchId, initialSrc, report, getMetadata, onNavigate, onLoadFinish, onExtract, isWebviewReady, authInProgress]);
+
+  // Add a new event handler for loading errors
+  useEffect(() => {
+    if (!isElectron || !isWebviewReady) return;
+    
+    const webview = webviewRef.current;
+    if (!webview || !webview.addEventListener) return;
+    
+    const handleLoadFailed = (e) => {
+      console.log('Webview load failed:', e.errorCode, e.errorDescription, e.validatedURL);
+      
+      // For authentication-related errors, these are often temporary during redirects
+      if (authInProgress) {
+        console.log('Auth in progress, ignoring load error');
+        return;
+      }
+      
+      // For other errors, we might want to show a message to the user
+      if (e.errorCode !== -3) { // -3 is ERR_ABORTED which is common during redirects
+        report({ title: `Error loading page: ${e.errorDescription}` });
+        
+        if (onLoadFail && e.isMainFrame !== false) {
+          onLoadFail(tabId, {
+            url: e.validatedURL,
+            errorCode: e.errorCode,
+            errorDescription: e.errorDescription
+          });
+        }
+      }
+    };
+    
+    // Add event listener for load errors
+    webview.addEventListener('did-fail-load', handleLoadFailed);
+    
+    return () => {
+      webview.removeEventListener('did-fail-load', handleLoadFailed);
+    };
+  }, [tabId, report, isWebviewReady, authInProgress, onLoadFail]);
+
+  // Reload the page automatically when its renderer crashes
+  useEffect(() => {
+    if (!isElectron || !isWebviewReady) return;
+
+    const webview = webviewRef.current;
+    if (!webview || !webview.addEventListener) return;
+
+    let crashTimes = [];
+    let reloadTimer = null;
+
+    const handleCrash = (e) => {
+      const reason = (e.details && e.details.reason) || e.reason || 'crashed';
+      console.log('Webview render process gone:', reason);
+      if (reason === 'clean-exit') return;
+
+      const now = Date.now();
+      crashTimes = [...crashTimes.filter(time => now - time < CRASH_WINDOW_MS), now];
+      if (crashTimes.length > MAX_CRASH_RELOADS) {
+        report({ isLoading: false, title: 'This page keeps crashing' });
+        if (onLoadFail) {
+          onLoadFail(tabId, { url: webview.getURL(), errorCode: 0, errorDescription: `Page crashed (${reason})` });
+        }
+        return;
+      }
+
+      report({ title: 'Page crashed, reloading...' });
+      reloadTimer = setTimeout(() => {
+        try {
+          webview.reload();
+        } catch (error) {
+          console.error('Error reloading crashed page:', error);
+        }
+      }, 1000);
+    };
+
+    webview.addEventListener('render-process-gone', handleCrash);
+
+    return () => {
+      clearTimeout(reloadTimer);
+      webview.removeEventListener('render-process-gone', handleCrash);
+    };
+  }, [tabId, report, isWebviewReady, onLoadFail]);
+
+  return (
+    <webview
+      ref={webviewRef}
+      src={initialSrc}
+      className={`webview ${isActive ? 'active' : 'hidden'}`}
+      partition={partition || 'persist:authSession'}
+      webpreferences="javascript=yes, plugins=yes, nodeIntegration=no, webviewTag=no, contextIsolation=yes"
+      allowpopups="true"
+      nodeintegration="false"
+      plugins="true"
+      httpreferrer="https://app.fieldnation.com/"
+    />
+  );
+});
+
+export default WebviewTab;
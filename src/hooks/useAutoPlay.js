@@ -0,0 +1,200 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { getBatchUrls, getTotalBatches } from '../utils/batches';
+import { isLoginUrl } from '../utils/urls';
+
+// How often the countdown is refreshed, in milliseconds
+const TICK_INTERVAL = 100;
+
+/**
+ * Auto-advance through every URL of every batch.
+ *
+ * After each page finishes loading the hook waits `tabDelay` seconds before
+ * opening the next URL of the batch, and `batchDelay` seconds before moving
+ * on to the next batch. The caller owns the current position and performs
+ * the actual navigation through `onNavigate(batchNum, index, url)`, and
+ * reports page loads back through `handlePageLoaded` / `handlePageFailed`.
+ */
+const useAutoPlay = ({ urls, batchSize, tabDelay, batchDelay, currentBatch, currentIndex, currentUrl, onNavigate }) => {
+  const [playState, setPlayState] = useState('stopped'); // 'stopped' | 'playing' | 'paused'
+  const [phase, setPhase] = useState(null); // 'loading' | 'tab-delay' | 'batch-delay'
+  const [remaining, setRemaining] = useState(0);
+  const [message, setMessage] = useState('');
+  const [pauseOnProblem, setPauseOnProblem] = useState(true);
+
+  // Mutable copies of the state above so timers and webview events never
+  // act on stale values
+  const playStateRef = useRef('stopped');
+  const phaseRef = useRef(null);
+  const countdownRef = useRef(null); // { endsAt, remainingMs, action }
+  const latest = useRef({});
+  latest.current = { urls, batchSize, tabDelay, batchDelay, currentBatch, currentIndex, currentUrl, onNavigate, pauseOnProblem };
+
+  const updatePlayState = (value) => {
+    playStateRef.current = value;
+    setPlayState(value);
+  };
+
+  const updatePhase = (value) => {
+    phaseRef.current = value;
+    setPhase(value);
+  };
+
+  const goTo = useCallback((batchNum, index) => {
+    const { urls: allUrls, batchSize: size, onNavigate: navigate } = latest.current;
+    const url = getBatchUrls(allUrls, size, batchNum)[index];
+    countdownRef.current = null;
+    updatePhase('loading');
+    setRemaining(0);
+    setMessage(`Loading URL ${index + 1} of batch ${batchNum}`);
+    if (navigate) navigate(batchNum, index, url);
+  }, []);
+
+  const startCountdown = useCallback((seconds, action) => {
+    const remainingMs = Math.max(0, seconds * 1000);
+    countdownRef.current = {
+      endsAt: playStateRef.current === 'playing' ? Date.now() + remainingMs : null,
+      remainingMs,
+      action
+    };
+    updatePhase(action === 'next-batch' ? 'batch-delay' : 'tab-delay');
+    setRemaining(remainingMs / 1000);
+  }, []);
+
+  const stop = useCallback((finalMessage = '') => {
+    countdownRef.current = null;
+    updatePlayState('stopped');
+    updatePhase(null);
+    setRemaining(0);
+    setMessage(finalMessage);
+  }, []);
+
+  // Move to the next URL, or wait before the next batch when this one is done
+  const advance = useCallback(() => {
+    const { urls: allUrls, batchSize: size, batchDelay: delay, currentBatch: batchNum, currentIndex: index } = latest.current;
+    const batchUrls = getBatchUrls(allUrls, size, batchNum);
+
+    if (index + 1 < batchUrls.length) {
+      goTo(batchNum, index + 1);
+    } else if (batchNum < getTotalBatches(allUrls, size)) {
+      setMessage(`Batch ${batchNum} complete`);
+      startCountdown(delay, 'next-batch');
+    } else {
+      stop('Finished all batches');
+    }
+  }, [goTo, startCountdown, stop]);
+
+  const runAction = useCallback((action) => {
+    countdownRef.current = null;
+    if (action === 'next-batch') {
+      goTo(latest.current.currentBatch + 1, 0);
+    } else {
+      advance();
+    }
+  }, [advance, goTo]);
+
+  // Tick the countdown while playing
+  useEffect(() => {
+    if (playState !== 'playing') return;
+
+    const interval = setInterval(() => {
+      const countdown = countdownRef.current;
+      if (!countdown || countdown.endsAt === null) return;
+
+      const left = countdown.endsAt - Date.now();
+      if (left <= 0) {
+        runAction(countdown.action);
+      } else {
+        setRemaining(left / 1000);
+      }
+    }, TICK_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [playState, runAction]);
+
+  const pause = useCallback((reason = 'Paused') => {
+    if (playStateRef.current !== 'playing') return;
+
+    const countdown = countdownRef.current;
+    if (countdown && countdown.endsAt !== null) {
+      countdown.remainingMs = Math.max(0, countdown.endsAt - Date.now());
+      countdown.endsAt = null;
+    }
+    updatePlayState('paused');
+    setMessage(reason);
+  }, []);
+
+  const play = useCallback(() => {
+    if (playStateRef.current === 'playing') return;
+
+    if (playStateRef.current === 'paused') {
+      updatePlayState('playing');
+      const countdown = countdownRef.current;
+      if (countdown) {
+        countdown.endsAt = Date.now() + countdown.remainingMs;
+      }
+      setMessage('');
+      return;
+    }
+
+    const { urls: allUrls, batchSize: size, tabDelay: delay, currentBatch: batchNum, currentIndex: index, currentUrl: shownUrl } = latest.current;
+    const batchUrls = getBatchUrls(allUrls, size, batchNum);
+    if (batchUrls.length === 0) {
+      setMessage('No URLs to play');
+      return;
+    }
+
+    updatePlayState('playing');
+    const startIndex = Math.min(index, batchUrls.length - 1);
+    if (shownUrl && shownUrl === batchUrls[startIndex]) {
+      // The page is already showing, just wait before moving on
+      setMessage('');
+      startCountdown(delay, 'advance');
+    } else {
+      goTo(batchNum, startIndex);
+    }
+  }, [goTo, startCountdown]);
+
+  const skip = useCallback(() => {
+    if (playStateRef.current === 'stopped') return;
+
+    const countdown = countdownRef.current;
+    runAction(countdown ? countdown.action : 'advance');
+  }, [runAction]);
+
+  // Called by the embedded browser when a page has finished loading
+  const handlePageLoaded = useCallback((url) => {
+    if (playStateRef.current === 'stopped' || phaseRef.current !== 'loading') return;
+
+    if (playStateRef.current === 'playing' && latest.current.pauseOnProblem && isLoginUrl(url)) {
+      pause('Paused: the page redirected to a login screen');
+    }
+    startCountdown(latest.current.tabDelay, 'advance');
+  }, [pause, startCountdown]);
+
+  // Called by the embedded browser when a page failed to load
+  const handlePageFailed = useCallback((error) => {
+    if (playStateRef.current !== 'playing' || phaseRef.current !== 'loading') return;
+
+    if (latest.current.pauseOnProblem) {
+      pause(`Paused: page failed to load (${(error && error.errorDescription) || 'unknown error'})`);
+    }
+    startCountdown(latest.current.tabDelay, 'advance');
+  }, [pause, startCountdown]);
+
+  return {
+    playState,
+    phase,
+    remaining,
+    message,
+    pauseOnProblem,
+    setPauseOnProblem,
+    play,
+    pause,
+    stop,
+    skip,
+    handlePageLoaded,
+    handlePageFailed
+  };
+};
+
+export default useAutoPlay;
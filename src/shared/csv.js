@@ -0,0 +1,20 @@
+// CSV writing shared by the renderer (through src/utils/csv.js) and the main
+// process, so it stays plain CommonJS without browser or Node APIs.
+
+/**
+ * Quote a value for a CSV cell when it contains a delimiter, quote or newline
+ */
+function escapeCsvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialise rows (arrays of values) as CSV text
+ */
+function toCsv(rows) {
+  return rows.map(row => row.map(escapeCsvValue).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { escapeCsvValue, toCsv };
@@ -0,0 +1,39 @@
+// Work order URL helpers shared by the renderer and the main process, so it
+// stays plain CommonJS without browser or Node APIs.
+
+// Field Nation work order URLs look like https://app.fieldnation.com/workorders/123456
+const WORK_ORDER_ID_PATTERN = /\/workorders?\/(\d+)/i;
+
+/**
+ * Extract the work order ID from a URL, or null if there isn't one
+ */
+function getWorkOrderId(pageUrl) {
+  if (!pageUrl) return null;
+  const match = String(pageUrl).match(WORK_ORDER_ID_PATTERN);
+  return match ? match[1] : null;
+}
+
+/**
+ * Key under which a URL's history entry and review are stored, so the URL
+ * from the queue and the one the page ends up on after redirects match. Work
+ * order pages are keyed by host and work order ID; other pages by host, path
+ * and query, ignoring the scheme, the fragment and a trailing slash.
+ */
+function getUrlKey(pageUrl) {
+  if (!pageUrl) return '';
+
+  let parsed;
+  try {
+    parsed = new URL(pageUrl);
+  } catch (error) {
+    return String(pageUrl);
+  }
+
+  const workOrderId = getWorkOrderId(parsed.pathname);
+  if (workOrderId) {
+    return `${parsed.host}/workorders/${workOrderId}`;
+  }
+  return `${parsed.host}${parsed.pathname.replace(/\/+$/, '')}${parsed.search}`;
+}
+
+module.exports = { getWorkOrderId, getUrlKey };
@@ -0,0 +1,11 @@
+// Helpers for splitting the loaded URL list into numbered batches (1-based)
+
+export const getTotalBatches = (urls, batchSize) => {
+  return Math.ceil(urls.length / batchSize);
+};
+
+export const getBatchUrls = (urls, batchSize, batchNum) => {
+  const startIndex = (batchNum - 1) * batchSize;
+  const endIndex = Math.min(startIndex + batchSize, urls.length);
+  return urls.slice(startIndex, endIndex);
+};
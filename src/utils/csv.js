@@ -0,0 +1,102 @@
+// RFC 4180 style parsing of CSV and other delimited text files
+import { escapeCsvValue, toCsv } from '../shared/csv';
+
+const CANDIDATE_DELIMITERS = [',', '\t', ';', '|'];
+
+/**
+ * Guess the delimiter from the first record by counting candidates outside
+ * quoted fields. Falls back to a comma.
+ */
+export const detectDelimiter = (text) => {
+  const counts = {};
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && CANDIDATE_DELIMITERS.includes(char)) {
+      counts[char] = (counts[char] || 0) + 1;
+    }
+  }
+
+  return CANDIDATE_DELIMITERS.reduce(
+    (best, delimiter) => ((counts[delimiter] || 0) > (counts[best] || 0) ? delimiter : best),
+    ','
+  );
+};
+
+/**
+ * Parse delimited text into an array of rows, each an array of strings.
+ *
+ * Handles quoted fields containing delimiters, escaped quotes ("") and line
+ * breaks, CRLF / LF / CR line endings and a leading byte order mark. Blank
+ * lines are dropped.
+ */
+export const parseCsv = (text, { delimiter } = {}) => {
+  if (!text) return [];
+
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const separator = delimiter || detectDelimiter(input);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    // Skip blank lines rather than producing rows with one empty cell
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      endRow();
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+// Writing CSV lives in the module shared with the main process
+export { escapeCsvValue, toCsv };
@@ -0,0 +1,36 @@
+import { parseCsv, detectDelimiter, toCsv } from './csv';
+
+test('parses quoted fields containing commas, quotes and line breaks', () => {
+  const text = 'id,url,notes\n1,"https://example.com/a,b","He said ""hi""\nthen left"\n';
+  expect(parseCsv(text)).toEqual([
+    ['id', 'url', 'notes'],
+    ['1', 'https://example.com/a,b', 'He said "hi"\nthen left']
+  ]);
+});
+
+test('handles CRLF line endings, a byte order mark and blank lines', () => {
+  const text = '\uFEFFname,url\r\n\r\nA,https://example.com/1\r\nB,https://example.com/2';
+  expect(parseCsv(text)).toEqual([
+    ['name', 'url'],
+    ['A', 'https://example.com/1'],
+    ['B', 'https://example.com/2']
+  ]);
+});
+
+test('detects tab separated files', () => {
+  const text = 'title\turl\nFirst, second\thttps://example.com/1\n';
+  expect(detectDelimiter(text)).toBe('\t');
+  expect(parseCsv(text)).toEqual([
+    ['title', 'url'],
+    ['First, second', 'https://example.com/1']
+  ]);
+});
+
+test('keeps empty cells', () => {
+  expect(parseCsv('a,,c\n,,\n')).toEqual([['a', '', 'c'], ['', '', '']]);
+});
+
+test('writes CSV that parses back to the same rows', () => {
+  const rows = [['url', 'notes'], ['https://example.com/1', 'Call "Bob", then\nfollow up']];
+  expect(parseCsv(toCsv(rows))).toEqual(rows);
+});
@@ -0,0 +1,210 @@
+// iCalendar (.ics) export of work order schedules
+import { getReviewLabel } from './reviews';
+
+const PRODUCT_ID = '-//Field Nation Work Order Browser//Schedules//EN';
+const UID_DOMAIN = 'url-opener.local';
+
+// Extracted fields and import columns that may hold a service date
+const SCHEDULE_FIELDS = ['schedule', 'serviceDate', 'date', 'startDate'];
+const SCHEDULE_COLUMN_PATTERN = /(schedule|service date|date|start|window|arrival)/i;
+
+const HAS_TIME_PATTERN = /\d{1,2}:\d{2}|\b\d{1,2}\s*[ap]\.?m\b/i;
+const ISO_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+// Default length of an event whose schedule has a start time but no end
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+const pad = (number) => String(number).padStart(2, '0');
+
+// Read a date (and optional time) as local time, or null
+const parseLocalDateTime = (text) => {
+  const cleaned = text
+    .replace(/\b(mon|tue|wed|thu|fri|sat|sun)[a-z]*,?\s*/i, '')
+    .replace(/\s+at\s+/i, ' ')
+    .replace(/(\d)\s*([ap])\.?m\.?\b/i, '$1 $2M')
+    .trim();
+
+  // Date.parse reads bare ISO dates as UTC midnight, which would shift the day
+  const iso = cleaned.match(ISO_DATE_PATTERN);
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+  const time = Date.parse(cleaned);
+  return Number.isNaN(time) ? null : new Date(time);
+};
+
+/**
+ * Turn schedule text such as "3/4/2025 8:00 AM - 12:00 PM" or "2025-03-04"
+ * into { start, end, allDay }, or null when no date can be read
+ */
+export const parseScheduleWindow = (text) => {
+  if (!text) return null;
+  const [startText, endText] = String(text).split(/\s+(?:-|–|to)\s+/i);
+  const start = parseLocalDateTime(startText);
+  if (!start) return null;
+
+  if (!HAS_TIME_PATTERN.test(startText)) {
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1);
+    return { start, end, allDay: true };
+  }
+
+  let end = null;
+  if (endText) {
+    // An end given as just a time is on the same day as the start
+    end = /\d{1,2}[/.]\d{1,2}|\d{4}|[a-z]{3,}\s+\d/i.test(endText.replace(/\s*[ap]\.?m\.?/i, ''))
+      ? parseLocalDateTime(endText)
+      : parseLocalDateTime(`${start.toDateString()} ${endText}`);
+  }
+  if (!end || end <= start) {
+    end = new Date(start.getTime() + DEFAULT_DURATION_MS);
+  }
+  return { start, end, allDay: false };
+};
+
+/**
+ * Find the schedule of a history entry: extracted fields first, then the
+ * columns it was imported with
+ */
+export const findSchedule = (entry) => {
+  const fields = entry.fields || {};
+  const metadata = entry.metadata || {};
+  const candidates = [
+    ...SCHEDULE_FIELDS.map(name => fields[name]),
+    ...Object.keys(metadata).filter(column => SCHEDULE_COLUMN_PATTERN.test(column)).map(column => metadata[column])
+  ];
+
+  for (const candidate of candidates) {
+    const window = parseScheduleWindow(candidate);
+    if (window) return window;
+  }
+  return null;
+};
+
+// Work order IDs give readable UIDs; other URLs use a stable hash
+const hashString = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+};
+
+/**
+ * Stable UID for a work order so that re-importing the calendar updates the
+ * existing event rather than adding another one
+ */
+export const getEventUid = (entry) => {
+  const match = (entry.url || '').match(/\/workorders?\/(\d+)/i);
+  const id = (entry.fields && entry.fields.workOrderId) || (match && match[1]);
+  return id ? `workorder-${id}@${UID_DOMAIN}` : `url-${hashString(entry.url || '')}@${UID_DOMAIN}`;
+};
+
+export const escapeIcsText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+};
+
+const MAX_LINE_OCTETS = 75;
+
+const utf8Length = (char) => {
+  const codePoint = char.codePointAt(0);
+  if (codePoint < 0x80) return 1;
+  if (codePoint < 0x800) return 2;
+  return codePoint < 0x10000 ? 3 : 4;
+};
+
+// Lines longer than 75 UTF-8 octets are folded onto continuation lines,
+// never in the middle of a character
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const length = utf8Length(char);
+    if (octets + length > MAX_LINE_OCTETS) {
+      parts.push(current);
+      current = ' ';
+      octets = 1;
+    }
+    current += char;
+    octets += length;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+};
+
+const formatDate = (date) => `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`;
+
+// Floating local time: the event keeps the wall-clock time shown on the work order
+const formatLocalDateTime = (date) => `${formatDate(date)}T${pad(date.getHours())}${pad(date.getMinutes())}00`;
+
+const formatUtcDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+const buildDescription = (entry) => {
+  const fields = entry.fields || {};
+  const review = entry.review || {};
+  const lines = [entry.url];
+  if (fields.pay) lines.push(`Pay: ${fields.pay}`);
+  if (fields.company) lines.push(`Company: ${fields.company}`);
+  if (review.status) lines.push(`Status: ${getReviewLabel(review)}`);
+  if (review.notes) lines.push('', review.notes);
+  return lines.join('\n');
+};
+
+/**
+ * Build an iCalendar file from history entries. Entries without a readable
+ * schedule are skipped. Returns { ics, exported, skipped }.
+ */
+export const buildCalendar = (entries, { now = new Date() } = {}) => {
+  const stamp = formatUtcDateTime(now);
+  // Calendar apps replace an event with a higher SEQUENCE; seconds since the
+  // epoch always increase between exports without having to store a counter
+  const sequence = Math.floor(now.getTime() / 1000);
+  const events = [];
+  const skipped = [];
+
+  entries.forEach(entry => {
+    const schedule = findSchedule(entry);
+    if (!schedule) {
+      skipped.push(entry);
+      return;
+    }
+
+    const fields = entry.fields || {};
+    const title = fields.title || `Work order ${fields.workOrderId || entry.url}`;
+    const lines = [
+      'BEGIN:VEVENT',
+      `UID:${getEventUid(entry)}`,
+      `DTSTAMP:${stamp}`,
+      `LAST-MODIFIED:${stamp}`,
+      `SEQUENCE:${sequence}`,
+      schedule.allDay
+        ? `DTSTART;VALUE=DATE:${formatDate(schedule.start)}`
+        : `DTSTART:${formatLocalDateTime(schedule.start)}`,
+      schedule.allDay
+        ? `DTEND;VALUE=DATE:${formatDate(schedule.end)}`
+        : `DTEND:${formatLocalDateTime(schedule.end)}`,
+      `SUMMARY:${escapeIcsText(title)}`,
+      ...(fields.location ? [`LOCATION:${escapeIcsText(fields.location)}`] : []),
+      `DESCRIPTION:${escapeIcsText(buildDescription(entry))}`,
+      `URL:${entry.url}`,
+      'END:VEVENT'
+    ];
+    events.push(...lines);
+  });
+
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+
+  return { ics, exported: entries.length - skipped.length, skipped };
+};
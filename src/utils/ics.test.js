@@ -0,0 +1,58 @@
+import { parseScheduleWindow, buildCalendar, getEventUid } from './ics';
+
+test('reads schedule windows with and without times', () => {
+  const window = parseScheduleWindow('3/4/2025 8:00 AM - 12:30 PM');
+  expect(window.allDay).toBe(false);
+  expect(window.start).toEqual(new Date(2025, 2, 4, 8, 0));
+  expect(window.end).toEqual(new Date(2025, 2, 4, 12, 30));
+
+  expect(parseScheduleWindow('2025-03-04')).toEqual({
+    start: new Date(2025, 2, 4),
+    end: new Date(2025, 2, 5),
+    allDay: true
+  });
+  expect(parseScheduleWindow('As soon as possible')).toBeNull();
+});
+
+test('builds events with stable UIDs and skips entries without a schedule', () => {
+  const entries = [
+    {
+      url: 'https://app.fieldnation.com/workorders/123',
+      fields: { title: 'Install, configure; test', location: 'Denver, CO', schedule: 'Mar 4, 2025 9:00 AM' },
+      review: { status: 'interested', notes: 'Bring ladder' }
+    },
+    {
+      url: 'https://example.com/jobs/abc',
+      metadata: { 'Service Date': '2025-03-06' }
+    },
+    { url: 'https://app.fieldnation.com/workorders/456', fields: { title: 'No date' } }
+  ];
+
+  const first = buildCalendar(entries, { now: new Date('2025-03-01T00:00:00Z') });
+  const second = buildCalendar(entries, { now: new Date('2025-03-02T00:00:00Z') });
+
+  expect(first.exported).toBe(2);
+  expect(first.skipped).toHaveLength(1);
+  expect(first.ics).toContain('UID:workorder-123@url-opener.local');
+  expect(first.ics).toContain('SUMMARY:Install\\, configure\\; test');
+  expect(first.ics).toContain('DTSTART:20250304T090000');
+  expect(first.ics).toContain('DTSTART;VALUE=DATE:20250306');
+  expect(getEventUid(entries[1])).toBe(getEventUid({ url: 'https://example.com/jobs/abc' }));
+
+  const sequence = (ics) => Number(ics.match(/SEQUENCE:(\d+)/)[1]);
+  expect(sequence(second.ics)).toBeGreaterThan(sequence(first.ics));
+});
+
+test('folds long lines at 75 octets without splitting multibyte characters', () => {
+  const title = 'Réparation du câblage – étage 3 🔧 '.repeat(6).trim();
+  const { ics } = buildCalendar([
+    { url: 'https://app.fieldnation.com/workorders/789', fields: { title, schedule: '2025-03-04' } }
+  ]);
+
+  const octets = (line) => encodeURIComponent(line).replace(/%[0-9A-F]{2}/g, 'x').length;
+  const lines = ics.split('\r\n');
+  lines.forEach(line => expect(octets(line)).toBeLessThanOrEqual(75));
+
+  const unfolded = ics.replace(/\r\n /g, '');
+  expect(unfolded).toContain(`SUMMARY:${title}`);
+});
@@ -0,0 +1,87 @@
+// Turning imported spreadsheet rows into the app's URL list and per-URL metadata
+
+const URL_HEADER_PATTERN = /\b(url|link|href|address)\b/i;
+
+export const isHttpUrl = (value) => /^https?:\/\//i.test((value || '').trim());
+
+/**
+ * Column names for a table: the first row when it is a header, otherwise
+ * "Column 1", "Column 2"...
+ */
+export const getColumnNames = (rows, hasHeader) => {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  return Array.from({ length: width }, (_, i) => {
+    const name = hasHeader && rows[0] ? (rows[0][i] || '').trim() : '';
+    return name || `Column ${i + 1}`;
+  });
+};
+
+/**
+ * Read the URL held by a cell, preferring its hyperlink target when the cell
+ * is a link whose display text is something else.
+ */
+export const getCellUrl = (rows, links, r, c) => {
+  const target = links && links[r] ? links[r][c] : '';
+  if (isHttpUrl(target)) return target;
+  return rows[r] ? rows[r][c] : '';
+};
+
+/**
+ * Pick the column most likely to hold the URLs: one whose header looks like a
+ * URL column, otherwise the column with the most http(s) values.
+ */
+export const detectUrlColumn = (rows, hasHeader, links) => {
+  const firstDataRow = hasHeader ? 1 : 0;
+  const columnNames = getColumnNames(rows, hasHeader);
+
+  const urlCounts = columnNames.map((_, c) => {
+    let count = 0;
+    for (let r = firstDataRow; r < rows.length; r++) {
+      if (isHttpUrl(getCellUrl(rows, links, r, c))) count++;
+    }
+    return count;
+  });
+
+  if (hasHeader) {
+    const headerMatch = columnNames.findIndex((name, i) =>
+      URL_HEADER_PATTERN.test(name) && urlCounts[i] > 0
+    );
+    if (headerMatch !== -1) return headerMatch;
+  }
+
+  const best = urlCounts.reduce((bestIndex, count, i) => (count > urlCounts[bestIndex] ? i : bestIndex), 0);
+  return urlCounts[best] > 0 ? best : -1;
+};
+
+/**
+ * Collect the URLs from the chosen column along with the chosen metadata
+ * columns for each of them. Spreadsheet hyperlinks in `links` take precedence
+ * over the cell text.
+ */
+export const extractImportedUrls = (rows, { hasHeader, urlColumn, metadataColumns = [], links }) => {
+  const columnNames = getColumnNames(rows, hasHeader);
+  const firstDataRow = hasHeader ? 1 : 0;
+  const urls = [];
+  const metadata = {};
+  let skipped = 0;
+
+  for (let r = firstDataRow; r < rows.length; r++) {
+    const row = rows[r];
+    const url = (getCellUrl(rows, links, r, urlColumn) || '').trim();
+
+    if (!isHttpUrl(url)) {
+      skipped++;
+      continue;
+    }
+
+    urls.push(url);
+    if (metadataColumns.length > 0) {
+      metadata[url] = metadataColumns.reduce((fields, column) => ({
+        ...fields,
+        [columnNames[column]]: (row[column] || '').trim()
+      }), {});
+    }
+  }
+
+  return { urls, metadata, skipped };
+};
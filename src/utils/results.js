@@ -0,0 +1,189 @@
+// Filtering and sorting of the work order results table
+import { getReviewLabel } from './reviews';
+
+// Columns shown before any other extracted fields, in this order
+const PREFERRED_FIELDS = ['workOrderId', 'title', 'pay', 'location', 'schedule', 'company'];
+
+export const FILTER_OPERATORS = {
+  text: [
+    { value: 'contains', label: 'contains' },
+    { value: 'notContains', label: 'does not contain' },
+    { value: 'equals', label: 'is' },
+    { value: 'empty', label: 'is empty' }
+  ],
+  number: [
+    { value: 'gt', label: '>' },
+    { value: 'gte', label: '≥' },
+    { value: 'lt', label: '<' },
+    { value: 'lte', label: '≤' },
+    { value: 'eq', label: '=' },
+    { value: 'between', label: 'between' }
+  ],
+  date: [
+    { value: 'between', label: 'between' },
+    { value: 'after', label: 'on or after' },
+    { value: 'before', label: 'on or before' }
+  ]
+};
+
+/**
+ * Read a number out of text such as "$1,250.50" or "45 /hr"
+ */
+export const parseNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const match = String(value || '').replace(/,/g, '').match(/-?\d+(?:\.\d+)?/);
+  return match ? parseFloat(match[0]) : null;
+};
+
+/**
+ * Read a date out of text, returning a timestamp or null
+ */
+export const parseDate = (value) => {
+  if (!value) return null;
+  const text = String(value);
+  // Use only the first date of ranges such as "3/4/2025 8:00 AM - 5:00 PM"
+  const time = Date.parse(text.split(/\s[-–]\s|\bto\b/)[0].trim());
+  return Number.isNaN(time) ? null : time;
+};
+
+const formatColumnLabel = (name) => {
+  const words = name.replace(/([a-z])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ');
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+// Amounts such as "250", "$1,200.50" or "$45/hr"
+const NUMBER_TEXT = /^\s*[$€£]?\s*-?[\d,]+(?:\.\d+)?\s*(?:\/\s*(?:hr|hour)|per hour|hrs?)?\s*$/i;
+
+// A column is numeric or a date when most of its filled values parse as one
+const detectColumnType = (rows, key) => {
+  const values = [];
+  for (let i = 0; i < rows.length && values.length < 200; i++) {
+    if (rows[i].values[key]) values.push(rows[i].values[key]);
+  }
+  if (values.length === 0) return 'text';
+
+  const share = (parse) => values.filter(value => parse(value) !== null).length / values.length;
+  if (share(value => (NUMBER_TEXT.test(value) ? value : null)) > 0.8) return 'number';
+  if (share(parseDate) > 0.8) return 'date';
+  return 'text';
+};
+
+/**
+ * Turn history entries into table rows and work out the columns to show
+ */
+export const buildResults = (entries) => {
+  const rows = entries.map(entry => ({
+    id: entry.id,
+    url: entry.url,
+    values: {
+      ...entry.fields,
+      review: getReviewLabel(entry.review),
+      lastOpened: entry.timestamp
+    }
+  }));
+
+  const fieldNames = new Set();
+  entries.forEach(entry => Object.keys(entry.fields || {}).forEach(name => fieldNames.add(name)));
+  const orderedFields = [
+    ...PREFERRED_FIELDS.filter(name => fieldNames.has(name)),
+    ...[...fieldNames].filter(name => !PREFERRED_FIELDS.includes(name)).sort()
+  ];
+
+  const columns = [...orderedFields, 'review', 'lastOpened'].map(key => ({
+    key,
+    label: key === 'lastOpened' ? 'Last Opened' : formatColumnLabel(key),
+    type: key === 'lastOpened' ? 'date' : key === 'review' ? 'text' : detectColumnType(rows, key)
+  }));
+
+  return { rows, columns };
+};
+
+const matchesFilter = (row, filter, column) => {
+  const raw = row.values[filter.column];
+  const text = raw === undefined || raw === null ? '' : String(raw);
+
+  if (column.type === 'number') {
+    const number = parseNumber(text);
+    const value = parseNumber(filter.value);
+    const valueTo = parseNumber(filter.valueTo);
+    if (value === null && filter.operator !== 'between') return true;
+    if (number === null) return false;
+    switch (filter.operator) {
+      case 'gt': return number > value;
+      case 'gte': return number >= value;
+      case 'lt': return number < value;
+      case 'lte': return number <= value;
+      case 'eq': return number === value;
+      case 'between':
+        return (value === null || number >= value) && (valueTo === null || number <= valueTo);
+      default: return true;
+    }
+  }
+
+  if (column.type === 'date') {
+    const time = parseDate(text);
+    const from = parseDate(filter.value);
+    // Make "to" dates inclusive of the whole day
+    const to = parseDate(filter.operator === 'before' ? filter.value : filter.valueTo);
+    const toEnd = to === null ? null : to + 24 * 60 * 60 * 1000 - 1;
+    if (time === null) return from === null && toEnd === null;
+    switch (filter.operator) {
+      case 'after': return from === null || time >= from;
+      case 'before': return toEnd === null || time <= toEnd;
+      case 'between':
+        return (from === null || time >= from) && (toEnd === null || time <= toEnd);
+      default: return true;
+    }
+  }
+
+  const needle = (filter.value || '').toLowerCase();
+  const haystack = text.toLowerCase();
+  switch (filter.operator) {
+    case 'contains': return haystack.includes(needle);
+    case 'notContains': return !needle || !haystack.includes(needle);
+    case 'equals': return !needle || haystack === needle;
+    case 'empty': return !haystack;
+    default: return true;
+  }
+};
+
+/**
+ * Keep the rows matching every filter. Filters look like
+ * { column, operator, value, valueTo }; `search` matches any column or the URL.
+ */
+export const filterRows = (rows, columns, filters = [], search = '') => {
+  const columnsByKey = columns.reduce((map, column) => ({ ...map, [column.key]: column }), {});
+  const activeFilters = filters.filter(filter => columnsByKey[filter.column]);
+  const term = search.trim().toLowerCase();
+
+  return rows.filter(row => {
+    if (term && !row.url.toLowerCase().includes(term) &&
+        !Object.values(row.values).some(value => String(value || '').toLowerCase().includes(term))) {
+      return false;
+    }
+    return activeFilters.every(filter => matchesFilter(row, filter, columnsByKey[filter.column]));
+  });
+};
+
+/**
+ * Sort rows by a column, parsing numbers and dates; empty values always go last
+ */
+export const sortRows = (rows, column, direction = 'asc') => {
+  if (!column) return rows;
+
+  const parse = column.type === 'number' ? parseNumber
+    : column.type === 'date' ? parseDate
+    : (value) => (value ? String(value).toLowerCase() : null);
+  const factor = direction === 'desc' ? -1 : 1;
+
+  // Parse each value once rather than on every comparison
+  return rows
+    .map(row => ({ row, key: parse(row.values[column.key]) }))
+    .sort((a, b) => {
+      if (a.key === b.key) return 0;
+      if (a.key === null) return 1;
+      if (b.key === null) return -1;
+      return a.key > b.key ? factor : -factor;
+    })
+    .map(item => item.row);
+};
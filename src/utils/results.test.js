@@ -0,0 +1,32 @@
+import { buildResults, filterRows, sortRows, parseNumber } from './results';
+
+const entries = [
+  { id: '1', url: 'https://example.com/workorders/1', timestamp: '2025-03-01T10:00:00Z', fields: { workOrderId: '1', pay: '$250.00', location: 'Denver, CO', schedule: '2025-03-04' } },
+  { id: '2', url: 'https://example.com/workorders/2', timestamp: '2025-03-02T10:00:00Z', fields: { workOrderId: '2', pay: '$1,200.00', location: 'Austin, TX', schedule: '2025-03-10' } },
+  { id: '3', url: 'https://example.com/workorders/3', timestamp: '2025-03-03T10:00:00Z', fields: { workOrderId: '3', location: 'Denver, CO' }, review: { status: 'declined' } }
+];
+
+test('detects column types from the extracted values', () => {
+  const { columns } = buildResults(entries);
+  const types = columns.reduce((map, column) => ({ ...map, [column.key]: column.type }), {});
+  expect(types).toMatchObject({ pay: 'number', location: 'text', schedule: 'date', lastOpened: 'date' });
+  expect(parseNumber('$1,200.50 /hr')).toBe(1200.5);
+});
+
+test('combines number, date and text filters', () => {
+  const { rows, columns } = buildResults(entries);
+  const filtered = filterRows(rows, columns, [
+    { column: 'pay', operator: 'gt', value: '100' },
+    { column: 'schedule', operator: 'between', value: '2025-03-01', valueTo: '2025-03-05' },
+    { column: 'location', operator: 'contains', value: 'denver' }
+  ]);
+  expect(filtered.map(row => row.id)).toEqual(['1']);
+  expect(filterRows(rows, columns, [], 'declined').map(row => row.id)).toEqual(['3']);
+});
+
+test('sorts numbers numerically with empty values last', () => {
+  const { rows, columns } = buildResults(entries);
+  const pay = columns.find(column => column.key === 'pay');
+  expect(sortRows(rows, pay, 'desc').map(row => row.id)).toEqual(['2', '1', '3']);
+  expect(sortRows(rows, pay, 'asc').map(row => row.id)).toEqual(['1', '2', '3']);
+});
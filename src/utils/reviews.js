@@ -0,0 +1,77 @@
+// Review decisions recorded against work orders and the run export built from them
+import { toCsv } from './csv';
+import { getBatchUrls, getTotalBatches } from './batches';
+import { getUrlKey } from './urls';
+
+export const REVIEW_STATUSES = [
+  { value: 'interested', label: 'Interested' },
+  { value: 'requested', label: 'Requested' },
+  { value: 'declined', label: 'Declined' },
+  { value: 'follow-up', label: 'Follow up' }
+];
+
+export const CUSTOM_STATUS = 'custom';
+
+export const EMPTY_REVIEW = { status: '', customStatus: '', notes: '', followUpDate: '' };
+
+/**
+ * Human readable status of a review, including custom statuses
+ */
+export const getReviewLabel = (review) => {
+  if (!review || !review.status) return '';
+  if (review.status === CUSTOM_STATUS) return review.customStatus || 'Custom';
+  const known = REVIEW_STATUSES.find(status => status.value === review.status);
+  return known ? known.label : review.status;
+};
+
+/**
+ * One record per URL of the run: its position, the columns it was imported
+ * with and the review decision. `reviews` is keyed by getUrlKey.
+ */
+export const buildRunRecords = (urls, { batchSize, metadata = {}, reviews = {}, statuses = {} }) => {
+  const records = [];
+  for (let batchNum = 1; batchNum <= getTotalBatches(urls, batchSize); batchNum++) {
+    getBatchUrls(urls, batchSize, batchNum).forEach(url => {
+      const review = reviews[getUrlKey(url)] || {};
+      records.push({
+        url,
+        batch: batchNum,
+        viewStatus: statuses[url] || 'pending',
+        imported: metadata[url] || {},
+        reviewStatus: getReviewLabel(review),
+        notes: review.notes || '',
+        followUpDate: review.followUpDate || '',
+        reviewedAt: review.updatedAt || ''
+      });
+    });
+  }
+  return records;
+};
+
+export const runRecordsToJson = (records) => JSON.stringify(records, null, 2);
+
+// Flatten the records into CSV, one column per imported column
+export const runRecordsToCsv = (records) => {
+  const importedColumns = [];
+  records.forEach(record => {
+    Object.keys(record.imported).forEach(column => {
+      if (!importedColumns.includes(column)) importedColumns.push(column);
+    });
+  });
+
+  const header = [
+    'URL', 'Batch', 'View Status', ...importedColumns,
+    'Review Status', 'Notes', 'Follow-up Date', 'Reviewed At'
+  ];
+  const rows = records.map(record => [
+    record.url,
+    record.batch,
+    record.viewStatus,
+    ...importedColumns.map(column => record.imported[column] || ''),
+    record.reviewStatus,
+    record.notes,
+    record.followUpDate,
+    record.reviewedAt
+  ]);
+  return toCsv([header, ...rows]);
+};
@@ -0,0 +1,52 @@
+import * as XLSX from 'xlsx';
+
+// Spreadsheet formats read through SheetJS
+export const SPREADSHEET_EXTENSIONS = ['.xlsx', '.xlsm', '.xls', '.ods'];
+
+export const isSpreadsheetFile = (fileName) => {
+  const lowerName = fileName.toLowerCase();
+  return SPREADSHEET_EXTENSIONS.some(extension => lowerName.endsWith(extension));
+};
+
+/**
+ * Convert one worksheet into rows of display text, plus the hyperlink target
+ * of every linked cell at the same row/column position. Blank rows are dropped.
+ */
+const readSheet = (name, sheet) => {
+  const rows = [];
+  const links = [];
+  if (!sheet || !sheet['!ref']) {
+    return { name, rows, links };
+  }
+
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    const rowLinks = [];
+    let isBlank = true;
+
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      const cell = sheet[XLSX.utils.encode_cell({ r, c })];
+      const text = cell ? XLSX.utils.format_cell(cell).trim() : '';
+      const target = cell && cell.l && cell.l.Target ? cell.l.Target : '';
+      row.push(text);
+      rowLinks.push(target);
+      if (text || target) isBlank = false;
+    }
+
+    if (!isBlank) {
+      rows.push(row);
+      links.push(rowLinks);
+    }
+  }
+
+  return { name, rows, links };
+};
+
+/**
+ * Read an XLSX / XLS / ODS file into a list of sheets
+ */
+export const readWorkbook = (arrayBuffer) => {
+  const workbook = XLSX.read(arrayBuffer, { type: 'array', cellNF: true });
+  return workbook.SheetNames.map(name => readSheet(name, workbook.Sheets[name]));
+};
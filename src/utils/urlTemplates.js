@@ -0,0 +1,76 @@
+// Turning bare work order IDs into URLs through named URL templates
+
+export const ID_PLACEHOLDER = '{id}';
+
+export const DEFAULT_URL_TEMPLATES = [
+  { id: 'workorder', name: 'Work order', pattern: 'https://app.fieldnation.com/workorders/{id}' },
+  { id: 'messages', name: 'Work order messages', pattern: 'https://app.fieldnation.com/workorders/{id}/messages' }
+];
+
+// Largest range that is expanded, so a typo cannot produce millions of URLs
+export const MAX_RANGE_SIZE = 1000;
+
+// "123456", "#123456" or "WO-123456"
+const ID_TOKEN = /^(?:#|wo-?)?(\d{3,})$/i;
+
+// "123450-123460", "123450..123460" or "123450 to 123460"
+const RANGE_TOKEN = /^(?:#|wo-?)?(\d{3,})\s*(?:-|–|\.\.|to)\s*(?:#|wo-?)?(\d{3,})$/i;
+
+/**
+ * Check that a template is usable: an http(s) URL containing {id}
+ */
+export const validateTemplate = (pattern) => {
+  const text = (pattern || '').trim();
+  if (!text.includes(ID_PLACEHOLDER)) {
+    return `The template must contain ${ID_PLACEHOLDER}`;
+  }
+  if (!/^https?:\/\/[^/\s]+/i.test(text)) {
+    return 'The template must start with http:// or https://';
+  }
+  return '';
+};
+
+export const expandTemplate = (pattern, id) => {
+  return pattern.split(ID_PLACEHOLDER).join(encodeURIComponent(id));
+};
+
+/**
+ * Read a line made only of IDs and ranges, separated by commas, semicolons
+ * or whitespace. Returns { ids } or { error }, or null when the line is not
+ * an ID list at all.
+ */
+export const parseIdList = (line) => {
+  // Join the parts of ranges written with spaces so they stay one token
+  const text = (line || '').trim()
+    .replace(/\s*(-|–|\.\.)\s*/g, '$1')
+    .replace(/(\d)\s+to\s+(?=(?:#|wo-?)?\d)/gi, '$1..');
+  if (!text) return null;
+
+  const tokens = text.split(/[\s,;]+/).filter(token => token.length > 0);
+  const ids = [];
+
+  for (const token of tokens) {
+    const single = token.match(ID_TOKEN);
+    if (single) {
+      ids.push(single[1]);
+      continue;
+    }
+
+    const range = token.match(RANGE_TOKEN);
+    if (!range) return null;
+
+    const start = Number(range[1]);
+    const end = Number(range[2]);
+    if (end < start) {
+      return { error: `Range ${token} runs backwards` };
+    }
+    if (end - start + 1 > MAX_RANGE_SIZE) {
+      return { error: `Range ${token} is larger than ${MAX_RANGE_SIZE} IDs` };
+    }
+    for (let id = start; id <= end; id++) {
+      ids.push(String(id));
+    }
+  }
+
+  return { ids };
+};
@@ -0,0 +1,221 @@
+// Helpers for working with the work order URLs handled by the app
+import { parseIdList, expandTemplate } from './urlTemplates';
+import { getUrlKey } from '../shared/workOrder';
+
+// The key shared with the history store, so reviews and extracted fields of a
+// redirected page line up with the URL that was opened
+export { getUrlKey };
+
+// Pages that ask for credentials rather than showing a work order
+const LOGIN_URL_PATTERN = /(log-?in|sign-?in|\/auth\b|oauth|\/sso\b)/i;
+
+export const isLoginUrl = (url) => {
+  return !!url && LOGIN_URL_PATTERN.test(url);
+};
+
+// http(s) URLs, or bare www. hosts, anywhere in a piece of text
+const URL_IN_TEXT_PATTERN = /\b(?:https?:\/\/|www\.)[^\s<>"'`]+/gi;
+
+// Something that looks like a host and path but is missing its scheme
+const SCHEMELESS_URL_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?(\/\S*)?$/i;
+
+const TRAILING_PUNCTUATION = /[.,;:!?'"*]+$/;
+
+// Query parameters added by mail and ad trackers that never change the page
+const TRACKING_PARAMS = [
+  'fbclid', 'gclid', 'dclid', 'msclkid', 'yclid', 'igshid',
+  'mc_cid', 'mc_eid', '_hsenc', '_hsmi', 'mkt_tok'
+];
+
+const isTrackingParam = (name) => {
+  const lowerName = name.toLowerCase();
+  return lowerName.startsWith('utm_') || TRACKING_PARAMS.includes(lowerName);
+};
+
+// Remove closing brackets that are not part of the URL, e.g. "(see https://x/1)"
+const trimUnbalancedBrackets = (text) => {
+  const pairs = { ')': '(', ']': '[', '}': '{', '>': '<' };
+  let result = text;
+  let last = result[result.length - 1];
+  while (pairs[last]) {
+    const opens = result.split(pairs[last]).length - 1;
+    const closes = result.split(last).length - 1;
+    if (closes <= opens) break;
+    result = result.slice(0, -1).replace(TRAILING_PUNCTUATION, '');
+    last = result[result.length - 1];
+  }
+  return result;
+};
+
+/**
+ * Find every URL in a line of free text, e.g. a pasted email or note
+ */
+export const extractUrls = (text) => {
+  if (!text) return [];
+  return (text.match(URL_IN_TEXT_PATTERN) || [])
+    .map(match => trimUnbalancedBrackets(match.replace(TRAILING_PUNCTUATION, '')))
+    .filter(match => match.length > 0);
+};
+
+/**
+ * Normalise a URL: add a missing scheme, lowercase the host, drop default
+ * ports and tracking parameters. Returns null when it is not a valid http(s) URL.
+ */
+export const normalizeUrl = (rawUrl) => {
+  let text = (rawUrl || '').trim().replace(TRAILING_PUNCTUATION, '');
+  text = trimUnbalancedBrackets(text);
+  if (!/^https?:\/\//i.test(text)) {
+    text = `https://${text}`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(text);
+  } catch (e) {
+    return null;
+  }
+  if (!parsed.hostname || !parsed.hostname.includes('.')) {
+    return null;
+  }
+
+  [...parsed.searchParams.keys()]
+    .filter(isTrackingParam)
+    .forEach(name => parsed.searchParams.delete(name));
+
+  // A query emptied of tracking parameters leaves a bare "?" behind; setting
+  // search clears it without touching a "?" in the fragment
+  if (parsed.search === '') {
+    parsed.search = '';
+  }
+
+  // URL lowercases the scheme and host and drops default ports for us
+  return parsed.toString();
+};
+
+/**
+ * Check a line of input and explain what will happen to it.
+ *
+ * Lines made only of work order IDs and ranges (e.g. "123456, 123460-123465")
+ * are expanded through the URL `template`, which contains {id}.
+ *
+ * Every non-blank line is reported with a status of 'valid', 'duplicate' or
+ * 'rejected', the URLs it contributes, a human readable reason when it is not
+ * a plain valid URL, and a suggested fix: `replacement` is the text the line
+ * should become, or null to remove the line.
+ */
+export const analyzeUrlInput = (text, { template } = {}) => {
+  const seen = new Map(); // normalized URL -> line number where it first appeared
+  const urls = [];
+  const lines = [];
+
+  (text || '').split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    const lineNumber = index + 1;
+    if (!line) return;
+
+    let candidates = extractUrls(line);
+    let reason = '';
+
+    const idList = candidates.length === 0 ? parseIdList(line) : null;
+
+    if (idList) {
+      if (idList.error || !template) {
+        lines.push({
+          lineNumber,
+          text: line,
+          status: 'rejected',
+          urls: [],
+          reason: idList.error || 'Work order IDs need a URL template',
+          fix: idList.error ? { label: 'Remove line', replacement: null } : null
+        });
+        return;
+      }
+      candidates = idList.ids.map(id => expandTemplate(template, id));
+      reason = idList.ids.length === 1 ? 'Work order ID expanded' : `${idList.ids.length} work order IDs expanded`;
+    } else if (candidates.length === 0) {
+      if (SCHEMELESS_URL_PATTERN.test(line) && normalizeUrl(line)) {
+        candidates = [line];
+        reason = 'Missing https://';
+      } else {
+        lines.push({
+          lineNumber,
+          text: line,
+          status: 'rejected',
+          urls: [],
+          reason: 'No URL found',
+          fix: { label: 'Remove line', replacement: null }
+        });
+        return;
+      }
+    }
+
+    const normalized = candidates.map(normalizeUrl);
+    if (normalized.some(url => url === null)) {
+      lines.push({
+        lineNumber,
+        text: line,
+        status: 'rejected',
+        urls: [],
+        reason: 'Malformed URL',
+        fix: { label: 'Remove line', replacement: null }
+      });
+      return;
+    }
+
+    const newUrls = normalized.filter((url, i) => !seen.has(url) && normalized.indexOf(url) === i);
+    if (newUrls.length === 0) {
+      lines.push({
+        lineNumber,
+        text: line,
+        status: 'duplicate',
+        urls: [],
+        reason: `Duplicate of line ${seen.get(normalized[0])}`,
+        fix: { label: 'Remove line', replacement: null }
+      });
+      return;
+    }
+
+    newUrls.forEach(url => {
+      seen.set(url, lineNumber);
+      urls.push(url);
+    });
+
+    const cleanLine = newUrls.join('\n');
+    if (!reason) {
+      if (newUrls.length > 1) {
+        reason = `${newUrls.length} URLs on one line`;
+      } else if (candidates[0] !== line) {
+        reason = 'URL extracted from surrounding text';
+      } else if (newUrls.length < normalized.length) {
+        reason = 'Contains a duplicate URL';
+      } else if (normalized[0] !== line) {
+        reason = 'URL normalised';
+      }
+    }
+
+    lines.push({
+      lineNumber,
+      text: line,
+      status: 'valid',
+      urls: newUrls,
+      reason,
+      fix: cleanLine !== line ? { label: 'Clean up', replacement: cleanLine } : null
+    });
+  });
+
+  return { urls, lines };
+};
+
+/**
+ * Apply the suggested fix of one analysed line (or of all of them) to the input text
+ */
+export const applyUrlFixes = (text, fixedLines) => {
+  const fixes = new Map(fixedLines.filter(line => line.fix).map(line => [line.lineNumber, line.fix]));
+  return (text || '').split(/\r?\n/)
+    .map((line, index) => {
+      const fix = fixes.get(index + 1);
+      return fix ? fix.replacement : line;
+    })
+    .filter(line => line !== null)
+    .join('\n');
+};
@@ -0,0 +1,69 @@
+import { extractUrls, normalizeUrl, analyzeUrlInput, applyUrlFixes, getUrlKey } from './urls';
+
+test('extracts URLs from surrounding text', () => {
+  expect(extractUrls('Please review https://app.fieldnation.com/workorders/123, thanks!'))
+    .toEqual(['https://app.fieldnation.com/workorders/123']);
+  expect(extractUrls('(see https://example.com/a_(b)) and www.example.org.'))
+    .toEqual(['https://example.com/a_(b)', 'www.example.org']);
+});
+
+test('normalises host, tracking params and missing scheme', () => {
+  expect(normalizeUrl('HTTPS://App.FieldNation.com:443/workorders/123?utm_source=mail&fbclid=x&tab=1'))
+    .toBe('https://app.fieldnation.com/workorders/123?tab=1');
+  expect(normalizeUrl('app.fieldnation.com/workorders/123?utm_medium=email'))
+    .toBe('https://app.fieldnation.com/workorders/123');
+  expect(normalizeUrl('not a url')).toBeNull();
+});
+
+test('drops an empty query but keeps a "?" in the fragment', () => {
+  expect(normalizeUrl('https://example.com/p?')).toBe('https://example.com/p');
+  expect(normalizeUrl('https://example.com/p?utm_source=mail#notes')).toBe('https://example.com/p#notes');
+  expect(normalizeUrl('https://example.com/p#x?y')).toBe('https://example.com/p#x?y');
+  expect(normalizeUrl('https://example.com/p?#x?y')).toBe('https://example.com/p#x?y');
+});
+
+test('reports valid, duplicate and rejected lines', () => {
+  const { urls, lines } = analyzeUrlInput([
+    'https://example.com/workorders/1',
+    'Re: https://EXAMPLE.com/workorders/1?utm_campaign=x',
+    'hello world',
+    'example.com/workorders/2'
+  ].join('\n'));
+
+  expect(urls).toEqual(['https://example.com/workorders/1', 'https://example.com/workorders/2']);
+  expect(lines.map(line => line.status)).toEqual(['valid', 'duplicate', 'rejected', 'valid']);
+  expect(lines[1].reason).toBe('Duplicate of line 1');
+  expect(lines[3].reason).toBe('Missing https://');
+});
+
+test('applies fixes to the input text', () => {
+  const text = 'https://example.com/1\nhttps://example.com/1\nsee https://example.com/2.';
+  const { lines } = analyzeUrlInput(text);
+  expect(applyUrlFixes(text, lines)).toBe('https://example.com/1\nhttps://example.com/2');
+});
+
+test('expands bare IDs and ranges through the URL template', () => {
+  const template = 'https://app.fieldnation.com/workorders/{id}';
+  const { urls, lines } = analyzeUrlInput('123456, #123460-123462\nhttps://app.fieldnation.com/workorders/123456', { template });
+
+  expect(urls).toEqual([
+    'https://app.fieldnation.com/workorders/123456',
+    'https://app.fieldnation.com/workorders/123460',
+    'https://app.fieldnation.com/workorders/123461',
+    'https://app.fieldnation.com/workorders/123462'
+  ]);
+  expect(lines[0].reason).toBe('4 work order IDs expanded');
+  expect(lines[1].status).toBe('duplicate');
+  expect(analyzeUrlInput('123456').lines[0].status).toBe('rejected');
+  expect(analyzeUrlInput('123462-123460', { template }).lines[0].reason).toBe('Range 123462-123460 runs backwards');
+});
+
+test('gives a redirected work order page the key of the URL that was opened', () => {
+  const opened = getUrlKey('https://app.fieldnation.com/workorders/123');
+  expect(getUrlKey('https://APP.fieldnation.com/workorders/123/details#tasks')).toBe(opened);
+  expect(getUrlKey('http://app.fieldnation.com/workorders/123?tab=overview')).toBe(opened);
+  expect(getUrlKey('https://app.fieldnation.com/workorders/124')).not.toBe(opened);
+
+  expect(getUrlKey('https://example.com/jobs/abc/')).toBe(getUrlKey('https://example.com/jobs/abc#top'));
+  expect(getUrlKey('https://example.com/jobs?id=1')).not.toBe(getUrlKey('https://example.com/jobs?id=2'));
+});